@@ -1,5 +1,23 @@
 // Background service worker for LinkedIn Easy Apply Automator
-// Currently not used, but required by manifest v3 
+// Owns the automation session state so it survives popup closes and content script reloads
+
+importScripts(
+  'src/config/config.js',
+  'src/utils/ApplicationHistory.js',
+  'src/utils/ApplicationQuota.js',
+  'src/utils/AutomationManager.js',
+  'src/utils/SavedSearches.js',
+  'src/api/GeminiBackend.js',
+  'src/api/OpenAICompatibleBackend.js',
+  'src/api/LLMSettings.js'
+);
+
+const automationManager = new AutomationManager();
+const applicationQuota = new ApplicationQuota();
+const savedSearches = new SavedSearches();
+
+// Alarm that resumes a session paused by the schedule or the daily limit
+const RESUME_ALARM = 'resumeSession';
 
 console.log('[EasyApplyPlugin] Background service worker initialized');
 
@@ -37,27 +55,327 @@ chrome.runtime.onInstalled.addListener((details) => {
   });
 });
 
-// Listen for messages from content scripts or popup
-// Import the AutomationManager
-import automationManager from './src/utils/AutomationManager.js';
+// Send a message to the content script in a tab
+function sendToTab(tabId, message) {
+  return new Promise(resolve => {
+    chrome.tabs.sendMessage(tabId, message, response => {
+      if (chrome.runtime.lastError) {
+        resolve({ error: chrome.runtime.lastError.message });
+        return;
+      }
+      resolve(response || {});
+    });
+  });
+}
 
-// In the message listener, update the stopAutomation handler:
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[EasyApplyPlugin] Background received message:', message);
+// Build the message that starts (or continues) a session in a content script
+// A queue's search may name the profile it applies with instead of the session's
+function buildStartMessage(state, resumeFrom = null) {
+  return {
+    ...state.options,
+    action: state.mode === AutomationManager.MODES.AUTOMATION ? 'startAutomation' : 'processAllJobs',
+    profileName: (AutomationManager.getCurrentSearch(state) || {}).profile || state.profileName,
+    resumeFrom
+  };
+}
+
+// Send a message to a tab's content script, retrying while the page is still loading
+async function sendToTabWhenReady(tabId, message, attempts = 10) {
+  let response = {};
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    response = await sendToTab(tabId, message);
+    if (!response.error) return response;
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  return response;
+}
+
+// Open a URL in the session's tab, or in a new tab if it was closed, and wait for it to load
+async function openInSessionTab(tabId, url) {
+  let tab = null;
+  try {
+    tab = tabId ? await chrome.tabs.update(tabId, { url, active: true }) : null;
+  } catch (error) {
+    console.log('[EasyApplyPlugin] Session tab is gone, opening a new one:', error.message);
+  }
+  if (!tab) {
+    tab = await chrome.tabs.create({ url });
+  }
+  
+  await new Promise(resolve => {
+    const timeout = setTimeout(done, 30000);
+    function done() {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tab.id && changeInfo.status === 'complete') done();
+    }
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+  
+  return tab.id;
+}
+
+// Resume a paused session: release the content script if it is holding, otherwise restart it from the checkpoint
+async function resumeSession() {
+  const state = await automationManager.getState();
+  if (state.status !== AutomationManager.STATUSES.PAUSED) {
+    return { error: 'No paused session to resume', state };
+  }
+  
+  // The content script is still holding in the session's tab
+  if (state.tabId) {
+    await automationManager.resume(state.tabId);
+    const response = await sendToTab(state.tabId, { action: 'resumeAutomation' });
+    if (response.resumed) {
+      console.log('[EasyApplyPlugin] Session resumed in place');
+      return { state: await broadcastSessionState() };
+    }
+    await automationManager.pause();
+  }
+  
+  // The tab was reloaded, closed or the browser restarted: start again from the checkpoint
+  if (!state.checkpoint && AutomationManager.getSessionPageUrl(state)) {
+    await automationManager.resume(state.tabId);
+    return runSessionPage();
+  }
+  
+  const url = state.checkpoint ? AutomationManager.getResumeUrl(state.checkpoint) : null;
+  if (!url) {
+    return { error: 'No checkpoint to resume from', state };
+  }
+  
+  const tabId = await openInSessionTab(state.tabId, url);
+  await automationManager.resume(tabId);
+  const response = await sendToTabWhenReady(tabId, buildStartMessage(state, state.checkpoint));
+  if (response.error) {
+    console.error('[EasyApplyPlugin] Error resuming automation in tab:', response.error);
+    await automationManager.pause('Content script not ready');
+    return { error: 'Content script not ready!', state: await broadcastSessionState() };
+  }
+  
+  console.log(`[EasyApplyPlugin] Session resumed from page ${state.checkpoint.pageNumber}, job ${state.checkpoint.cardIndex + 1}`);
+  return { state: await broadcastSessionState() };
+}
+
+// Open the page the session continues on (the job list's current job or the queue's current search) and start it there
+async function runSessionPage() {
+  const state = await automationManager.getState();
+  const url = AutomationManager.getSessionPageUrl(state);
+  console.log(`[EasyApplyPlugin] Continuing session on ${url}`);
+  
+  const tabId = await openInSessionTab(state.tabId, url);
+  await automationManager.setTabId(tabId);
   
+  // The content script may already have picked the page up through rehydrateSession; a second start is ignored
+  const response = await sendToTabWhenReady(tabId, buildStartMessage(state));
+  if (response.error) {
+    console.error('[EasyApplyPlugin] Error continuing session in tab:', response.error);
+    await automationManager.pause('Content script not ready');
+    return { error: 'Content script not ready!', state: await broadcastSessionState() };
+  }
+  
+  return { state: await broadcastSessionState() };
+}
+
+// After a page's run finished: record the stats of a finished queue search and open the session's next page
+async function continueSession(previousState) {
+  const state = await automationManager.getState();
+  
+  if (previousState.queue) {
+    const search = state.queue.searches[previousState.queue.index];
+    if (search.status === AutomationManager.STATUSES.COMPLETED) {
+      await savedSearches.recordRun(search.id, search.counters);
+    }
+  }
+  
+  if (state.status === AutomationManager.STATUSES.RUNNING && AutomationManager.getSessionPageUrl(state)) {
+    await runSessionPage();
+  } else {
+    console.log('[EasyApplyPlugin] Session finished');
+  }
+}
+
+// Check the quotas before the content script applies to a job, pausing or stopping the session when one is reached
+async function requestApplicationSlot(tabId, company) {
+  const { ACTIONS } = ApplicationQuota;
+  const state = await automationManager.getState();
+  if (state.status !== AutomationManager.STATUSES.RUNNING || tabId !== state.tabId) {
+    return { action: ACTIONS.ALLOW, delayMs: 0 };
+  }
+  
+  const { submitted, dryRun } = state.counters;
+  const decision = await applicationQuota.check({ sessionApplications: submitted + dryRun, company });
+  
+  if (decision.action === ACTIONS.STOP) {
+    await automationManager.stop(decision.reason);
+    await broadcastSessionState();
+  } else if (decision.action === ACTIONS.PAUSE) {
+    const resumeAt = new Date(decision.resumeAt);
+    await automationManager.pause(`${decision.reason}, resuming at ${resumeAt.toLocaleString()}`);
+    chrome.alarms.create(RESUME_ALARM, { when: decision.resumeAt });
+    await broadcastSessionState();
+  }
+  
+  return decision;
+}
+
+// Send a content script's prompt to the selected language model from the extension's origin,
+// which local servers accept and Private Network Access does not block
+async function completePrompt(prompt, options) {
+  const settings = await new LLMSettings().getSettings();
+  const backend = LLMSettings.createBackend(settings);
+  if (!backend || !backend.isConfigured()) {
+    return { error: 'No language model is configured' };
+  }
+  
+  const origins = LLMSettings.getPermissionOrigins(settings);
+  if (origins.length && !(await chrome.permissions.contains({ origins }))) {
+    return { error: `No permission to reach ${origins.join(', ')}; save the model settings in the popup to grant it` };
+  }
+  
+  return { text: await backend.complete(prompt, options) };
+}
+
+// Tell open extension pages (e.g. the popup) that the session state changed
+async function broadcastSessionState() {
+  const state = await automationManager.getState();
+  chrome.runtime.sendMessage({ action: 'sessionStateChanged', state }, () => {
+    // No page is listening when the popup is closed
+    if (chrome.runtime.lastError) return;
+  });
+  return state;
+}
+
+// Handle a message from the popup or a content script
+async function handleMessage(message, sender) {
   if (message.action === 'getStatus') {
-    sendResponse({ status: 'Background service worker is active' });
-  } else if (message.action === 'stopAutomation') {
-    // Use the automation manager to stop all processes
-    automationManager.stop();
+    return { status: 'Background service worker is active' };
+  } else if (message.action === 'getSessionState') {
+    return { state: await automationManager.getState() };
+  } else if (message.action === 'startSession') {
+    const { action, tabId, ...options } = message;
+    await chrome.alarms.clear(RESUME_ALARM);
+    const state = await automationManager.start(tabId, options);
+    
+    // Queues and job lists open their own pages
+    if (AutomationManager.getSessionPageUrl(state)) {
+      return runSessionPage();
+    }
+    
+    const response = await sendToTab(tabId, buildStartMessage(state));
+    if (response.error) {
+      console.error('[EasyApplyPlugin] Error starting automation in tab:', response.error);
+      await automationManager.stop('Content script not ready');
+      return { error: 'Content script not ready!', state: await broadcastSessionState() };
+    }
+    
+    return { state: await broadcastSessionState() };
+  } else if (message.action === 'pauseSession') {
+    const { tabId } = await automationManager.pause();
+    if (tabId) {
+      const response = await sendToTab(tabId, { action: 'pauseAutomation' });
+      if (response.error) {
+        console.log('[EasyApplyPlugin] Could not reach content script to pause it:', response.error);
+      }
+    }
+    return { state: await broadcastSessionState() };
+  } else if (message.action === 'resumeSession') {
+    // Resumed by the user: a pending scheduled resume no longer applies
+    await chrome.alarms.clear(RESUME_ALARM);
+    return resumeSession();
+  } else if (message.action === 'stopSession') {
+    const { tabId } = await automationManager.getState();
+    await automationManager.stop();
+    await chrome.alarms.clear(RESUME_ALARM);
+    
+    // Stop the content script even if the session already ended, e.g. while a form is still open
+    const targetTabId = tabId || message.tabId;
+    if (targetTabId) {
+      const response = await sendToTab(targetTabId, { action: 'stopAutomation' });
+      if (response.error) {
+        console.log('[EasyApplyPlugin] Could not reach content script to stop it:', response.error);
+      }
+    }
     
     console.log('[EasyApplyPlugin] ⛔ AUTOMATION STOP REQUESTED - the process will stop at the next check');
-    console.log('[EasyApplyPlugin] Please wait for any current operations to complete...');
+    return { state: await broadcastSessionState() };
+  } else if (message.action === 'rehydrateSession') {
+    const tabId = sender.tab ? sender.tab.id : null;
+    const resumeFrom = await automationManager.getRehydrationCheckpoint(tabId, message.url);
+    if (!resumeFrom) {
+      await broadcastSessionState();
+      return { startMessage: null };
+    }
     
-    sendResponse({ status: 'Automation stop requested' });
+    console.log(`[EasyApplyPlugin] Re-hydrating session in tab ${tabId} after a page load`);
+    return { startMessage: buildStartMessage(await automationManager.getState(), resumeFrom) };
+  } else if (message.action === 'requestApplicationSlot') {
+    return requestApplicationSlot(sender.tab ? sender.tab.id : null, message.company);
+  } else if (message.action === 'llmComplete') {
+    return completePrompt(message.prompt, message.options || {});
+  } else if (message.action === 'requestNextPage') {
+    const { startPageNumber } = await automationManager.getState();
+    return applicationQuota.checkPage(message.pageNumber - (startPageNumber || 1) + 1);
+  } else if (message.action === 'automationEvent') {
+    const tabId = sender.tab ? sender.tab.id : null;
+    const previousState = await automationManager.getState();
+    if (await automationManager.handleEvent(tabId, message)) {
+      await broadcastSessionState();
+      
+      // Don't hold the content script's message while the next page loads
+      if (message.type === AutomationManager.EVENTS.SESSION_FINISHED) {
+        continueSession(previousState).catch(error => {
+          console.error('[EasyApplyPlugin] Error moving the session to its next page:', error);
+        });
+      }
+    }
+    return { status: 'ok' };
   }
-  return true;
-});
   
+  return { error: `Unknown action "${message.action}"` };
+}
+
+// Listen for messages from content scripts or popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Ignore the state broadcasts sent from here
+  if (message.action === 'sessionStateChanged') return false;
+  
+  handleMessage(message, sender)
+    .then(sendResponse)
+    .catch(error => {
+      console.error('[EasyApplyPlugin] Error handling background message:', error);
+      sendResponse({ error: error.message });
+    });
   return true; // Keep message channel open for async responses
-});
\ No newline at end of file
+});
+
+// Pause the session if its tab is closed
+chrome.tabs.onRemoved.addListener(async tabId => {
+  if (await automationManager.handleTabClosed(tabId)) {
+    await broadcastSessionState();
+  }
+});
+
+// Pause a session that was running when the browser was closed
+chrome.runtime.onStartup.addListener(async () => {
+  if (await automationManager.handleBrowserStartup()) {
+    await broadcastSessionState();
+  }
+});
+
+// Resume a session paused by the schedule or the daily limit once its window opens
+chrome.alarms.onAlarm.addListener(async alarm => {
+  if (alarm.name !== RESUME_ALARM) return;
+  
+  const { status } = await automationManager.getState();
+  if (status !== AutomationManager.STATUSES.PAUSED) return;
+  
+  console.log('[EasyApplyPlugin] Schedule window open, resuming session');
+  const result = await resumeSession();
+  if (result.error) {
+    console.error('[EasyApplyPlugin] Could not resume scheduled session:', result.error);
+  }
+});
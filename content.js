@@ -70,24 +70,53 @@ if (typeof EasyApplyConfig === 'undefined') {
   console.log('[EasyApplyPlugin] Using existing EasyApplyConfig');
 }
 
-// Flag to stop automation
+// Flag to stop automation; the session state itself is owned by the background AutomationManager
 window.easyApplyStop = false;
 
 // Cache for processed fields
 const processedFields = new Set();
 
-// User data from storage
-let userCV = '';
-let geminiApiKey = '';
-let qaCache = {};
-
 // Create a job detector instance
 let jobDetector = new JobDetector();
 
+// Persistent log of every job touched by the automation
+const applicationHistory = typeof ApplicationHistory === 'function' ? new ApplicationHistory() : null;
+
+// Questions answered by the language model or a default, waiting for the user in the popup
+const questionInbox = typeof QuestionInbox === 'function' ? new QuestionInbox() : null;
+
+// Named profiles (CV, user profile, Q&A cache, filters) selectable in the popup
+const profileManager = typeof ProfileManager === 'function' ? new ProfileManager() : null;
+
+// Profile selected when the automation was started; used for the whole session
+let sessionProfileName = null;
+
+// Questions answered during the most recent Easy Apply form
+let lastApplicationAnswers = [];
+
 // Add at the top level
 let nextButtonClicked = false;
 let reviewButtonClicked = false;
 
+// When true, forms are filled but the final Submit click is replaced by a snapshot + discard
+let dryRunMode = false;
+
+// When true, the automation waits for the user to approve each application at the Review step
+let pauseAtReview = false;
+let activeReviewOverlay = null;
+let lastReviewDecision = null;
+
+// Why the answer policy skipped the most recent application, if it did
+let lastAnswerPolicySkipReason = null;
+
+// Pause/resume: set from the background AutomationManager's pause and resume commands
+let automationPaused = false;
+let automationInProgress = false;
+
+// Current search results page, and the checkpoint a resumed session starts from
+let currentPageNumber = 1;
+let resumeCheckpoint = null;
+
 /**
  * Wait for a selector to appear in the DOM
  * 
@@ -837,6 +866,9 @@ async function handleResumeSelection() {
 async function handleEasyApplyForm() {
   try {
     console.log('[EasyApplyPlugin] Starting to handle Easy Apply form');
+    lastApplicationAnswers = [];
+    lastReviewDecision = null;
+    lastAnswerPolicySkipReason = null;
     
     // Check stop flag at the start of form handling
     if (window.easyApplyStop) {
@@ -896,28 +928,41 @@ async function handleEasyApplyForm() {
         
         // Get user settings
         const userSettings = await chrome.storage.local.get([
-          'cv', 
-          'apiKey', 
-          'qaCache',
           'phoneNumber',
           'mobileNumber',
           'countryCode'
         ]);
         
+        // CV, Q&A cache and user profile come from the session's profile
+        const profile = await getSessionProfile();
+        const userProfile = typeof UserProfile === 'function' ? new UserProfile(profile.userProfile) : null;
+        
         formFiller = new FormFiller(
           modal, 
           config, 
-          getGeminiAnswer, 
-          userSettings.cv || '',
-          userSettings.apiKey || '',
-          userSettings.qaCache || {},
+          await createAnswerProvider(profile, userProfile), 
+          profile.qaCache || {},
           {
-            phoneNumber: userSettings.phoneNumber || '',
-            mobileNumber: userSettings.mobileNumber || '',
-            countryCode: userSettings.countryCode || '+1'
+            phoneNumber: (userProfile && userProfile.phone) || userSettings.phoneNumber || '',
+            mobileNumber: (userProfile && userProfile.phone) || userSettings.mobileNumber || '',
+            countryCode: (userProfile && userProfile.phoneCountryCode) || userSettings.countryCode || '',
+            email: userProfile ? userProfile.email : '',
+            firstName: userProfile ? userProfile.firstName : '',
+            lastName: userProfile ? userProfile.lastName : '',
+            userProfile,
+            saveQaCache,
+            waitWhilePaused,
+            answerPolicy: typeof AnswerPolicy === 'function' ? await new AnswerPolicy().getSettings() : null,
+            alwaysAsk: questionInbox ? await questionInbox.getAlwaysAsk(profile.name) : []
           }
         );
         console.log('[EasyApplyPlugin] Created FormFiller instance');
+        
+        // Tailor Gemini answers to the job shown in the right pane
+        if (jobDetector) {
+          const { title, company, description } = jobDetector.getRightPaneJobInfo();
+          formFiller.setJobContext({ title, company, description });
+        }
       } catch (error) {
         console.error('[EasyApplyPlugin] Error creating FormFiller:', error);
       }
@@ -931,6 +976,7 @@ async function handleEasyApplyForm() {
     const progressTracker = new ProgressTracker();
     
     while (stepCount <= maxSteps) {
+      await waitWhilePaused();
       console.log(`[EasyApplyPlugin] Processing form step ${stepCount}`);
       
       // Wait for modal to be fully loaded
@@ -979,6 +1025,7 @@ async function handleEasyApplyForm() {
         try {
           // Fill the form using FormFiller
           formFilled = await formFiller.fillForm();
+          lastApplicationAnswers = formFiller.getAnsweredQuestions();
           console.log(`[EasyApplyPlugin] Form filling result: ${formFilled}`);
         } catch (error) {
           console.error('[EasyApplyPlugin] Error during form filling:', error);
@@ -1002,8 +1049,21 @@ async function handleEasyApplyForm() {
       
       // Check if we're at 100% progress or if Review was clicked
       if (progressTracker.isComplete() || reviewButtonClicked) {
-        // We're at the final step, try to submit the application
-        if (await clickButtonByText('Submit application')) {
+        // Let the user approve, edit or skip before anything is submitted
+        if (isSubmitButtonVisible() && !(await approveBeforeSubmit(formFiller, modal))) {
+          progressTracker.reset();
+          return false;
+        }
+        
+        if (dryRunMode) {
+          // Dry run: never click Submit, capture the answers and discard instead
+          if (isSubmitButtonVisible()) {
+            await finishDryRun(formFiller);
+            progressTracker.reset();
+            return true;
+          }
+        } else if (await clickButtonByText('Submit application')) {
+          // We're at the final step and submitted the application
           console.log(`[EasyApplyPlugin] Clicked Submit application button (progress: ${progressTracker.getProgress()}%)`);
           
           // Wait for form to process
@@ -1061,7 +1121,14 @@ async function handleEasyApplyForm() {
         // Wait for modal content to refresh after clicking Continue
         await waitForModalContentRefresh(3000);
         await new Promise(r => setTimeout(r, 2000));
-      } else if (!nextButtonClicked && !reviewButtonClicked && await clickButtonByText('Submit application')) {
+      } else if (isSubmitButtonVisible() && !(await approveBeforeSubmit(formFiller, modal))) {
+        // Single-step application skipped by the answer policy or by the user during review
+        return false;
+      } else if (dryRunMode && isSubmitButtonVisible()) {
+        // Single-step application in dry-run mode
+        await finishDryRun(formFiller);
+        return true;
+      } else if (!dryRunMode && !nextButtonClicked && !reviewButtonClicked && await clickButtonByText('Submit application')) {
         // Single-step application (Submit without Next/Review)
         console.log('[EasyApplyPlugin] Clicked Submit application button (single-step application)');
         
@@ -1129,7 +1196,213 @@ async function handleEasyApplyForm() {
 }
 
 /**
- * Simple form filling function as fallback when FormFiller is not available
+ * Check if the Submit application button is visible in the modal, without clicking it
+ * 
+ * @returns {boolean} - Whether a submit button is visible
+ */
+function isSubmitButtonVisible() {
+  try {
+    const modal = document.querySelector('.jobs-easy-apply-modal, .artdeco-modal__content, div[data-test-modal]') || document;
+    
+    const submitSelectors = [
+      'button[aria-label="Submit application"]',
+      'button[data-easy-apply-submit-button]',
+      'button[data-live-test-easy-apply-submit-button]'
+    ];
+    
+    for (const selector of submitSelectors) {
+      const button = modal.querySelector(selector);
+      if (button && isElementVisible(button)) {
+        return true;
+      }
+    }
+    
+    return Array.from(modal.querySelectorAll('button')).some(button => 
+      isElementVisible(button) &&
+      button.textContent &&
+      button.textContent.trim().toLowerCase() === 'submit application'
+    );
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error checking for submit button:', error);
+    return false;
+  }
+}
+
+/**
+ * Pause at the Review step and wait for the user to approve, edit or skip the application.
+ * Skipped (or stopped) applications, and applications that cannot be shown for review, are
+ * discarded. The answers are captured again after approval to include the user's changes.
+ * 
+ * @param {FormFiller|null} formFiller - The form filler used for this application
+ * @param {HTMLElement} modal - The Easy Apply modal
+ * @returns {Promise<boolean>} - Whether the application was approved for submission
+ */
+async function reviewBeforeSubmit(formFiller, modal) {
+  if (formFiller) {
+    lastApplicationAnswers = formFiller.getAnsweredQuestions();
+  }
+  
+  if (typeof ReviewOverlay !== 'function') {
+    // Never submit an application the user could not review
+    console.log('[EasyApplyPlugin] ReviewOverlay not available, discarding the application');
+    await discardApplication();
+    if (formFiller) {
+      formFiller.dispose();
+    }
+    return false;
+  }
+  
+  const jobInfo = jobDetector && typeof jobDetector.getRightPaneJobInfo === 'function' ?
+    jobDetector.getRightPaneJobInfo() : {};
+  
+  console.log('[EasyApplyPlugin] ⏸️ Pausing at review step for user approval');
+  activeReviewOverlay = new ReviewOverlay({
+    modalElement: modal,
+    answers: lastApplicationAnswers,
+    jobInfo: jobInfo,
+    canApprove: isSubmitButtonVisible
+  });
+  
+  // Answers the user changes while reviewing are recorded as theirs
+  if (formFiller) {
+    formFiller.watchUserEdits();
+  }
+  
+  lastReviewDecision = await activeReviewOverlay.show();
+  activeReviewOverlay = null;
+  
+  if (formFiller) {
+    formFiller.stopWatchingUserEdits();
+  }
+  
+  if (lastReviewDecision === ReviewOverlay.DECISIONS.APPROVE) {
+    console.log('[EasyApplyPlugin] Application approved by user');
+    if (formFiller) {
+      lastApplicationAnswers = formFiller.getAnsweredQuestions();
+    }
+    return true;
+  }
+  
+  console.log(`[EasyApplyPlugin] Application not approved (${lastReviewDecision}), discarding`);
+  await discardApplication();
+  
+  if (formFiller) {
+    formFiller.dispose();
+  }
+  
+  return false;
+}
+
+/**
+ * Apply the answer policy and, if it or the pause-at-review setting asks for it, the review
+ * step. Called when the Submit button is visible.
+ * 
+ * @param {FormFiller|null} formFiller - The form filler used for this application
+ * @param {HTMLElement} modal - The Easy Apply modal
+ * @returns {Promise<boolean>} - Whether the application may be submitted
+ */
+async function approveBeforeSubmit(formFiller, modal) {
+  let needsReview = pauseAtReview;
+  
+  // Without a FormFiller, the answers are the ones simpleFormFill recorded
+  if (typeof AnswerPolicy === 'function') {
+    const answerPolicy = formFiller ? formFiller.settings.answerPolicy : await new AnswerPolicy().getSettings();
+    const answers = formFiller ? formFiller.getAnsweredQuestions() : lastApplicationAnswers;
+    const { action, reason } = AnswerPolicy.evaluate(answers, answerPolicy || {});
+    
+    if (action === AnswerPolicy.ACTIONS.SKIP) {
+      console.log(`[EasyApplyPlugin] Skipping application, answers need review: ${reason}`);
+      lastApplicationAnswers = answers;
+      lastAnswerPolicySkipReason = reason;
+      await discardApplication();
+      if (formFiller) {
+        formFiller.dispose();
+      }
+      return false;
+    }
+    
+    if (action === AnswerPolicy.ACTIONS.REVIEW) {
+      console.log(`[EasyApplyPlugin] Pausing for review, answers need review: ${reason}`);
+      needsReview = true;
+    }
+  }
+  
+  return needsReview ? reviewBeforeSubmit(formFiller, modal) : true;
+}
+
+/**
+ * Finish a dry-run application: capture every filled answer, then discard the application
+ * 
+ * @param {FormFiller|null} formFiller - The form filler used for this application
+ * @returns {Promise<void>}
+ */
+async function finishDryRun(formFiller) {
+  if (formFiller) {
+    lastApplicationAnswers = formFiller.getAnsweredQuestions();
+  }
+  
+  console.log(`[EasyApplyPlugin] 🧪 Dry run: reached Submit, captured ${lastApplicationAnswers.length} answers instead of submitting`);
+  lastApplicationAnswers.forEach(({ question, answer }, index) => {
+    console.log(`[EasyApplyPlugin] 🧪   ${index + 1}. ${question} → ${answer}`);
+  });
+  
+  await discardApplication();
+  
+  if (formFiller) {
+    formFiller.dispose();
+  }
+}
+
+/**
+ * Close the Easy Apply modal and discard the application instead of saving it
+ * 
+ * @returns {Promise<boolean>} - Whether the modal was closed
+ */
+async function discardApplication() {
+  try {
+    const dismissButton = Array.from(document.querySelectorAll('button[aria-label="Dismiss"], button[data-test-modal-close-btn], button.artdeco-modal__dismiss'))
+      .find(button => isElementVisible(button));
+    
+    if (!dismissButton) {
+      console.log('[EasyApplyPlugin] No dismiss button found for Easy Apply modal');
+      return false;
+    }
+    
+    dismissButton.click();
+    console.log('[EasyApplyPlugin] Clicked modal dismiss button');
+    await new Promise(r => setTimeout(r, 1000));
+    
+    // LinkedIn asks whether to save the application; always discard it
+    const discardButton = document.querySelector('button[data-control-name="discard_application_confirm_btn"], button[data-test-dialog-secondary-btn]') ||
+      Array.from(document.querySelectorAll('button')).find(button => 
+        isElementVisible(button) &&
+        button.textContent &&
+        button.textContent.trim().toLowerCase() === 'discard'
+      );
+    
+    if (discardButton) {
+      discardButton.click();
+      console.log('[EasyApplyPlugin] Clicked Discard button');
+    }
+    
+    try {
+      await waitForModalToBeHidden(5000);
+    } catch (error) {
+      console.log('[EasyApplyPlugin] Modal still visible after discarding application');
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error discarding application:', error);
+    return false;
+  }
+}
+
+/**
+ * Simple form filling function as fallback when FormFiller is not available.
+ * Answers are recorded in lastApplicationAnswers with their source, so the
+ * answer policy and the question inbox see the defaults it falls back to.
  * 
  * @param {HTMLElement} modal - The modal element containing the form
  * @returns {Promise<boolean>} - Whether filling was successful
@@ -1153,6 +1426,21 @@ async function simpleFormFill(modal) {
     
     console.log(`[EasyApplyPlugin] Found ${inputs.length} inputs, ${selects.length} selects, ${textareas.length} textareas, ${checkboxes.length} checkboxes, ${radioButtons.length} radio buttons`);
     
+    // Answer questions the same way FormFiller does: cache, profile, then the answer provider
+    const profile = await getSessionProfile();
+    const userProfile = typeof UserProfile === 'function' ? new UserProfile(profile.userProfile) : null;
+    const sources = {
+      cacheManager: typeof CacheManager === 'function' ?
+        new CacheManager(profile.qaCache || {}, saveQaCache, new QuestionMatcher({ userProfile })) : null,
+      userProfile,
+      answerProvider: await createAnswerProvider(profile, userProfile)
+    };
+    const answerPolicy = typeof AnswerPolicy === 'function' ? await new AnswerPolicy().getSettings() : null;
+    if (sources.answerProvider && jobDetector) {
+      const { title, company, description } = jobDetector.getRightPaneJobInfo();
+      sources.answerProvider.setJobContext({ title, company, description });
+    }
+    
     // Fill text inputs
     for (const input of inputs) {
       try {
@@ -1161,13 +1449,17 @@ async function simpleFormFill(modal) {
         
         const type = input.type && input.type.toLowerCase();
         if (type === 'text' || type === 'email' || type === 'tel' || type === 'url') {
-          if (type === 'email') {
-            input.value = 'example@example.com';
-          } else if (type === 'tel') {
-            input.value = '1234567890';
+          const label = getSimpleFieldLabel(input);
+          const answer = await getSimpleFormAnswer(label, sources, { isPhone: type === 'tel' });
+          if (answer) {
+            input.value = answer.answer;
+          } else if (type !== 'text') {
+            // Never invent an email address, phone number or link; leave it for the user
+            continue;
           } else {
             input.value = 'Yes';
           }
+          recordSimpleAnswer(input, label, input.value, answer, answerPolicy);
           input.dispatchEvent(new Event('input', { bubbles: true }));
           input.dispatchEvent(new Event('change', { bubbles: true }));
           console.log(`[EasyApplyPlugin] Filled input: ${input.name || input.id || 'unnamed'}`);
@@ -1187,10 +1479,18 @@ async function simpleFormFill(modal) {
         if (select.value) continue; // Skip if already selected
         
         if (select.options && select.options.length > 1) {
-          // Select the first non-empty option
+          const options = Array.from(select.options).filter(option => option.value);
+          const label = getSimpleFieldLabel(select);
+          const answer = await getSimpleFormAnswer(label, sources, {
+            optionsList: options.map(option => option.text.trim())
+          });
+          const answeredOption = answer && options.find(option => option.text.trim() === answer.answer);
+          
+          // Select the answered option, or the first non-empty one
           for (let i = 0; i < select.options.length; i++) {
-            if (select.options[i].value) {
+            if (answeredOption ? select.options[i] === answeredOption : select.options[i].value) {
               select.selectedIndex = i;
+              recordSimpleAnswer(select, label, select.options[i].text.trim(), answeredOption ? answer : null, answerPolicy);
               select.dispatchEvent(new Event('change', { bubbles: true }));
               console.log(`[EasyApplyPlugin] Selected option in: ${select.name || select.id || 'unnamed'}`);
               break;
@@ -1211,7 +1511,10 @@ async function simpleFormFill(modal) {
         if (!isElementVisible(textarea)) continue;
         if (textarea.value) continue; // Skip if already filled
         
-        textarea.value = 'I am a qualified candidate with relevant experience for this position.';
+        const label = getSimpleFieldLabel(textarea);
+        const answer = await getSimpleFormAnswer(label, sources, { isSummary: true });
+        textarea.value = answer ? answer.answer : 'I am a qualified candidate with relevant experience for this position.';
+        recordSimpleAnswer(textarea, label, textarea.value, answer, answerPolicy);
         textarea.dispatchEvent(new Event('input', { bubbles: true }));
         textarea.dispatchEvent(new Event('change', { bubbles: true }));
         console.log(`[EasyApplyPlugin] Filled textarea: ${textarea.name || textarea.id || 'unnamed'}`);
@@ -1230,6 +1533,7 @@ async function simpleFormFill(modal) {
         if (checkbox.checked) continue; // Skip if already checked
         
         checkbox.checked = true;
+        recordSimpleAnswer(checkbox, getSimpleFieldLabel(checkbox), 'Yes', null, answerPolicy);
         checkbox.dispatchEvent(new Event('change', { bubbles: true }));
         console.log(`[EasyApplyPlugin] Checked checkbox: ${checkbox.name || checkbox.id || 'unnamed'}`);
         
@@ -1260,7 +1564,11 @@ async function simpleFormFill(modal) {
     for (const groupName in radioGroups) {
       try {
         if (radioGroups[groupName].length > 0) {
-          radioGroups[groupName][0].checked = true;
+          const radio = radioGroups[groupName][0];
+          const legend = radio.closest('fieldset') && radio.closest('fieldset').querySelector('legend');
+          radio.checked = true;
+          recordSimpleAnswer(radio, legend ? legend.textContent.replace(/\s+/g, ' ').trim() : groupName,
+            getSimpleFieldLabel(radio) || radio.value, null, answerPolicy);
           radioGroups[groupName][0].dispatchEvent(new Event('change', { bubbles: true }));
           console.log(`[EasyApplyPlugin] Selected radio in group: ${groupName}`);
           
@@ -1280,187 +1588,113 @@ async function simpleFormFill(modal) {
 }
 
 /**
- * Get an answer from the Gemini API
+ * Get the label text of a form field for simpleFormFill
  * 
- * @param {string} question - The question to ask
- * @param {string} cv - The user's CV
- * @param {string} apiKey - The Gemini API key
- * @param {Array|null} optionsList - List of options for multiple choice
- * @param {boolean} numericOnly - Whether to return numeric values only
- * @param {Object|null} qaCache - Question/answer cache
- * @param {boolean} isSummaryField - Whether this is a summary field
- * @param {boolean} isSpecificallyCoverLetter - Whether this is a cover letter
- * @returns {Promise<string>} - The answer from Gemini
+ * @param {HTMLElement} field - The input, select or textarea
+ * @returns {string} - The label, or an empty string if none was found
  */
-async function getGeminiAnswer(question, cv, apiKey, optionsList = null, numericOnly = false, qaCache = null, isSummaryField = false, isSpecificallyCoverLetter = false) {
+function getSimpleFieldLabel(field) {
+  const label = (field.id && document.querySelector(`label[for="${CSS.escape(field.id)}"]`)) || field.closest('label');
+  const text = (label && label.textContent) || field.getAttribute('aria-label') || field.placeholder || '';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Answer a simpleFormFill field from the Q&A cache, the profile or the answer provider
+ * 
+ * @param {string} label - The field label
+ * @param {Object} sources - {cacheManager, userProfile, answerProvider}, any of which may be null
+ * @param {Object} [options] - Field characteristics passed to the sources
+ * @returns {Promise<Object|null>} - {answer, source, confidence} (plus the similarity and cache key
+ *   of cached answers), or null to use the simple default
+ */
+async function getSimpleFormAnswer(label, sources, options = {}) {
+  if (!label) return null;
+  
   try {
-    console.log(`[EasyApplyPlugin][Gemini] 🔍 Processing question: "${question}"`);
-    
-    // Check if automation should be stopped
-    if (window.easyApplyStop) {
-      console.log('[EasyApplyPlugin] Stopping Gemini API call as requested');
-      return null;
-    }
-    
-    // Check cache first
-    if (qaCache && qaCache[question]) {
-      console.log(`[EasyApplyPlugin][Gemini] 📋 Using cached answer for: "${question}"`);
-      return qaCache[question];
-    }
-    
-    // Construct the prompt
-    let prompt = `Based on my CV: ${cv}\n\nQuestion: ${question}\n\n`;
-    
-    if (optionsList && optionsList.length > 0) {
-      console.log(`[EasyApplyPlugin][Gemini] 📝 Question has ${optionsList.length} options:`);
-      optionsList.forEach((opt, index) => {
-        console.log(`[EasyApplyPlugin][Gemini]    ${index + 1}. ${opt}`);
-      });
-      
-      prompt += `Please choose the best option from the following list:\n`;
-      optionsList.forEach((opt, index) => {
-        prompt += `${index + 1}. ${opt}\n`;
-      });
-      
-      // For selection questions with Yes/No options, prefer Yes for most cases
-      const hasYesOption = optionsList.some(opt => 
-        opt.toLowerCase() === 'yes' || 
-        opt.toLowerCase().includes('yes,') || 
-        opt.toLowerCase() === 'i do'
-      );
-      
-      if (hasYesOption && (
-        question.toLowerCase().includes('are you comfortable') ||
-        question.toLowerCase().includes('are you authorized') ||
-        question.toLowerCase().includes('are you able') ||
-        question.toLowerCase().includes('can you') ||
-        question.toLowerCase().includes('do you have') ||
-        question.toLowerCase().includes('are you willing')
-      )) {
-        prompt += `\nFor questions about my capabilities, authorizations, or willingness, please assume I am answering YES unless there's a clear reason not to based on my CV.`;
-      }
-      
-      prompt += `\nRespond with ONLY the option number or the exact text of the option.`;
-    } else if (numericOnly) {
-      prompt += `Please respond with ONLY a number.`;
-    } else if (isSummaryField) {
-      if (isSpecificallyCoverLetter) {
-        prompt += `Please write a professional, concise cover letter explaining why I'm a good fit for this role based on my experience. Keep it to around 1000 characters, focusing on my most relevant skills and achievements.`;
-      } else {
-        prompt += `Please provide a concise professional summary based on my CV. Keep it to around 800 characters, highlighting my key skills and experiences. Make it directly relevant to this job application.`;
-      }
-    } else {
-      prompt += `Please provide a direct, concise answer based on my CV. Keep your response short and to the point.`;
-    }
-    
-    // Truncate CV in the log message to avoid clutter
-    const truncatedCV = cv.substring(0, 50) + (cv.length > 50 ? '...' : '');
-    console.log(`[EasyApplyPlugin][Gemini] 📤 Sending prompt to Gemini API: 
-Question: ${question}
-CV (truncated): ${truncatedCV}
-Has options: ${optionsList ? 'Yes' : 'No'}
-Numeric only: ${numericOnly ? 'Yes' : 'No'}
-Is summary field: ${isSummaryField ? 'Yes' : 'No'}
-Is cover letter: ${isSpecificallyCoverLetter ? 'Yes' : 'No'}`);
-    
-    // Call the Gemini API
-    const startTime = Date.now();
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }]
-      })
-    });
-    const endTime = Date.now();
-    
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    console.log(`[EasyApplyPlugin][Gemini] 📥 Received response in ${endTime - startTime}ms`);
-    
-    // Extract the text from the response
-    const answerText = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    
-    // Clean and format the answer
-    let cleanAnswer = answerText.trim();
-    console.log(`[EasyApplyPlugin][Gemini] 📄 Raw response: "${cleanAnswer}"`);
-    
-    // For multiple choice, try to extract just the option
-    if (optionsList && optionsList.length > 0) {
-      // Look for option numbers
-      const numberMatch = cleanAnswer.match(/^[0-9]+/);
-      if (numberMatch) {
-        const optionIndex = parseInt(numberMatch[0]) - 1;
-        if (optionIndex >= 0 && optionIndex < optionsList.length) {
-          console.log(`[EasyApplyPlugin][Gemini] 🔢 Found option number ${numberMatch[0]}, selecting option: "${optionsList[optionIndex]}"`);
-          cleanAnswer = optionsList[optionIndex];
-        }
-      } else {
-        // Look for exact option text
-        let foundMatch = false;
-        for (const option of optionsList) {
-          if (cleanAnswer.includes(option)) {
-            console.log(`[EasyApplyPlugin][Gemini] 📌 Found exact option text: "${option}"`);
-            cleanAnswer = option;
-            foundMatch = true;
-            break;
-          }
-        }
+    // Cached answers are mapped onto the field's options, as in FieldHandlerBase
+    const match = sources.cacheManager && await sources.cacheManager.getMatch(label, options);
+    if (match) {
+      const index = options.optionsList ? AnswerValue.matchOption(match.entry, options.optionsList) : -1;
+      if (!options.optionsList || index !== -1) {
+        sources.cacheManager.recordUse(match.key);
         
-        if (!foundMatch) {
-          console.log(`[EasyApplyPlugin][Gemini] ⚠️ Couldn't match response to any option, using first option as fallback: "${optionsList[0]}"`);
-          cleanAnswer = optionsList[0];
-        }
-      }
-    }
-    
-    // For numeric only responses, extract just the number
-    if (numericOnly) {
-      const numberMatch = cleanAnswer.match(/\d+/);
-      if (numberMatch) {
-        console.log(`[EasyApplyPlugin][Gemini] 🔢 Extracted number: ${numberMatch[0]}`);
-        cleanAnswer = numberMatch[0];
+        // Cached language model answers are not confirmed by the user yet
+        const isLlm = match.entry.source === 'llm';
+        return {
+          answer: options.optionsList ? options.optionsList[index] : match.value,
+          source: isLlm ? 'llm' : (match.isFuzzy ? 'cache-fuzzy' : 'cache'),
+          confidence: isLlm ?
+            (typeof match.entry.confidence === 'number' ? match.entry.confidence * match.similarity : null) :
+            match.similarity,
+          similarity: match.isFuzzy ? match.similarity : undefined,
+          cacheKey: match.key.startsWith('__fieldtype_') ? label : match.key
+        };
       }
     }
     
-    console.log(`[EasyApplyPlugin][Gemini] ✅ Final answer for "${question}": "${cleanAnswer}"`);
+    const profileValue = sources.userProfile && sources.userProfile.getValue(label, options);
+    if (profileValue && !options.optionsList) return { answer: profileValue, source: 'profile', confidence: 1 };
     
-    // Save to cache
-    if (qaCache) {
-      qaCache[question] = cleanAnswer;
-      // Save to chrome.storage.local
-      chrome.storage.local.set({ qaCache });
-      console.log(`[EasyApplyPlugin][Gemini] 💾 Saved answer to cache`);
+    const answer = sources.answerProvider && await sources.answerProvider.getAnswer(label, options);
+    if (answer && sources.cacheManager && !match) {
+      sources.cacheManager.setValue(label, answer, { ...options, source: 'llm' });
     }
-    
-    return cleanAnswer;
+    return answer ? { answer, source: 'llm', confidence: null, cacheKey: label } : null;
   } catch (error) {
-    console.error('[EasyApplyPlugin][Gemini] ❌ Error getting answer:', error);
-    
-    // Provide a sensible fallback
-    let fallbackAnswer = "";
-    
-    if (isSummaryField) {
-      fallbackAnswer = "I am a skilled professional with relevant experience for this position. My background includes the key skills mentioned in the job description, and I'm excited about the opportunity to contribute to your team.";
-    } else if (optionsList && optionsList.length > 0) {
-      // For option lists, try to find a "Yes" option or use the first option
-      const yesOption = optionsList.find(opt => 
-        opt.toLowerCase() === 'yes' || 
-        opt.toLowerCase().includes('yes,') ||
-        opt.toLowerCase() === 'i do'
-      );
-      
-      fallbackAnswer = yesOption || optionsList[0];
-    } else {
-      fallbackAnswer = "Yes";
-    }
-    
-    console.log(`[EasyApplyPlugin][Gemini] 🔄 Using fallback answer: "${fallbackAnswer}"`);
-    return fallbackAnswer;
+    console.error(`[EasyApplyPlugin] Error answering "${label}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Record an answer given by simpleFormFill the way FormFiller records its answers,
+ * flagging it for review when the answer policy asks for it
+ * 
+ * @param {HTMLElement} field - The filled field
+ * @param {string} label - The field label
+ * @param {string} answer - The answer given
+ * @param {Object|null} details - {source, confidence, ...} from getSimpleFormAnswer, or null for a default
+ * @param {Object|null} answerPolicy - The answer policy settings
+ */
+function recordSimpleAnswer(field, label, answer, details, answerPolicy) {
+  const entry = {
+    question: label || field.name || field.id || 'unnamed',
+    ...(details || { source: 'default', confidence: 0 }),
+    answer,
+    required: field.required || field.getAttribute('aria-required') === 'true'
+  };
+  
+  const reviewReason = answerPolicy && AnswerPolicy.getReviewReason(entry, answerPolicy);
+  if (reviewReason) {
+    entry.reviewReason = reviewReason;
   }
+  
+  // Replace any earlier answer for the same question (e.g. after a retry)
+  lastApplicationAnswers = [...lastApplicationAnswers.filter(previous => previous.question !== entry.question), entry];
+}
+
+/**
+ * Create the answer provider for the session's profile
+ * 
+ * @param {Object} profile - The session's profile (see getSessionProfile)
+ * @param {UserProfile|null} [userProfile] - The profile's structured details
+ * @returns {Promise<AnswerProvider|null>} - The provider, or null if it is not loaded
+ */
+async function createAnswerProvider(profile, userProfile = null) {
+  if (typeof AnswerProvider !== 'function') return null;
+  
+  // The backend is read for every application so a change in the popup applies to the running session
+  const llmSettings = await new LLMSettings().getSettings();
+  const backend = LLMSettings.createBackend(llmSettings);
+  
+  return new AnswerProvider({
+    // Requests from this page's origin are refused by local servers, so the service worker sends them
+    backend: backend && new BackgroundBackend(backend),
+    cv: profile.cv || '',
+    userProfile,
+    shouldStop: () => window.easyApplyStop
+  });
 }
 
 /**
@@ -1472,7 +1706,6 @@ Is cover letter: ${isSpecificallyCoverLetter ? 'Yes' : 'No'}`);
 async function automateEasyApply(processNonEasyApplyAsFallback = false) {
   try {
     console.log('[EasyApplyPlugin] Starting Easy Apply automation');
-    window.easyApplyJobsApplied = 0;
     const progressTracker = new ProgressTracker();
     
     // Check if automation should be stopped before starting
@@ -1555,9 +1788,10 @@ async function automateEasyApply(processNonEasyApplyAsFallback = false) {
         console.error('[EasyApplyPlugin] Error getting next page button:', error);
       }
       
-      if (nextButton && !window.easyApplyStop) {
+      if (nextButton && !window.easyApplyStop && await canOpenNextPage()) {
         console.log('[EasyApplyPlugin] Going to next page to look for jobs');
         nextButton.click();
+        currentPageNumber++;
         await new Promise(r => setTimeout(r, 3000)); // Wait for page to load
         await automateEasyApply(processNonEasyApplyAsFallback); // Process next page
       } else {
@@ -1584,9 +1818,10 @@ async function automateEasyApply(processNonEasyApplyAsFallback = false) {
       console.error('[EasyApplyPlugin] Error getting next page button:', error);
     }
     
-    if (nextButton && !window.easyApplyStop) {
+    if (nextButton && !window.easyApplyStop && await canOpenNextPage()) {
       console.log('[EasyApplyPlugin] Going to next page');
       nextButton.click();
+      currentPageNumber++;
       await new Promise(r => setTimeout(r, 3000)); // Wait for page to load
       await automateEasyApply(processNonEasyApplyAsFallback); // Process next page
     } else {
@@ -1598,6 +1833,595 @@ async function automateEasyApply(processNonEasyApplyAsFallback = false) {
   }
 }
 
+/**
+ * Record the outcome of a job in the persistent application history, record it
+ * on the cached answers the application used, and queue its language model and
+ * default answers in the question inbox
+ * 
+ * @param {Object} cardInfo - Job info from JobDetector.getJobCardInfo
+ * @param {string} outcome - One of ApplicationHistory.OUTCOMES
+ * @param {Object} [details={}] - Extra fields to store with the entry (e.g. questions)
+ * @returns {Promise<void>}
+ */
+async function recordJobOutcome(cardInfo, outcome, details = {}) {
+  reportAutomationEvent(AutomationManager.EVENTS.JOB_FINISHED, { job: getJobSummary(cardInfo), outcome });
+  
+  try {
+    if (applicationHistory) {
+      await applicationHistory.record({
+        jobId: cardInfo.jobId,
+        title: cardInfo.title,
+        company: cardInfo.company,
+        location: cardInfo.location,
+        url: cardInfo.url || window.location.href,
+        isEasyApply: cardInfo.isEasyApply,
+        outcome,
+        ...details
+      });
+    }
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error recording job outcome:', error);
+  }
+  
+  if (details.questions) {
+    await recordCacheUsage(cardInfo, outcome, details.questions);
+  }
+  
+  if (!questionInbox || !details.questions) return;
+  
+  try {
+    await questionInbox.addFromAnswers(details.questions, {
+      jobId: cardInfo.jobId,
+      title: cardInfo.title,
+      company: cardInfo.company,
+      url: cardInfo.url || window.location.href
+    }, sessionProfileName);
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error queueing questions for review:', error);
+  }
+}
+
+/**
+ * Record the job and outcome of an application on the Q&A cache entries its answers came from
+ * 
+ * @param {Object} cardInfo - Job info from JobDetector.getJobCardInfo
+ * @param {string} outcome - One of ApplicationHistory.OUTCOMES
+ * @param {Array<Object>} questions - Answers recorded by FormFiller
+ * @returns {Promise<void>}
+ */
+async function recordCacheUsage(cardInfo, outcome, questions) {
+  const { SUBMITTED, FAILED_STUCK } = ApplicationHistory.OUTCOMES;
+  const submitted = outcome === SUBMITTED ? true : (outcome === FAILED_STUCK ? false : null);
+  
+  try {
+    const profile = await getSessionProfile();
+    const cacheManager = new CacheManager(profile.qaCache || {}, saveQaCache);
+    cacheManager.recordApplication(questions, {
+      jobId: cardInfo.jobId,
+      title: cardInfo.title,
+      company: cardInfo.company
+    }, outcome, submitted);
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error recording Q&A cache usage:', error);
+  }
+}
+
+/**
+ * Get the history outcome of an Easy Apply form run
+ * 
+ * @param {boolean} success - What handleEasyApplyForm returned
+ * @returns {string} - One of ApplicationHistory.OUTCOMES
+ */
+function getApplicationOutcome(success) {
+  if (success) {
+    return dryRunMode ? ApplicationHistory.OUTCOMES.DRY_RUN : ApplicationHistory.OUTCOMES.SUBMITTED;
+  }
+  if (window.easyApplyStop) {
+    return ApplicationHistory.OUTCOMES.STOPPED;
+  }
+  if (lastAnswerPolicySkipReason) {
+    return ApplicationHistory.OUTCOMES.SKIPPED_NEEDS_REVIEW;
+  }
+  return typeof ReviewOverlay === 'function' && lastReviewDecision === ReviewOverlay.DECISIONS.SKIP ?
+    ApplicationHistory.OUTCOMES.SKIPPED_BY_USER :
+    ApplicationHistory.OUTCOMES.FAILED_STUCK;
+}
+
+/**
+ * Get the history details of an Easy Apply form run
+ * 
+ * @returns {Object} - {questions}, plus the skip reason if the answer policy skipped it
+ */
+function getApplicationDetails() {
+  return lastAnswerPolicySkipReason ?
+    { questions: lastApplicationAnswers, skipReason: lastAnswerPolicySkipReason } :
+    { questions: lastApplicationAnswers };
+}
+
+/**
+ * Apply to the job shown on a single job view page (/jobs/view/<id>)
+ * 
+ * @returns {Promise<void>}
+ */
+async function applyToViewedJob() {
+  if (!jobDetector) {
+    jobDetector = new JobDetector();
+  }
+  
+  resetApplicationState();
+  const jobInfo = jobDetector.getViewedJobInfo();
+  console.log(`[EasyApplyPlugin] Applying to viewed job: ${jobInfo.title} at ${jobInfo.company}`);
+  reportAutomationEvent(AutomationManager.EVENTS.JOB_STARTED, { job: getJobSummary(jobInfo), checkpoint: getCheckpoint(0) });
+  
+  await waitWhilePaused();
+  if (window.easyApplyStop) return;
+  
+  if (jobDetector.isViewedJobAlreadyApplied()) {
+    console.log('[EasyApplyPlugin] This job is already applied to, skipping');
+    await recordJobOutcome(jobInfo, ApplicationHistory.OUTCOMES.SKIPPED_ALREADY_APPLIED);
+    return;
+  }
+  
+  if (await isJobFilteredOut(jobInfo) || await isJobBelowMatchThreshold(jobInfo)) {
+    return;
+  }
+  
+  let applyButton = null;
+  try {
+    applyButton = await jobDetector.waitForEasyApplyButton(isElementVisible);
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error waiting for Apply button:', error);
+  }
+  
+  const buttonText = applyButton && applyButton.textContent ? applyButton.textContent.trim().toLowerCase() : '';
+  if (!buttonText.includes('easy apply')) {
+    console.log('[EasyApplyPlugin] No Easy Apply button on this job, skipping');
+    await recordJobOutcome(jobInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
+    return;
+  }
+  
+  if (!(await requestApplicationSlot(jobInfo))) {
+    return;
+  }
+  
+  try {
+    applyButton.click();
+    await waitForModalToBeVisible(5000);
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error clicking Easy Apply button or waiting for modal:', error);
+    await recordJobOutcome(jobInfo, ApplicationHistory.OUTCOMES.FAILED_STUCK);
+    return;
+  }
+  
+  let success = false;
+  try {
+    success = await handleEasyApplyForm();
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error handling application form:', error);
+  }
+  
+  console.log(`[EasyApplyPlugin] ${success ? 'Successfully applied' : 'Failed to apply'} to viewed job`);
+  await recordJobOutcome({ ...jobInfo, isEasyApply: true }, getApplicationOutcome(success), getApplicationDetails());
+}
+
+/**
+ * Collect the jobs on the "My Jobs → Saved" list, following its pages, and hand
+ * them to the background service worker, which then visits each job's page
+ * 
+ * @returns {Promise<void>}
+ */
+async function listSavedJobs() {
+  if (!jobDetector) {
+    jobDetector = new JobDetector();
+  }
+  
+  const jobs = new Map();
+  while (!window.easyApplyStop) {
+    jobDetector.getSavedJobs().forEach(job => jobs.set(job.jobId, job));
+    
+    const nextButton = jobDetector.getNextPageButton(isElementVisible);
+    if (!nextButton || !(await canOpenNextPage())) break;
+    
+    nextButton.click();
+    currentPageNumber++;
+    await new Promise(r => setTimeout(r, 3000)); // Wait for page to load
+  }
+  
+  if (window.easyApplyStop) return;
+  
+  console.log(`[EasyApplyPlugin] Found ${jobs.size} saved jobs to apply to`);
+  reportAutomationEvent(AutomationManager.EVENTS.JOBS_LISTED, { jobs: Array.from(jobs.values()) });
+}
+
+/**
+ * Report automation progress to the background AutomationManager, which owns the session state
+ * 
+ * @param {string} type - One of AutomationManager.EVENTS
+ * @param {Object} [data={}] - Event data (e.g. job, outcome)
+ */
+function reportAutomationEvent(type, data = {}) {
+  try {
+    chrome.runtime.sendMessage({ action: 'automationEvent', type, ...data }, () => {
+      if (chrome.runtime.lastError) {
+        console.log('[EasyApplyPlugin] Could not report automation event:', chrome.runtime.lastError.message);
+      }
+    });
+  } catch (error) {
+    // The extension was reloaded while this content script was running
+    console.error('[EasyApplyPlugin] Error reporting automation event:', error);
+  }
+}
+
+/**
+ * Hold while the session is paused. Returns right away if it is not, and as
+ * soon as the session is resumed or stopped.
+ * 
+ * @returns {Promise<void>}
+ */
+async function waitWhilePaused() {
+  if (!automationPaused || window.easyApplyStop) return;
+  
+  console.log('[EasyApplyPlugin] Automation paused, waiting to be resumed');
+  while (automationPaused && !window.easyApplyStop) {
+    await new Promise(r => setTimeout(r, 500));
+  }
+  console.log('[EasyApplyPlugin] Automation resumed');
+}
+
+/**
+ * Ask the background service worker whether the quotas allow applying to a
+ * job, then wait out the pause between applications. When the schedule or the
+ * daily limit pauses the session, holds until it is resumed and asks again.
+ * 
+ * @param {Object} jobInfo - Job info from JobDetector.getJobCardInfo
+ * @returns {Promise<boolean>} - Whether to apply; false if the job was skipped or the session stopped
+ */
+async function requestApplicationSlot(jobInfo) {
+  const { ACTIONS } = ApplicationQuota;
+  
+  while (!window.easyApplyStop) {
+    let decision = null;
+    try {
+      decision = await chrome.runtime.sendMessage({ action: 'requestApplicationSlot', company: jobInfo.company || '' });
+    } catch (error) {
+      console.log('[EasyApplyPlugin] Could not check application quotas:', error.message);
+      return true;
+    }
+    
+    if (!decision || decision.error || decision.action === ACTIONS.ALLOW) {
+      if (decision && decision.delayMs) {
+        await waitForPacingDelay(decision.delayMs);
+      }
+      return !window.easyApplyStop;
+    }
+    
+    if (decision.action === ACTIONS.SKIP) {
+      console.log(`[EasyApplyPlugin] ${decision.reason}, skipping job`);
+      await recordJobOutcome(jobInfo, ApplicationHistory.OUTCOMES.SKIPPED_QUOTA, { skipReason: decision.reason });
+      return false;
+    }
+    
+    if (decision.action === ACTIONS.STOP) {
+      console.log(`[EasyApplyPlugin] ${decision.reason}, stopping automation`);
+      window.easyApplyStop = true;
+      return false;
+    }
+    
+    console.log(`[EasyApplyPlugin] ${decision.reason}, pausing until ${new Date(decision.resumeAt).toLocaleString()}`);
+    automationPaused = true;
+    await waitWhilePaused();
+  }
+  
+  return false;
+}
+
+/**
+ * Wait before the next application, returning early if the session is stopped
+ * 
+ * @param {number} delayMs - Delay in ms
+ * @returns {Promise<void>}
+ */
+async function waitForPacingDelay(delayMs) {
+  console.log(`[EasyApplyPlugin] Waiting ${Math.round(delayMs / 1000)}s before the next application`);
+  const until = Date.now() + delayMs;
+  while (Date.now() < until && !window.easyApplyStop) {
+    await new Promise(r => setTimeout(r, Math.min(500, until - Date.now())));
+  }
+  await waitWhilePaused();
+}
+
+/**
+ * Ask the background service worker whether the session may move on to the next results page
+ * 
+ * @returns {Promise<boolean>}
+ */
+async function canOpenNextPage() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'requestNextPage', pageNumber: currentPageNumber + 1 });
+    if (response && response.allowed === false) {
+      console.log(`[EasyApplyPlugin] ${response.reason}, not moving to the next page`);
+      return false;
+    }
+  } catch (error) {
+    console.log('[EasyApplyPlugin] Could not check the page limit:', error.message);
+  }
+  return true;
+}
+
+/**
+ * Get the checkpoint reported with each job so a session can be resumed from it
+ * 
+ * @param {number} cardIndex - Index of the job card on the current page
+ * @returns {{searchUrl: string, pageNumber: number, cardIndex: number}}
+ */
+function getCheckpoint(cardIndex) {
+  return {
+    searchUrl: AutomationManager.parseSearchPage(window.location.href).searchUrl,
+    pageNumber: currentPageNumber,
+    cardIndex
+  };
+}
+
+/**
+ * Get the card index to start the current page from. Only the checkpoint's
+ * page, when it is the first one processed after resuming, starts past the first card.
+ * 
+ * @param {number} cardCount - Number of cards on the page
+ * @returns {number}
+ */
+function takeResumeCardIndex(cardCount) {
+  const checkpoint = resumeCheckpoint;
+  resumeCheckpoint = null;
+  if (!checkpoint || checkpoint.pageNumber !== currentPageNumber) return 0;
+  
+  const index = Math.min(checkpoint.cardIndex || 0, cardCount);
+  
+  if (index > 0) {
+    console.log(`[EasyApplyPlugin] Resuming from job ${index + 1}/${cardCount}`);
+  }
+  return index;
+}
+
+/**
+ * Prepare the automation state for a new or resumed session
+ * 
+ * @param {Object} message - The start message from the background service worker
+ */
+function beginAutomationSession(message) {
+  window.easyApplyStop = false;
+  automationPaused = false;
+  automationInProgress = true;
+  dryRunMode = !!message.dryRun;
+  pauseAtReview = !!message.pauseAtReview;
+  sessionProfileName = message.profileName || null;
+  resumeCheckpoint = message.resumeFrom || null;
+  currentPageNumber = resumeCheckpoint ?
+    resumeCheckpoint.pageNumber || 1 :
+    AutomationManager.parseSearchPage(window.location.href).pageNumber;
+}
+
+/**
+ * Run the automation requested by a start message
+ * 
+ * @param {Object} message - The start message ('startAutomation' or 'processAllJobs')
+ * @returns {Promise<void>}
+ */
+function runAutomationSession(message) {
+  if (automationInProgress) {
+    console.log('[EasyApplyPlugin] Automation already in progress, ignoring start request');
+    return Promise.resolve();
+  }
+  
+  beginAutomationSession(message);
+  
+  // View and saved jobs pages have their own flows; search and collection pages list job cards
+  const pageType = JobDetector.getPageType(window.location.href);
+  let run = null;
+  if (pageType === JobDetector.PAGE_TYPES.VIEW) {
+    run = applyToViewedJob();
+  } else if (pageType === JobDetector.PAGE_TYPES.SAVED) {
+    run = listSavedJobs();
+  } else if (message.action === 'processAllJobs') {
+    run = processAllJobs();
+  } else {
+    run = automateEasyApply(message.processNonEasyApply || false);
+  }
+  return run.finally(endAutomationSession);
+}
+
+/**
+ * Wait for the job list to render after a page load
+ * 
+ * @param {number} [timeout=15000] - Maximum time to wait in ms
+ * @returns {Promise<boolean>} - Whether job cards appeared
+ */
+async function waitForJobCards(timeout = 15000) {
+  for (let elapsed = 0; elapsed < timeout; elapsed += 1000) {
+    if (jobDetector.getJobCards().length > 0) return true;
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  return false;
+}
+
+/**
+ * Continue the background session if this page load belongs to it, e.g. after
+ * LinkedIn performed a full navigation to the next results page
+ * 
+ * @returns {Promise<void>}
+ */
+async function rehydrateSession() {
+  let response = null;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'rehydrateSession', url: window.location.href });
+  } catch (error) {
+    console.log('[EasyApplyPlugin] Could not check for an active session:', error.message);
+    return;
+  }
+  
+  if (!response || !response.startMessage) return;
+  
+  const { resumeFrom } = response.startMessage;
+  console.log(`[EasyApplyPlugin] Re-hydrating session at page ${resumeFrom.pageNumber}, job ${resumeFrom.cardIndex + 1}`);
+  
+  // A job view page has no job list to wait for
+  const pageType = JobDetector.getPageType(window.location.href);
+  if (pageType !== JobDetector.PAGE_TYPES.VIEW && !(await waitForJobCards())) {
+    console.log('[EasyApplyPlugin] No job cards appeared, continuing anyway');
+  }
+  await runAutomationSession(response.startMessage);
+}
+
+/**
+ * Report the end of the session to the background service worker
+ */
+function endAutomationSession() {
+  automationInProgress = false;
+  reportAutomationEvent(AutomationManager.EVENTS.SESSION_FINISHED);
+}
+
+/**
+ * Get the fields identifying a job in automation events
+ * 
+ * @param {Object} cardInfo - Job info from JobDetector.getJobCardInfo
+ * @returns {{jobId: string, title: string, company: string}}
+ */
+function getJobSummary(cardInfo) {
+  return {
+    jobId: cardInfo.jobId || '',
+    title: cardInfo.title || '',
+    company: cardInfo.company || ''
+  };
+}
+
+/**
+ * Get the data of the profile the automation was started with. The profile is
+ * read on every call so Q&A answers cached earlier in the session are included.
+ * 
+ * @returns {Promise<Object>} - {name, cv, userProfile, qaCache, jobFilters, relevance}
+ */
+async function getSessionProfile() {
+  if (!profileManager) {
+    return chrome.storage.local.get(['cv', 'userProfile', 'qaCache', 'jobFilters', 'relevance']);
+  }
+  
+  const profile = sessionProfileName && await profileManager.getProfile(sessionProfileName);
+  if (profile) return profile;
+  
+  // Not started from the popup (or the profile was deleted): use the active profile
+  const activeProfile = await profileManager.getActiveProfile();
+  sessionProfileName = activeProfile.name;
+  console.log(`[EasyApplyPlugin] Using profile "${sessionProfileName}"`);
+  return activeProfile;
+}
+
+/**
+ * Persist Q&A cache changes to the session's profile. The changes are applied to the
+ * entries as stored, so answers edited in the popup while the session runs are kept.
+ * 
+ * @param {Object} changes - Cache keys mapped to functions returning their new entry
+ *   (see CacheManager.applyChanges)
+ * @returns {Promise<void>}
+ */
+async function saveQaCache(changes) {
+  try {
+    if (!profileManager) {
+      const { qaCache } = await chrome.storage.local.get(['qaCache']);
+      await chrome.storage.local.set({ qaCache: CacheManager.applyChanges(qaCache || {}, changes) });
+      return;
+    }
+    
+    await getSessionProfile();
+    await profileManager.updateQaCache(sessionProfileName, qaCache => CacheManager.applyChanges(qaCache, changes));
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error saving Q&A cache:', error);
+  }
+}
+
+/**
+ * Check a job against the filtering rules saved from the popup and record a skip if it fails them.
+ * Rules are read on every call so changes made in the popup apply to the running session.
+ * 
+ * @param {Object} jobInfo - Job info from JobDetector (card and/or right pane)
+ * @returns {Promise<boolean>} - Whether the job should be skipped
+ */
+async function isJobFilteredOut(jobInfo) {
+  if (typeof JobFilter !== 'function') return false;
+  
+  try {
+    const { jobFilters } = await getSessionProfile();
+    const jobFilter = new JobFilter(jobFilters);
+    if (!jobFilter.hasRules()) return false;
+    
+    const { allowed, reason } = jobFilter.evaluate(jobInfo);
+    if (allowed) return false;
+    
+    console.log(`[EasyApplyPlugin] Skipping "${jobInfo.title}" at "${jobInfo.company}": ${reason}`);
+    await recordJobOutcome(jobInfo, ApplicationHistory.OUTCOMES.SKIPPED_FILTERED, { skipReason: reason });
+    return true;
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error evaluating job filters:', error);
+    return false;
+  }
+}
+
+/**
+ * Fill in job details missing from the card with the ones shown in the right pane
+ * 
+ * @param {Object} cardInfo - Job info from JobDetector.getJobCardInfo
+ * @returns {Object} - Job info including right pane details
+ */
+function withRightPaneInfo(cardInfo) {
+  const paneInfo = jobDetector.getRightPaneJobInfo();
+  
+  return {
+    ...cardInfo,
+    title: cardInfo.title || paneInfo.title,
+    company: cardInfo.company || paneInfo.company,
+    location: cardInfo.location || paneInfo.location,
+    workplaceType: cardInfo.workplaceType || paneInfo.workplaceType,
+    description: paneInfo.description || ''
+  };
+}
+
+/**
+ * Score a job description against the stored CV and record a skip if it is below the
+ * minimum match score configured in the popup (a minimum of 0 disables scoring)
+ * 
+ * @param {Object} jobInfo - Job info including the right pane description
+ * @returns {Promise<boolean>} - Whether the job should be skipped
+ */
+async function isJobBelowMatchThreshold(jobInfo) {
+  if (typeof JobRelevanceScorer !== 'function') return false;
+  
+  try {
+    const profile = await getSessionProfile();
+    const { relevance, cv } = profile;
+    const minScore = relevance ? Number(relevance.minScore) || 0 : 0;
+    if (minScore <= 0) return false;
+    
+    const scorer = new JobRelevanceScorer({
+      cv: cv || '',
+      answerProvider: await createAnswerProvider(profile),
+      useGemini: relevance.useGemini
+    });
+    
+    const result = await scorer.score(jobInfo);
+    if (!result || result.score >= minScore) return false;
+    
+    const reason = `match score ${result.score} is below ${minScore}`;
+    console.log(`[EasyApplyPlugin] Skipping "${jobInfo.title}" at "${jobInfo.company}": ${reason}`);
+    await recordJobOutcome(jobInfo, ApplicationHistory.OUTCOMES.SKIPPED_LOW_MATCH, {
+      skipReason: reason,
+      matchScore: result.score,
+      missingKeywords: result.missingKeywords.slice(0, 10)
+    });
+    return true;
+  } catch (error) {
+    console.error('[EasyApplyPlugin] Error scoring job relevance:', error);
+    return false;
+  }
+}
+
 /**
  * Process job cards one by one
  * 
@@ -1627,7 +2451,10 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
       jobDetector = new JobDetector();
     }
     
-    for (let i = 0; i < cards.length; i++) {
+    for (let i = takeResumeCardIndex(cards.length); i < cards.length; i++) {
+      // Hold here while the session is paused
+      await waitWhilePaused();
+      
       // Check if automation should be stopped
       if (window.easyApplyStop) {
         console.log('[EasyApplyPlugin] Stopping job card processing loop as requested');
@@ -1640,11 +2467,27 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
       const card = cards[i];
       console.log(`[EasyApplyPlugin] Processing job ${i+1}/${cards.length}`);
       
+      // Get job info from card
+      let cardInfo = {};
+      try {
+        cardInfo = jobDetector.getJobCardInfo(card);
+        console.log(`[EasyApplyPlugin] Job: ${cardInfo.title} at ${cardInfo.company}`);
+      } catch (error) {
+        console.error('[EasyApplyPlugin] Error getting job info:', error);
+      }
+      reportAutomationEvent(AutomationManager.EVENTS.JOB_STARTED, { job: getJobSummary(cardInfo), checkpoint: getCheckpoint(i) });
+      
       // Double-check if already applied - sometimes the initial filter misses some
       const isAlreadyApplied = jobDetector.isJobAlreadyApplied(card);
       if (isAlreadyApplied) {
         console.log('[EasyApplyPlugin] This job is already applied to, skipping');
         alreadyAppliedCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_ALREADY_APPLIED);
+        continue;
+      }
+      
+      // Apply the user's filtering rules before clicking anything
+      if (await isJobFilteredOut(cardInfo)) {
         continue;
       }
       
@@ -1659,19 +2502,11 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
         
         if (!processNonEasyApplyAsFallback) {
           console.log('[EasyApplyPlugin] Skipping non-Easy Apply job');
+          await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
           continue;
         }
       }
       
-      // Get job info from card
-      let cardInfo = {};
-      try {
-        cardInfo = jobDetector.getJobCardInfo(card);
-        console.log(`[EasyApplyPlugin] Job: ${cardInfo.title} at ${cardInfo.company}`);
-      } catch (error) {
-        console.error('[EasyApplyPlugin] Error getting job info:', error);
-      }
-      
       // Click on the job card to load details in right pane
       try {
         // First try to find a link element inside the card that should be clicked
@@ -1722,9 +2557,16 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
         }
       }
       
+      // Re-check the filtering rules and the CV match score with the right pane details before clicking Apply
+      const jobInfo = withRightPaneInfo(cardInfo);
+      if (await isJobFilteredOut(jobInfo) || await isJobBelowMatchThreshold(jobInfo)) {
+        continue;
+      }
+      
       if (!applyButton) {
         console.log('[EasyApplyPlugin] No Apply button found, skipping job');
-        failureCount++;
+        nonEasyApplyCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
         continue;
       }
       
@@ -1734,12 +2576,19 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
       
       if (!isEasyApplyButton && !processNonEasyApplyAsFallback) {
         console.log('[EasyApplyPlugin] Apply button is not Easy Apply, skipping job');
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
         continue;
       }
       
       // Only proceed with Easy Apply buttons
       if (!isEasyApplyButton) {
         console.log('[EasyApplyPlugin] This is a regular Apply button, not Easy Apply. Skipping.');
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
+        continue;
+      }
+      
+      // Check the session, daily and company limits and wait out the pause between applications
+      if (!(await requestApplicationSlot(jobInfo))) {
         continue;
       }
       
@@ -1755,6 +2604,7 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
       } catch (error) {
         console.error('[EasyApplyPlugin] Error clicking Apply button or waiting for modal:', error);
         failureCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.FAILED_STUCK);
         continue;
       }
       
@@ -1776,6 +2626,8 @@ async function processJobCards(cards, processNonEasyApplyAsFallback) {
         failureCount++;
       }
       
+      await recordJobOutcome({ ...cardInfo, isEasyApply: true }, getApplicationOutcome(success), getApplicationDetails());
+      
       // Wait a bit before moving to the next job
       await new Promise(r => setTimeout(r, 2000));
     }
@@ -1860,24 +2712,38 @@ async function debugEasyApplyButton() {
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'startAutomation') {
-    window.easyApplyStop = false;
-    const processNonEasyApply = message.processNonEasyApply || false;
-    automateEasyApply(processNonEasyApply);
+    runAutomationSession(message);
     sendResponse({ 
       status: 'Automation started', 
-      processNonEasyApply: processNonEasyApply 
+      processNonEasyApply: !!message.processNonEasyApply,
+      dryRun: dryRunMode,
+      pauseAtReview: pauseAtReview
     });
   } else if (message.action === 'processAllJobs') {
-    window.easyApplyStop = false;
     console.log('[EasyApplyPlugin] Starting to process all jobs one by one');
-    processAllJobs();
+    runAutomationSession(message);
     sendResponse({
       status: 'Processing all jobs started'
     });
+  } else if (message.action === 'pauseAutomation') {
+    automationPaused = true;
+    console.log('[EasyApplyPlugin] Pausing automation after the current field');
+    sendResponse({ status: 'Automation paused', paused: automationInProgress });
+  } else if (message.action === 'resumeAutomation') {
+    // Only a session still running in this page can be released; otherwise the
+    // background restarts it from the checkpoint
+    automationPaused = false;
+    sendResponse({ status: automationInProgress ? 'Automation resumed' : 'No automation in progress', resumed: automationInProgress });
   } else if (message.action === 'stopAutomation') {
     window.easyApplyStop = true;
+    automationPaused = false;
     console.log('[EasyApplyPlugin] Stopping automation as requested by user');
     
+    // Release a pending review so the form loop can exit
+    if (activeReviewOverlay) {
+      activeReviewOverlay.close(ReviewOverlay.DECISIONS.STOP);
+    }
+    
     // Reset application state when stopping
     resetApplicationState();
     
@@ -1912,6 +2778,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 console.log('[EasyApplyPlugin] Content script loaded and ready');
 
+// Pick up a session that was running when this page was loaded
+rehydrateSession();
+
 /**
  * Wait for the modal content to refresh after clicking a navigation button
  * 
@@ -2332,9 +3201,10 @@ async function processAllJobs() {
         console.error('[EasyApplyPlugin] Error getting next page button:', error);
       }
       
-      if (nextButton && !window.easyApplyStop) {
+      if (nextButton && !window.easyApplyStop && await canOpenNextPage()) {
         console.log('[EasyApplyPlugin] Going to next page to look for jobs');
         nextButton.click();
+        currentPageNumber++;
         await new Promise(r => setTimeout(r, 3000)); // Wait for page to load
         await processAllJobs(); // Process next page
       } else {
@@ -2352,7 +3222,10 @@ async function processAllJobs() {
     let nonEasyApplyCount = 0;
     let alreadyAppliedCount = 0;
     
-    for (let i = 0; i < allJobCards.length; i++) {
+    for (let i = takeResumeCardIndex(allJobCards.length); i < allJobCards.length; i++) {
+      // Hold here while the session is paused
+      await waitWhilePaused();
+      
       // Check if automation should be stopped
       if (window.easyApplyStop) {
         console.log('[EasyApplyPlugin] Stopping job processing loop as requested');
@@ -2365,21 +3238,28 @@ async function processAllJobs() {
       const card = allJobCards[i];
       console.log(`[EasyApplyPlugin] Checking job ${i+1}/${allJobCards.length} (ID: ${card.id || 'unknown'})`);
       
+      // Get job info from card
+      let cardInfo = {};
+      try {
+        cardInfo = jobDetector.getJobCardInfo(card);
+        console.log(`[EasyApplyPlugin] Job: ${cardInfo.title || 'Unknown title'} at ${cardInfo.company || 'Unknown company'}`);
+      } catch (error) {
+        console.error('[EasyApplyPlugin] Error getting job info:', error);
+      }
+      reportAutomationEvent(AutomationManager.EVENTS.JOB_STARTED, { job: getJobSummary(cardInfo), checkpoint: getCheckpoint(i) });
+      
       // Check if already applied
       const isAlreadyApplied = jobDetector.isJobAlreadyApplied(card);
       if (isAlreadyApplied) {
         console.log('[EasyApplyPlugin] This job is already applied to, skipping');
         alreadyAppliedCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_ALREADY_APPLIED);
         continue;
       }
       
-      // Get job info from card
-      let cardInfo = {};
-      try {
-        cardInfo = jobDetector.getJobCardInfo(card);
-        console.log(`[EasyApplyPlugin] Job: ${cardInfo.title || 'Unknown title'} at ${cardInfo.company || 'Unknown company'}`);
-      } catch (error) {
-        console.error('[EasyApplyPlugin] Error getting job info:', error);
+      // Apply the user's filtering rules before clicking anything
+      if (await isJobFilteredOut(cardInfo)) {
+        continue;
       }
       
       // Click on the job card to load details in right pane
@@ -2418,9 +3298,16 @@ async function processAllJobs() {
         continue;
       }
       
+      // Re-check the filtering rules and the CV match score with the right pane details before clicking Apply
+      const jobInfo = withRightPaneInfo(cardInfo);
+      if (await isJobFilteredOut(jobInfo) || await isJobBelowMatchThreshold(jobInfo)) {
+        continue;
+      }
+      
       if (!applyButton) {
         console.log('[EasyApplyPlugin] No Apply button found for this job, skipping');
         nonEasyApplyCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
         continue;
       }
       
@@ -2431,6 +3318,7 @@ async function processAllJobs() {
       if (!isEasyApplyButton) {
         console.log('[EasyApplyPlugin] This is a regular Apply button, not Easy Apply. Skipping.');
         nonEasyApplyCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.SKIPPED_NON_EASY_APPLY);
         continue;
       }
       
@@ -2438,6 +3326,11 @@ async function processAllJobs() {
       easyApplyCount++;
       console.log('[EasyApplyPlugin] Found Easy Apply job!');
       
+      // Check the session, daily and company limits and wait out the pause between applications
+      if (!(await requestApplicationSlot(jobInfo))) {
+        continue;
+      }
+      
       // Click the Easy Apply button
       try {
         applyButton.click();
@@ -2450,6 +3343,7 @@ async function processAllJobs() {
       } catch (error) {
         console.error('[EasyApplyPlugin] Error clicking Easy Apply button or waiting for modal:', error);
         failureCount++;
+        await recordJobOutcome(cardInfo, ApplicationHistory.OUTCOMES.FAILED_STUCK);
         continue;
       }
       
@@ -2471,6 +3365,8 @@ async function processAllJobs() {
         failureCount++;
       }
       
+      await recordJobOutcome({ ...cardInfo, isEasyApply: true }, getApplicationOutcome(success), getApplicationDetails());
+      
       // Wait a bit before moving to the next job
       await new Promise(r => setTimeout(r, 2000));
     }
@@ -2486,9 +3382,10 @@ async function processAllJobs() {
       console.error('[EasyApplyPlugin] Error getting next page button:', error);
     }
     
-    if (nextButton && !window.easyApplyStop) {
+    if (nextButton && !window.easyApplyStop && await canOpenNextPage()) {
       console.log('[EasyApplyPlugin] Going to next page');
       nextButton.click();
+      currentPageNumber++;
       await new Promise(r => setTimeout(r, 3000)); // Wait for page to load
       await processAllJobs(); // Process next page
     } else {
@@ -0,0 +1,218 @@
+// Application history dashboard
+
+const applicationHistory = new ApplicationHistory();
+
+// UI Elements
+const searchInput = document.getElementById('filter-search');
+const fromInput = document.getElementById('filter-from');
+const toInput = document.getElementById('filter-to');
+const companySelect = document.getElementById('filter-company');
+const outcomeSelect = document.getElementById('filter-outcome');
+const applyTypeSelect = document.getElementById('filter-apply-type');
+const resetFiltersBtn = document.getElementById('reset-filters');
+const exportCsvBtn = document.getElementById('export-csv');
+const exportJsonBtn = document.getElementById('export-json');
+const clearHistoryBtn = document.getElementById('clear-history');
+const historyStatus = document.getElementById('history-status');
+const historyBody = document.getElementById('history-body');
+
+// All entries loaded from storage
+let allEntries = [];
+
+// Load stored history
+async function loadHistory() {
+  allEntries = await applicationHistory.getAll();
+  populateCompanyFilter(allEntries);
+  render();
+  console.log(`[EasyApplyPlugin] Loaded ${allEntries.length} history entries`);
+}
+
+// Fill the company dropdown with the companies present in the history
+function populateCompanyFilter(entries) {
+  const selected = companySelect.value;
+  const companies = [...new Set(entries.map(entry => entry.company).filter(Boolean))].sort();
+
+  companySelect.innerHTML = '';
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = 'All companies';
+  companySelect.appendChild(allOption);
+
+  companies.forEach(company => {
+    const option = document.createElement('option');
+    option.value = company;
+    option.textContent = company;
+    companySelect.appendChild(option);
+  });
+
+  if (companies.includes(selected)) companySelect.value = selected;
+}
+
+// Apply the current filters to the loaded entries
+function getFilteredEntries() {
+  const search = searchInput.value.trim().toLowerCase();
+  const from = fromInput.value ? new Date(`${fromInput.value}T00:00:00`) : null;
+  const to = toInput.value ? new Date(`${toInput.value}T23:59:59.999`) : null;
+  const company = companySelect.value;
+  const outcome = outcomeSelect.value;
+  const applyType = applyTypeSelect.value;
+
+  return allEntries.filter(entry => {
+    const timestamp = new Date(entry.timestamp);
+    if (from && timestamp < from) return false;
+    if (to && timestamp > to) return false;
+    if (company && entry.company !== company) return false;
+    if (outcome && entry.outcome !== outcome) return false;
+    if (applyType === 'easy' && !entry.isEasyApply) return false;
+    if (applyType === 'external' && entry.isEasyApply) return false;
+    if (search && !(entry.title || '').toLowerCase().includes(search)) return false;
+    return true;
+  });
+}
+
+// Render the filtered entries into the table
+function render() {
+  const entries = getFilteredEntries();
+  historyBody.innerHTML = '';
+
+  entries.forEach(entry => {
+    const row = document.createElement('tr');
+
+    const cells = [
+      new Date(entry.timestamp).toLocaleString(),
+      entry.title || '(unknown)',
+      entry.company || '',
+      entry.location || '',
+      entry.isEasyApply ? 'Easy Apply' : 'External'
+    ];
+
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      if (index === 1 && entry.url) {
+        const link = document.createElement('a');
+        link.href = entry.url;
+        link.target = '_blank';
+        link.textContent = text;
+        cell.appendChild(link);
+      } else {
+        cell.textContent = text;
+      }
+      row.appendChild(cell);
+    });
+
+    const outcomeCell = document.createElement('td');
+    outcomeCell.className = `outcome-${entry.outcome}`;
+    outcomeCell.textContent = entry.skipReason ? `${entry.outcome}: ${entry.skipReason}` : entry.outcome;
+    row.appendChild(outcomeCell);
+
+    const questionsCell = document.createElement('td');
+    const questions = entry.questions || [];
+    if (questions.length > 0) {
+      const toggle = document.createElement('button');
+      toggle.className = 'toggle-questions';
+      toggle.textContent = `Show ${questions.length}`;
+
+      const list = document.createElement('ul');
+      list.className = 'questions';
+      list.style.display = 'none';
+      questions.forEach(({ question, answer, source, confidence, rationale }) => {
+        const item = document.createElement('li');
+        item.textContent = source ? `${question}: ${answer} (${source})` : `${question}: ${answer}`;
+        if (rationale) {
+          const why = document.createElement('div');
+          why.className = 'rationale';
+          why.textContent = `${rationale}${confidence !== undefined && confidence !== null ? ` (confidence ${Math.round(confidence * 100)}%)` : ''}`;
+          item.appendChild(why);
+        }
+        list.appendChild(item);
+      });
+
+      toggle.onclick = () => {
+        const hidden = list.style.display === 'none';
+        list.style.display = hidden ? 'block' : 'none';
+        toggle.textContent = hidden ? 'Hide' : `Show ${questions.length}`;
+      };
+
+      questionsCell.appendChild(toggle);
+      questionsCell.appendChild(list);
+    }
+    row.appendChild(questionsCell);
+
+    historyBody.appendChild(row);
+  });
+
+  historyStatus.textContent = `Showing ${entries.length} of ${allEntries.length} entries`;
+}
+
+// Build a CSV document from history entries
+// Scraped titles and company names may start with "=" or "+", so values are escaped like the Q&A cache export's
+function toCsv(entries) {
+  const columns = ['timestamp', 'jobId', 'title', 'company', 'location', 'url', 'isEasyApply', 'outcome', 'skipReason', 'matchScore'];
+  const lines = [[...columns, 'questions'].join(',')];
+
+  entries.forEach(entry => {
+    const questions = (entry.questions || [])
+      .map(({ question, answer }) => `${question}: ${answer}`)
+      .join(' | ');
+    lines.push([...columns.map(column => entry[column]), questions].map(QACacheTransfer.toCsvValue).join(','));
+  });
+
+  return lines.join('\n');
+}
+
+// Trigger a file download from the dashboard
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Filters
+[searchInput, fromInput, toInput, companySelect, outcomeSelect, applyTypeSelect].forEach(input => {
+  input.addEventListener('input', render);
+  input.addEventListener('change', render);
+});
+
+resetFiltersBtn.onclick = () => {
+  searchInput.value = '';
+  fromInput.value = '';
+  toInput.value = '';
+  companySelect.value = '';
+  outcomeSelect.value = '';
+  applyTypeSelect.value = '';
+  render();
+};
+
+// Export CSV
+exportCsvBtn.onclick = () => {
+  const entries = getFilteredEntries();
+  download(`easy-apply-history-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(entries), 'text/csv');
+  console.log(`[EasyApplyPlugin] Exported ${entries.length} history entries as CSV`);
+};
+
+// Export JSON
+exportJsonBtn.onclick = () => {
+  const entries = getFilteredEntries();
+  download(`easy-apply-history-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(entries, null, 2), 'application/json');
+  console.log(`[EasyApplyPlugin] Exported ${entries.length} history entries as JSON`);
+};
+
+// Clear History
+clearHistoryBtn.onclick = async () => {
+  if (!confirm('Delete the entire application history?')) return;
+  await applicationHistory.clear();
+  await loadHistory();
+};
+
+// Keep the view in sync while the automation is running
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[applicationHistory.storageKey]) {
+    loadHistory();
+  }
+});
+
+// On load
+loadHistory();
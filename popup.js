@@ -6,54 +6,303 @@ function setStorage(obj) {
   return new Promise(resolve => chrome.storage.local.set(obj, resolve));
 }
 
+// Named profiles holding the CV, user profile, Q&A cache and filters
+const profileManager = new ProfileManager();
+
+// Session, daily and company limits, pacing and schedule
+const applicationQuota = new ApplicationQuota();
+
+// What to do when filled answers need review
+const answerPolicy = new AnswerPolicy();
+
+// Saved searches run by the search queue
+const savedSearches = new SavedSearches();
+
+// Questions answered by the language model or a default, waiting for the user
+const questionInbox = new QuestionInbox();
+
+// Language model backend answering form questions
+const llmSettings = new LLMSettings();
+
 // UI Elements
+const profileSelect = document.getElementById('profile-select');
+const deleteProfileBtn = document.getElementById('delete-profile');
+const newProfileNameInput = document.getElementById('new-profile-name');
+const copyProfileCheckbox = document.getElementById('copy-profile');
+const createProfileBtn = document.getElementById('create-profile');
+const profileStatus = document.getElementById('profile-status');
 const cvTextarea = document.getElementById('cv');
 const saveCvBtn = document.getElementById('save-cv');
 const cvStatus = document.getElementById('cv-status');
+const llmBackendSelect = document.getElementById('llm-backend');
+const llmGeminiSettings = document.getElementById('llm-gemini-settings');
+const llmOpenaiSettings = document.getElementById('llm-openai-settings');
 const apiKeyInput = document.getElementById('api-key');
+const geminiModelInput = document.getElementById('gemini-model');
+const openaiBaseUrlInput = document.getElementById('openai-base-url');
+const openaiModelInput = document.getElementById('openai-model');
+const openaiApiKeyInput = document.getElementById('openai-api-key');
 const saveApiKeyBtn = document.getElementById('save-api-key');
 const apiStatus = document.getElementById('api-status');
 const qaQuestion = document.getElementById('qa-question');
 const qaAnswer = document.getElementById('qa-answer');
 const addQaBtn = document.getElementById('add-qa');
 const qaList = document.getElementById('qa-list');
+const checkQaMatchBtn = document.getElementById('check-qa-match');
+const qaMatch = document.getElementById('qa-match');
+const qaSearchInput = document.getElementById('qa-search');
+const qaSortSelect = document.getElementById('qa-sort');
+const qaFilterSelect = document.getElementById('qa-filter');
+const qaCount = document.getElementById('qa-count');
+const deleteShownQaBtn = document.getElementById('delete-shown-qa');
+const exportQaJsonBtn = document.getElementById('export-qa-json');
+const exportQaCsvBtn = document.getElementById('export-qa-csv');
+const exportQaPersonalCheckbox = document.getElementById('export-qa-personal');
+const qaImportModeSelect = document.getElementById('qa-import-mode');
+const qaImportFileInput = document.getElementById('qa-import-file');
+const importQaBtn = document.getElementById('import-qa');
+const qaTransferStatus = document.getElementById('qa-transfer-status');
+const inboxCount = document.getElementById('inbox-count');
+const inboxList = document.getElementById('inbox-list');
+const alwaysAskList = document.getElementById('always-ask-list');
 const startBtn = document.getElementById('start-automation');
 const processAllJobsBtn = document.getElementById('process-all-jobs');
 const automationStatus = document.getElementById('automation-status');
+const sessionStatus = document.getElementById('session-status');
 const stopBtn = document.getElementById('stop-automation');
+const pauseBtn = document.getElementById('pause-automation');
+const resumeBtn = document.getElementById('resume-automation');
 const debugBtn = document.getElementById('debug-button');
 const processNonEasyApplyCheckbox = document.getElementById('process-non-easy-apply');
 const debugApplyBtn = document.getElementById('debug-apply-button');
+const viewHistoryBtn = document.getElementById('view-history');
+const editProfileBtn = document.getElementById('edit-profile');
+const dryRunCheckbox = document.getElementById('dry-run');
+const pauseAtReviewCheckbox = document.getElementById('pause-at-review');
+const filterTitleIncludeInput = document.getElementById('filter-title-include');
+const filterTitleExcludeInput = document.getElementById('filter-title-exclude');
+const filterCompanyBlocklistInput = document.getElementById('filter-company-blocklist');
+const filterLocationAllowlistInput = document.getElementById('filter-location-allowlist');
+const workplaceTypeCheckboxes = [
+  document.getElementById('filter-remote'),
+  document.getElementById('filter-hybrid'),
+  document.getElementById('filter-on-site')
+];
+const filterExcludePromotedCheckbox = document.getElementById('filter-exclude-promoted');
+const minMatchScoreInput = document.getElementById('min-match-score');
+const useGeminiScoringCheckbox = document.getElementById('use-gemini-scoring');
+const saveFiltersBtn = document.getElementById('save-filters');
+const filtersStatus = document.getElementById('filters-status');
+const quotaSessionInput = document.getElementById('quota-session');
+const quotaPagesInput = document.getElementById('quota-pages');
+const quotaDayInput = document.getElementById('quota-day');
+const quotaCompanyInput = document.getElementById('quota-company');
+const pacingMinInput = document.getElementById('pacing-min');
+const pacingMaxInput = document.getElementById('pacing-max');
+const scheduleEnabledCheckbox = document.getElementById('schedule-enabled');
+const scheduleStartInput = document.getElementById('schedule-start');
+const scheduleEndInput = document.getElementById('schedule-end');
+const scheduleMaxInput = document.getElementById('schedule-max');
+const searchNameInput = document.getElementById('search-name');
+const searchKeywordsInput = document.getElementById('search-keywords');
+const searchLocationInput = document.getElementById('search-location');
+const searchEasyApplyCheckbox = document.getElementById('search-easy-apply');
+const searchDatePostedSelect = document.getElementById('search-date-posted');
+const searchLevelCheckboxes = [
+  document.getElementById('search-level-internship'),
+  document.getElementById('search-level-entry'),
+  document.getElementById('search-level-associate'),
+  document.getElementById('search-level-mid-senior'),
+  document.getElementById('search-level-director'),
+  document.getElementById('search-level-executive')
+];
+const searchUrlInput = document.getElementById('search-url');
+const addSearchBtn = document.getElementById('add-search');
+const runSearchQueueBtn = document.getElementById('run-search-queue');
+const searchStatus = document.getElementById('search-status');
+const searchList = document.getElementById('search-list');
+const jobListTextarea = document.getElementById('job-list');
+const applyJobListBtn = document.getElementById('apply-job-list');
+const jobListStatus = document.getElementById('job-list-status');
+const saveQuotasBtn = document.getElementById('save-quotas');
+const quotasStatus = document.getElementById('quotas-status');
+const policyActionSelect = document.getElementById('policy-action');
+const policyRequiredOnlyCheckbox = document.getElementById('policy-required-only');
+const policyFlagDefaultsCheckbox = document.getElementById('policy-flag-defaults');
+const policyFlagUnratedCheckbox = document.getElementById('policy-flag-unrated');
+const policyMinConfidenceInput = document.getElementById('policy-min-confidence');
+const savePolicyBtn = document.getElementById('save-policy');
+const policyStatus = document.getElementById('policy-status');
 
 // Load stored data
 async function loadData() {
-  const { cv, geminiApiKey, qaCache, processNonEasyApply } = await getStorage(['cv', 'geminiApiKey', 'qaCache', 'processNonEasyApply']);
-  if (cv) cvTextarea.value = cv;
-  if (geminiApiKey) apiKeyInput.value = geminiApiKey;
+  const { processNonEasyApply, dryRun, pauseAtReview } = await getStorage(['processNonEasyApply', 'dryRun', 'pauseAtReview']);
+  const llm = await llmSettings.getSettings();
+  renderLlmSettings(llm);
   if (processNonEasyApply !== undefined) processNonEasyApplyCheckbox.checked = processNonEasyApply;
-  renderQaList(qaCache || {});
+  if (dryRun !== undefined) dryRunCheckbox.checked = dryRun;
+  if (pauseAtReview !== undefined) pauseAtReviewCheckbox.checked = pauseAtReview;
   console.log('[EasyApplyPlugin] Loaded persisted data:', {
+    llmBackend: llm.backend,
+    processNonEasyApply: processNonEasyApply,
+    dryRun: dryRun,
+    pauseAtReview: pauseAtReview
+  });
+  await loadProfileData();
+  renderQuotaSettings(await applicationQuota.getSettings());
+  renderAnswerPolicy(await answerPolicy.getSettings());
+  renderSearchList(await savedSearches.getAll());
+  
+  const { state } = await sendToBackground({ action: 'getSessionState' });
+  renderSessionState(state);
+}
+
+// Load the active profile's CV, Q&A cache and filters
+async function loadProfileData() {
+  const names = await profileManager.getProfileNames();
+  const { name, cv, qaCache, jobFilters, relevance } = await profileManager.getActiveProfile();
+  renderProfileSelect(names, name);
+  cvTextarea.value = cv || '';
+  renderJobFilters(jobFilters || {});
+  minMatchScoreInput.value = (relevance && relevance.minScore) || 0;
+  useGeminiScoringCheckbox.checked = !!(relevance && relevance.useGemini);
+  renderQaList(qaCache || {});
+  await loadInbox();
+  console.log('[EasyApplyPlugin] Loaded profile:', {
+    name: name,
     cv: cv ? cv.slice(0, 100) + (cv.length > 100 ? '...' : '') : '(none)',
-    apiKey: geminiApiKey ? geminiApiKey.slice(0, 6) + '...' : '(none)',
     qaCount: qaCache ? Object.keys(qaCache).length : 0,
-    processNonEasyApply: processNonEasyApply
+    jobFilters: jobFilters,
+    relevance: relevance
+  });
+}
+
+// Show the profiles in the selector
+function renderProfileSelect(names, activeName) {
+  profileSelect.innerHTML = '';
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    profileSelect.appendChild(option);
   });
+  profileSelect.value = activeName;
+  deleteProfileBtn.disabled = names.length < 2;
 }
 
+// Show a profile status message
+function showProfileStatus(message) {
+  profileStatus.textContent = message;
+  setTimeout(() => (profileStatus.textContent = ''), 1500);
+}
+
+// Split a comma separated input into a list
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Show saved job filters in the form
+function renderJobFilters(filters) {
+  filterTitleIncludeInput.value = (filters.titleInclude || []).join(', ');
+  filterTitleExcludeInput.value = (filters.titleExclude || []).join(', ');
+  filterCompanyBlocklistInput.value = (filters.companyBlocklist || []).join(', ');
+  filterLocationAllowlistInput.value = (filters.locationAllowlist || []).join(', ');
+  workplaceTypeCheckboxes.forEach(checkbox => {
+    checkbox.checked = (filters.workplaceTypes || []).includes(checkbox.value);
+  });
+  filterExcludePromotedCheckbox.checked = !!filters.excludePromoted;
+}
+
+// Switch Profile
+profileSelect.onchange = async () => {
+  await profileManager.setActiveProfile(profileSelect.value);
+  await loadProfileData();
+  showProfileStatus('Profile switched!');
+  console.log('[EasyApplyPlugin] Active profile persisted:', profileSelect.value);
+};
+
+// Create Profile
+createProfileBtn.onclick = async () => {
+  const name = newProfileNameInput.value.trim();
+  if (!name) return;
+  try {
+    await profileManager.createProfile(name, copyProfileCheckbox.checked ? profileSelect.value : null);
+  } catch (error) {
+    showProfileStatus(error.message);
+    return;
+  }
+  newProfileNameInput.value = '';
+  await loadProfileData();
+  showProfileStatus('Profile created!');
+  console.log('[EasyApplyPlugin] Profile created and persisted:', name);
+};
+
+// Delete Profile
+deleteProfileBtn.onclick = async () => {
+  const name = profileSelect.value;
+  if (!confirm(`Delete profile "${name}" with its CV, Q&A cache and filters?`)) return;
+  try {
+    await profileManager.deleteProfile(name);
+  } catch (error) {
+    showProfileStatus(error.message);
+    return;
+  }
+  await loadProfileData();
+  showProfileStatus('Profile deleted!');
+  console.log('[EasyApplyPlugin] Profile deleted:', name);
+};
+
 // Save CV
 saveCvBtn.onclick = async () => {
-  await setStorage({ cv: cvTextarea.value });
+  await profileManager.updateActiveProfile({ cv: cvTextarea.value });
   cvStatus.textContent = 'CV saved!';
   setTimeout(() => (cvStatus.textContent = ''), 1500);
   console.log('[EasyApplyPlugin] CV persisted:', cvTextarea.value.slice(0, 100) + (cvTextarea.value.length > 100 ? '...' : ''));
 };
 
-// Save API Key
+// Show the settings of the selected language model backend
+function renderLlmSettings(settings) {
+  llmBackendSelect.value = settings.backend;
+  apiKeyInput.value = settings.geminiApiKey || '';
+  geminiModelInput.value = settings.geminiModel || '';
+  openaiBaseUrlInput.value = settings.openaiBaseUrl || '';
+  openaiModelInput.value = settings.openaiModel || '';
+  openaiApiKeyInput.value = settings.openaiApiKey || '';
+  showLlmBackendSettings();
+}
+
+function showLlmBackendSettings() {
+  llmGeminiSettings.style.display = llmBackendSelect.value === LLMSettings.BACKENDS.GEMINI ? '' : 'none';
+  llmOpenaiSettings.style.display = llmBackendSelect.value === LLMSettings.BACKENDS.OPENAI ? '' : 'none';
+}
+
+llmBackendSelect.onchange = showLlmBackendSettings;
+
+// Save the language model settings
+// The service worker sends the requests, so it is granted the server's origin first, while the click still counts
 saveApiKeyBtn.onclick = async () => {
-  await setStorage({ geminiApiKey: apiKeyInput.value });
-  apiStatus.textContent = 'API key saved!';
+  const settings = {
+    backend: llmBackendSelect.value,
+    geminiApiKey: apiKeyInput.value.trim(),
+    geminiModel: geminiModelInput.value.trim(),
+    openaiBaseUrl: openaiBaseUrlInput.value.trim(),
+    openaiModel: openaiModelInput.value.trim(),
+    openaiApiKey: openaiApiKeyInput.value.trim()
+  };
+  try {
+    const origins = LLMSettings.getPermissionOrigins(settings);
+    if (origins.length && !(await chrome.permissions.request({ origins }))) {
+      throw new Error(`Access to ${origins.join(', ')} was not granted`);
+    }
+    await llmSettings.saveSettings(settings);
+  } catch (error) {
+    apiStatus.textContent = error.message;
+    setTimeout(() => (apiStatus.textContent = ''), 3000);
+    return;
+  }
+  apiStatus.textContent = 'Model settings saved!';
   setTimeout(() => (apiStatus.textContent = ''), 1500);
-  console.log('[EasyApplyPlugin] API key persisted:', apiKeyInput.value ? apiKeyInput.value.slice(0, 6) + '...' : '(none)');
+  console.log('[EasyApplyPlugin] Language model persisted:', llmBackendSelect.value);
 };
 
 // Save process non-Easy Apply setting
@@ -62,44 +311,376 @@ processNonEasyApplyCheckbox.onchange = async () => {
   console.log('[EasyApplyPlugin] Process non-Easy Apply setting persisted:', processNonEasyApplyCheckbox.checked);
 };
 
+// Save dry run setting
+dryRunCheckbox.onchange = async () => {
+  await setStorage({ dryRun: dryRunCheckbox.checked });
+  console.log('[EasyApplyPlugin] Dry run setting persisted:', dryRunCheckbox.checked);
+};
+
+// Save pause at review setting
+pauseAtReviewCheckbox.onchange = async () => {
+  await setStorage({ pauseAtReview: pauseAtReviewCheckbox.checked });
+  console.log('[EasyApplyPlugin] Pause at review setting persisted:', pauseAtReviewCheckbox.checked);
+};
+
+// Save job filters
+saveFiltersBtn.onclick = async () => {
+  const jobFilters = {
+    titleInclude: parseList(filterTitleIncludeInput.value),
+    titleExclude: parseList(filterTitleExcludeInput.value),
+    companyBlocklist: parseList(filterCompanyBlocklistInput.value),
+    locationAllowlist: parseList(filterLocationAllowlistInput.value),
+    workplaceTypes: workplaceTypeCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+    excludePromoted: filterExcludePromotedCheckbox.checked
+  };
+  const relevance = {
+    minScore: Math.max(0, Math.min(100, parseInt(minMatchScoreInput.value, 10) || 0)),
+    useGemini: useGeminiScoringCheckbox.checked
+  };
+  await profileManager.updateActiveProfile({ jobFilters, relevance });
+  minMatchScoreInput.value = relevance.minScore;
+  filtersStatus.textContent = 'Filters saved!';
+  setTimeout(() => (filtersStatus.textContent = ''), 1500);
+  console.log('[EasyApplyPlugin] Job filters persisted:', jobFilters, relevance);
+};
+
+// Show a saved searches status message
+function showSearchStatus(message, duration = 1500) {
+  searchStatus.textContent = message;
+  setTimeout(() => (searchStatus.textContent = ''), duration);
+}
+
+// Format per-outcome counters
+function formatCounters(counters) {
+  return `${counters.processed} processed, ${counters.submitted} submitted, ${counters.dryRun} dry run, ` +
+    `${counters.skipped} skipped, ${counters.failed} failed`;
+}
+
+// Show the saved searches with the stats of their last run
+function renderSearchList(searches) {
+  searchList.innerHTML = '';
+  searches.forEach((search, index) => {
+    const div = document.createElement('div');
+    div.className = 'search-item';
+    const name = document.createElement('span');
+    name.className = 'search-name';
+    name.textContent = `${index + 1}. ${search.name}${search.profile ? ` (${search.profile})` : ''}`;
+    name.title = search.url;
+    const stats = document.createElement('div');
+    stats.className = 'small';
+    stats.textContent = search.lastRun ?
+      `Last run ${new Date(search.lastRun.finishedAt).toLocaleString()}: ${formatCounters(search.lastRun.counters)}` :
+      'Not run yet';
+    const actions = document.createElement('span');
+    actions.className = 'search-actions';
+    const delBtn = document.createElement('button');
+    delBtn.textContent = 'Delete';
+    delBtn.onclick = async () => {
+      await savedSearches.remove(search.id);
+      renderSearchList(await savedSearches.getAll());
+      console.log('[EasyApplyPlugin] Saved search deleted:', search.name);
+    };
+    actions.appendChild(delBtn);
+    div.appendChild(actions);
+    div.appendChild(name);
+    div.appendChild(stats);
+    searchList.appendChild(div);
+  });
+}
+
+// Add Search
+addSearchBtn.onclick = async () => {
+  const url = searchUrlInput.value.trim() || SavedSearches.buildUrl({
+    keywords: searchKeywordsInput.value,
+    location: searchLocationInput.value,
+    easyApplyOnly: searchEasyApplyCheckbox.checked,
+    datePosted: searchDatePostedSelect.value,
+    experienceLevels: searchLevelCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+  });
+  try {
+    const search = await savedSearches.add({ name: searchNameInput.value, url, profile: profileSelect.value });
+    console.log('[EasyApplyPlugin] Saved search persisted:', search);
+  } catch (error) {
+    showSearchStatus(error.message, 3000);
+    return;
+  }
+  searchNameInput.value = '';
+  searchKeywordsInput.value = '';
+  searchLocationInput.value = '';
+  searchUrlInput.value = '';
+  renderSearchList(await savedSearches.getAll());
+  showSearchStatus('Search saved!');
+};
+
+// Run Search Queue
+runSearchQueueBtn.onclick = async () => {
+  const searches = await savedSearches.getAll();
+  if (!searches.length) {
+    showSearchStatus('No saved searches!', 3000);
+    return;
+  }
+  startSession(AutomationManager.MODES.QUEUE, 'Search queue started!', { searches });
+};
+
+// Apply to Listed Jobs
+applyJobListBtn.onclick = () => {
+  const { jobs, invalid } = JobDetector.parseJobList(jobListTextarea.value);
+  if (invalid.length || !jobs.length) {
+    jobListStatus.textContent = invalid.length ? `Not a job URL or ID: ${invalid.join(', ')}` : 'Paste job URLs or IDs first!';
+    setTimeout(() => (jobListStatus.textContent = ''), 3000);
+    return;
+  }
+  startSession(AutomationManager.MODES.JOB_LIST, `Applying to ${jobs.length} jobs!`, { jobs });
+};
+
+// Show the quota settings in the form
+function renderQuotaSettings(settings) {
+  quotaSessionInput.value = settings.maxApplicationsPerSession;
+  quotaPagesInput.value = settings.maxPagesPerSession;
+  quotaDayInput.value = settings.maxApplicationsPerDay;
+  quotaCompanyInput.value = settings.maxApplicationsPerCompany;
+  pacingMinInput.value = settings.minDelaySeconds;
+  pacingMaxInput.value = settings.maxDelaySeconds;
+  scheduleEnabledCheckbox.checked = !!settings.schedule.enabled;
+  scheduleStartInput.value = settings.schedule.startTime;
+  scheduleEndInput.value = settings.schedule.endTime;
+  scheduleMaxInput.value = settings.schedule.maxApplications;
+}
+
+// Read a non-negative whole number from an input
+function parseCount(input) {
+  return Math.max(0, parseInt(input.value, 10) || 0);
+}
+
+// Save quotas
+saveQuotasBtn.onclick = async () => {
+  const settings = {
+    maxApplicationsPerSession: parseCount(quotaSessionInput),
+    maxPagesPerSession: parseCount(quotaPagesInput),
+    maxApplicationsPerDay: parseCount(quotaDayInput),
+    maxApplicationsPerCompany: parseCount(quotaCompanyInput),
+    minDelaySeconds: parseCount(pacingMinInput),
+    maxDelaySeconds: parseCount(pacingMaxInput),
+    schedule: {
+      enabled: scheduleEnabledCheckbox.checked,
+      startTime: scheduleStartInput.value,
+      endTime: scheduleEndInput.value,
+      maxApplications: parseCount(scheduleMaxInput)
+    }
+  };
+  try {
+    await applicationQuota.saveSettings(settings);
+  } catch (error) {
+    quotasStatus.textContent = error.message;
+    setTimeout(() => (quotasStatus.textContent = ''), 3000);
+    return;
+  }
+  renderQuotaSettings(settings);
+  quotasStatus.textContent = 'Quotas saved!';
+  setTimeout(() => (quotasStatus.textContent = ''), 1500);
+  console.log('[EasyApplyPlugin] Quota settings persisted:', settings);
+};
+
+// Show the answer review policy in the form
+function renderAnswerPolicy(settings) {
+  policyActionSelect.value = settings.action;
+  policyRequiredOnlyCheckbox.checked = !!settings.requiredOnly;
+  policyFlagDefaultsCheckbox.checked = !!settings.flagDefaults;
+  policyFlagUnratedCheckbox.checked = !!settings.flagUnratedLlm;
+  policyMinConfidenceInput.value = Math.round(settings.minConfidence * 100);
+}
+
+// Save the answer review policy
+savePolicyBtn.onclick = async () => {
+  const settings = {
+    action: policyActionSelect.value,
+    requiredOnly: policyRequiredOnlyCheckbox.checked,
+    flagDefaults: policyFlagDefaultsCheckbox.checked,
+    flagUnratedLlm: policyFlagUnratedCheckbox.checked,
+    minConfidence: parseFloat(policyMinConfidenceInput.value) / 100
+  };
+  try {
+    await answerPolicy.saveSettings(settings);
+  } catch (error) {
+    policyStatus.textContent = error.message;
+    setTimeout(() => (policyStatus.textContent = ''), 3000);
+    return;
+  }
+  policyStatus.textContent = 'Review policy saved!';
+  setTimeout(() => (policyStatus.textContent = ''), 1500);
+  console.log('[EasyApplyPlugin] Answer policy persisted:', settings);
+};
+
 // Add Q&A
 addQaBtn.onclick = async () => {
   const q = qaQuestion.value.trim();
   const a = qaAnswer.value.trim();
   if (!q || !a) return;
-  const { qaCache } = await getStorage(['qaCache']);
-  const cache = qaCache || {};
-  cache[q] = a;
-  await setStorage({ qaCache: cache });
+  const cache = await updateQaCache(qaCache => {
+    qaCache[q] = userQaEntry(q, qaCache[q], a);
+  });
   qaQuestion.value = '';
   qaAnswer.value = '';
-  renderQaList(cache);
   console.log(`[EasyApplyPlugin] Q&A added and persisted. Total Q&A: ${Object.keys(cache).length}`);
 };
 
-// Edit/Delete Q&A
+// Show which cached question a form question would be answered from, and why
+checkQaMatchBtn.onclick = async () => {
+  const q = qaQuestion.value.trim();
+  if (!q) return;
+  const { qaCache, userProfile } = await profileManager.getActiveProfile();
+  const matcher = new QuestionMatcher({ userProfile: new UserProfile(userProfile) });
+  const [best] = new CacheManager(qaCache || {}, null, matcher).explainMatches(q);
+  if (!best) {
+    qaMatch.textContent = 'The Q&A cache is empty.';
+  } else if (best.isMatch) {
+    qaMatch.textContent = `Matches "${best.question}" (${Math.round(best.similarity * 100)}%): ${best.explanation}`;
+  } else {
+    qaMatch.textContent = `No match. Closest: "${best.question}" (${Math.round(best.similarity * 100)}%): ${best.explanation}`;
+  }
+};
+
+// Q&A cache shown in the list, filtered and sorted again when the search or sort changes
+let shownQaCache = {};
+
+// Entries of the Q&A cache matching the search and filter, in the chosen order
+function getShownQaEntries(cache) {
+  const search = qaSearchInput.value.trim().toLowerCase();
+  const filters = {
+    unused: (question, entry) => !entry.hits,
+    errors: (question, entry) => entry.errors > 0,
+    timeSensitive: (question, entry) => !!entry.expiresAt || CacheManager.isTimeSensitive(question),
+    expired: (question, entry) => CacheManager.isExpired(entry)
+  };
+  const filter = filters[qaFilterSelect.value] || (() => true);
+  const entries = Object.entries(cache)
+    .map(([question, cached]) => ({ question, entry: AnswerValue.fromCache(cached) }))
+    .filter(({ entry }) => entry)
+    .filter(({ question, entry }) => filter(question, entry))
+    .filter(({ question, entry }) => !search ||
+      question.toLowerCase().includes(search) || AnswerValue.toText(entry).toLowerCase().includes(search));
+
+  const sorters = {
+    question: (a, b) => a.question.localeCompare(b.question),
+    lastUsed: (a, b) => (b.entry.lastUsed || '').localeCompare(a.entry.lastUsed || ''),
+    hits: (a, b) => (b.entry.hits || 0) - (a.entry.hits || 0),
+    errors: (a, b) => (b.entry.errors || 0) - (a.entry.errors || 0)
+  };
+  return sorters[qaSortSelect.value] ? entries.sort(sorters[qaSortSelect.value]) : entries;
+}
+
+// Typed entry for an answer the user gave, keeping the usage of the previous entry.
+// The answer is the user's own now, so a language model source and confidence are dropped.
+// Answers to time-sensitive questions expire after the configured number of days unless
+// `expiryDays` says otherwise (0 for never).
+function userQaEntry(question, previous, answer, options = {}, expiryDays) {
+  const { source, confidence, expiresAt, ...entry } = AnswerValue.fromCache(previous) || {};
+  const days = expiryDays !== undefined ? expiryDays :
+    (CacheManager.isTimeSensitive(question) ? defaultExpiryDays() : 0);
+  return {
+    ...entry,
+    ...AnswerValue.create(answer, options),
+    ...(days > 0 ? { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() } : {})
+  };
+}
+
+// Days after which time-sensitive answers expire by default
+function defaultExpiryDays() {
+  return (EasyApplyConfig.qaCacheUsage && EasyApplyConfig.qaCacheUsage.expiryDays) || 90;
+}
+
+// Usage of a Q&A entry: uses, submissions, validation errors and expiry
+function describeQaUsage(entry) {
+  const parts = [entry.kind];
+  if (entry.source === 'llm') parts.push('unconfirmed');
+  parts.push(entry.hits ? `used ${entry.hits}x, last ${new Date(entry.lastUsed).toLocaleDateString()}` : 'never used');
+  if (entry.submitted || entry.failed) parts.push(`${entry.submitted || 0} submitted, ${entry.failed || 0} failed`);
+  if (entry.errors) parts.push(`${entry.errors} validation error${entry.errors > 1 ? 's' : ''}`);
+  if (entry.expiresAt) {
+    const date = new Date(entry.expiresAt).toLocaleDateString();
+    parts.push(CacheManager.isExpired(entry) ? `expired ${date}` : `expires ${date}`);
+  }
+  return parts.join(', ');
+}
+
+// Jobs an entry was used on and its last validation error, shown on hover
+function describeQaJobs(entry) {
+  const lines = (entry.jobs || []).map(job => `${job.title}${job.company ? ` at ${job.company}` : ''}: ${job.outcome}`);
+  if (entry.lastError) lines.push(`Last validation error: ${entry.lastError}`);
+  return lines.join('\n');
+}
+
+// Save a change to the active profile's Q&A cache and show the result
+async function updateQaCache(change) {
+  const cache = await profileManager.updateQaCache(await profileManager.getActiveProfileName(), change);
+  renderQaList(cache);
+  return cache;
+}
+
+// Search, sort, inline edit and delete Q&A
 function renderQaList(cache) {
+  shownQaCache = cache;
+  const entries = getShownQaEntries(cache);
+  const total = Object.keys(cache).length;
+  qaCount.textContent = entries.length === total ? `${total} entries` : `Showing ${entries.length} of ${total} entries`;
   qaList.innerHTML = '';
-  Object.entries(cache).forEach(([q, a]) => {
+
+  entries.forEach(({ question: q, entry }) => {
+    const a = AnswerValue.toText(entry);
     const div = document.createElement('div');
     div.className = 'qa-item';
-    div.innerHTML = `<span class="qa-q">Q:</span> ${q}<span class="qa-a">A: ${a}</span>`;
+
+    const questionLabel = document.createElement('span');
+    questionLabel.className = 'qa-q';
+    questionLabel.textContent = 'Q:';
+    const answer = document.createElement('span');
+    answer.className = 'qa-a';
+    answer.textContent = `A: ${a}`;
+    const details = document.createElement('span');
+    details.className = 'small';
+    details.textContent = ` (${describeQaUsage(entry)})`;
+    details.title = describeQaJobs(entry);
+    div.append(questionLabel, ` ${q}`, answer, details);
+
     const actions = document.createElement('span');
     actions.className = 'qa-actions';
     const editBtn = document.createElement('button');
     editBtn.textContent = 'Edit';
     editBtn.onclick = () => {
-      qaQuestion.value = q;
-      qaAnswer.value = a;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'qa-edit';
+      input.value = a;
+      const expirySelect = document.createElement('select');
+      expirySelect.title = 'When this answer stops being used';
+      [[0, 'Never expires'], [30, '30 days'], [90, '90 days'], [180, '180 days'], [365, '1 year']]
+        .forEach(([days, text]) => expirySelect.add(new Option(text, days)));
+      if (!expirySelect.querySelector(`option[value="${defaultExpiryDays()}"]`)) {
+        expirySelect.add(new Option(`${defaultExpiryDays()} days`, defaultExpiryDays()));
+      }
+      expirySelect.value = entry.expiresAt || CacheManager.isTimeSensitive(q) ? defaultExpiryDays() : 0;
+      const saveBtn = document.createElement('button');
+      saveBtn.textContent = 'Save';
+      saveBtn.onclick = async () => {
+        const value = input.value.trim();
+        if (!value) return;
+        await updateQaCache(qaCache => {
+          // Keep the kind (falls back to text if the new answer does not fit it) and the usage
+          qaCache[q] = userQaEntry(q, qaCache[q], value, { kind: entry.kind }, parseInt(expirySelect.value, 10));
+        });
+        console.log(`[EasyApplyPlugin] Q&A answer edited and persisted: "${q}"`);
+      };
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.onclick = () => renderQaList(shownQaCache);
+      answer.replaceWith(input, expirySelect);
+      actions.replaceChildren(saveBtn, cancelBtn);
+      input.focus();
     };
     const delBtn = document.createElement('button');
     delBtn.textContent = 'Delete';
     delBtn.onclick = async () => {
-      const { qaCache } = await getStorage(['qaCache']);
-      const cache = qaCache || {};
-      delete cache[q];
-      await setStorage({ qaCache: cache });
-      renderQaList(cache);
+      const cache = await updateQaCache(qaCache => delete qaCache[q]);
       console.log(`[EasyApplyPlugin] Q&A deleted and persisted. Total Q&A: ${Object.keys(cache).length}`);
     };
     actions.appendChild(editBtn);
@@ -109,99 +690,325 @@ function renderQaList(cache) {
   });
 }
 
+qaSearchInput.addEventListener('input', () => renderQaList(shownQaCache));
+qaSortSelect.addEventListener('change', () => renderQaList(shownQaCache));
+qaFilterSelect.addEventListener('change', () => renderQaList(shownQaCache));
+
+// Delete every entry matching the search
+deleteShownQaBtn.onclick = async () => {
+  const questions = getShownQaEntries(shownQaCache).map(({ question }) => question);
+  if (!questions.length || !confirm(`Delete ${questions.length} Q&A entries?`)) return;
+  const cache = await updateQaCache(qaCache => questions.forEach(question => delete qaCache[question]));
+  console.log(`[EasyApplyPlugin] Deleted ${questions.length} Q&A entries. Total Q&A: ${Object.keys(cache).length}`);
+};
+
+// Trigger a file download from the popup
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export the Q&A cache
+async function exportQaCache(format) {
+  const { name, qaCache } = await profileManager.getActiveProfile();
+  const cache = qaCache || {};
+  const filename = `easy-apply-qa-${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const options = { includePersonal: exportQaPersonalCheckbox.checked };
+  if (format === 'json') {
+    download(filename, QACacheTransfer.toJson(cache, options), 'application/json');
+  } else {
+    download(filename, QACacheTransfer.toCsv(cache, options), 'text/csv');
+  }
+  console.log(`[EasyApplyPlugin] Exported ${Object.keys(cache).length} Q&A entries as ${format.toUpperCase()}`);
+}
+
+exportQaJsonBtn.onclick = () => exportQaCache('json');
+exportQaCsvBtn.onclick = () => exportQaCache('csv');
+
+// Import a Q&A cache file
+importQaBtn.onclick = () => qaImportFileInput.click();
+qaImportFileInput.onchange = async () => {
+  const [file] = qaImportFileInput.files;
+  if (!file) return;
+  const mode = qaImportModeSelect.value;
+  try {
+    const imported = QACacheTransfer.parse(await file.text(), file.name);
+    const questions = Object.keys(imported).filter(question => !question.startsWith('__fieldtype_'));
+    if (mode === QACacheTransfer.MODES.REPLACE &&
+        !confirm(`Replace your Q&A cache with the ${questions.length} questions in ${file.name}?`)) {
+      return;
+    }
+    let result;
+    await updateQaCache(qaCache => {
+      result = QACacheTransfer.merge(qaCache, imported, mode);
+      Object.keys(qaCache).forEach(question => delete qaCache[question]);
+      Object.assign(qaCache, result.cache);
+    });
+    const { added, updated, kept } = result;
+    qaTransferStatus.textContent = `Imported ${file.name}: ${added} added, ${updated} updated, ${kept} kept.`;
+    console.log('[EasyApplyPlugin] Q&A cache imported:', { file: file.name, mode, added, updated, kept });
+  } catch (error) {
+    qaTransferStatus.textContent = error.message;
+  } finally {
+    qaImportFileInput.value = '';
+  }
+};
+
+// Questions to review, and the questions that are always asked with the active profile
+async function loadInbox() {
+  const activeName = await profileManager.getActiveProfileName();
+  renderInbox(await questionInbox.getItems(), await questionInbox.getAlwaysAsk(activeName), activeName);
+}
+
+function renderInbox(items, alwaysAsk, activeName) {
+  inboxCount.textContent = items.length ? `(${items.length})` : '';
+  inboxList.innerHTML = '';
+  alwaysAskList.innerHTML = '';
+
+  items.forEach(item => {
+    const div = document.createElement('div');
+    div.className = 'qa-item';
+
+    const questionLabel = document.createElement('span');
+    questionLabel.className = 'qa-q';
+    questionLabel.textContent = 'Q:';
+    const details = document.createElement('div');
+    details.className = 'small';
+    const source = item.source === 'llm' ? 'Language model' : 'Default';
+    const confidence = typeof item.confidence === 'number' && item.source === 'llm' ?
+      ` (${Math.round(item.confidence * 100)}%)` : '';
+    const seen = item.count > 1 ? `, seen ${item.count}x` : '';
+    const profile = item.profile && item.profile !== activeName ? ` (profile "${item.profile}")` : '';
+    details.textContent = `${source}${confidence} on ${item.job.title || 'a job'}` +
+      `${item.job.company ? ` at ${item.job.company}` : ''}${seen}${profile}`;
+    details.title = item.job.url;
+
+    // Options fields are answered with one of their options, anything else with text
+    let input;
+    if (item.options && item.options.length) {
+      input = document.createElement('select');
+      item.options.forEach(option => input.add(new Option(option, option, false, option === item.answer)));
+    } else {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'qa-edit';
+      input.value = item.answer;
+    }
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.textContent = 'Confirm';
+    confirmBtn.onclick = async () => {
+      const answer = input.value.trim();
+      if (!answer) return;
+      await confirmInboxAnswer(item, answer);
+      console.log(`[EasyApplyPlugin] Answer confirmed and persisted: "${item.question}"`);
+    };
+    const alwaysAskBtn = document.createElement('button');
+    alwaysAskBtn.textContent = 'Always Ask Me';
+    alwaysAskBtn.onclick = async () => {
+      await questionInbox.addAlwaysAsk(item.question, item.profile);
+      await loadInbox();
+      console.log(`[EasyApplyPlugin] Always asking: "${item.question}"`);
+    };
+    const dismissBtn = document.createElement('button');
+    dismissBtn.textContent = 'Dismiss';
+    dismissBtn.onclick = async () => {
+      await questionInbox.remove(item.id);
+      await loadInbox();
+    };
+
+    div.append(questionLabel, ` ${item.question}`, details, input, confirmBtn, alwaysAskBtn, dismissBtn);
+    inboxList.appendChild(div);
+  });
+
+  alwaysAsk.forEach(question => {
+    const div = document.createElement('div');
+    div.className = 'qa-item';
+    const actions = document.createElement('span');
+    actions.className = 'qa-actions';
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = 'Remove';
+    removeBtn.onclick = async () => {
+      await questionInbox.removeAlwaysAsk(question, activeName);
+      await loadInbox();
+    };
+    actions.appendChild(removeBtn);
+    div.append(actions, `Always asked: ${question}`);
+    alwaysAskList.appendChild(div);
+  });
+}
+
+// Store a confirmed or corrected answer in the Q&A cache of the profile the question came from
+async function confirmInboxAnswer(item, answer) {
+  const activeName = await profileManager.getActiveProfileName();
+  const profile = item.profile && await profileManager.getProfile(item.profile);
+  const setAnswer = qaCache => {
+    qaCache[item.question] = userQaEntry(item.question, qaCache[item.question], answer,
+      { optionsList: item.options || undefined });
+  };
+
+  if (!profile || profile.name === activeName) {
+    await updateQaCache(setAnswer);
+  } else {
+    await profileManager.updateQaCache(profile.name, setAnswer);
+  }
+
+  await questionInbox.remove(item.id);
+  await loadInbox();
+}
+
 // Check if we're on a LinkedIn jobs page
 async function checkIfOnLinkedInJobsPage() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    return tab.url.includes('linkedin.com/jobs');
+    return /linkedin\.com\/(jobs|my-items\/saved-jobs)/.test(tab.url);
   } catch (error) {
     console.error('[EasyApplyPlugin] Error checking current page:', error);
     return false;
   }
 }
 
-// Start Automation
-startBtn.onclick = async () => {
-  automationStatus.textContent = 'Starting...';
-  
-  // Check if we're on a LinkedIn jobs page
-  const isOnJobsPage = await checkIfOnLinkedInJobsPage();
-  if (!isOnJobsPage) {
-    automationStatus.textContent = 'Not on LinkedIn jobs page!';
-    setTimeout(() => (automationStatus.textContent = ''), 3000);
-    return;
-  }
-  
-  // Send message to content script
-  chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-    chrome.tabs.sendMessage(tabs[0].id, { 
-      action: 'startAutomation',
-      processNonEasyApply: processNonEasyApplyCheckbox.checked
-    }, response => {
+// Send a message to the background service worker
+function sendToBackground(message) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage(message, response => {
       if (chrome.runtime.lastError) {
-        automationStatus.textContent = 'Error: Content script not ready!';
-        setTimeout(() => (automationStatus.textContent = ''), 3000);
-        console.error('[EasyApplyPlugin] Error sending message:', chrome.runtime.lastError);
+        resolve({ error: chrome.runtime.lastError.message });
         return;
       }
-      
-      automationStatus.textContent = 'Automation started!';
-      setTimeout(() => (automationStatus.textContent = ''), 1500);
-      console.log('[EasyApplyPlugin] Automation started message sent. Process non-Easy Apply:', processNonEasyApplyCheckbox.checked);
+      resolve(response || {});
     });
   });
-};
+}
 
-// Process All Jobs
-processAllJobsBtn.onclick = async () => {
+// Show the automation session state kept by the background service worker
+function renderSessionState(state) {
+  const status = state ? state.status : AutomationManager.STATUSES.IDLE;
+  pauseBtn.disabled = status !== AutomationManager.STATUSES.RUNNING;
+  resumeBtn.disabled = status !== AutomationManager.STATUSES.PAUSED;
+  
+  if (status === AutomationManager.STATUSES.IDLE) {
+    sessionStatus.textContent = '';
+    return;
+  }
+  
+  const { profileName, counters, currentJob, checkpoint, queue, jobList, error } = state;
+  const lines = [
+    `Session ${status}${profileName ? ` (${profileName})` : ''}: ${formatCounters(counters)}`
+  ];
+  if (queue) {
+    queue.searches.forEach((search, index) => {
+      lines.push(`${index + 1}. ${search.name} (${search.status}): ${formatCounters(search.counters)}`);
+    });
+  }
+  if (jobList && jobList.index >= 0) lines.push(`Job list: job ${jobList.index + 1} of ${jobList.jobs.length}`);
+  if (currentJob) lines.push(`Current job: ${currentJob.title || 'Unknown title'} at ${currentJob.company || 'Unknown company'}`);
+  if (checkpoint && status === AutomationManager.STATUSES.PAUSED) {
+    lines.push(`Resumes at page ${checkpoint.pageNumber}, job ${checkpoint.cardIndex + 1}`);
+  }
+  if (error) lines.push(`${status === AutomationManager.STATUSES.PAUSED ? 'Paused' : 'Stopped'}: ${error}`);
+  sessionStatus.textContent = lines.join('\n');
+}
+
+// Start a session in the active tab through the background service worker
+// Search queues and job lists pass the searches or jobs whose pages they open themselves
+async function startSession(mode, startedMessage, targets = {}) {
   automationStatus.textContent = 'Starting...';
   
   // Check if we're on a LinkedIn jobs page
+  const opensOwnPages = !!(targets.searches || targets.jobs);
   const isOnJobsPage = await checkIfOnLinkedInJobsPage();
-  if (!isOnJobsPage) {
+  if (!isOnJobsPage && !opensOwnPages) {
     automationStatus.textContent = 'Not on LinkedIn jobs page!';
     setTimeout(() => (automationStatus.textContent = ''), 3000);
     return;
   }
   
-  // Send message to content script
-  chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-    chrome.tabs.sendMessage(tabs[0].id, { 
-      action: 'processAllJobs'
-    }, response => {
-      if (chrome.runtime.lastError) {
-        automationStatus.textContent = 'Error: Content script not ready!';
-        setTimeout(() => (automationStatus.textContent = ''), 3000);
-        console.error('[EasyApplyPlugin] Error sending message:', chrome.runtime.lastError);
-        return;
-      }
-      
-      automationStatus.textContent = 'Processing all jobs started!';
-      setTimeout(() => (automationStatus.textContent = ''), 1500);
-      console.log('[EasyApplyPlugin] Process all jobs message sent.');
-    });
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const response = await sendToBackground({
+    action: 'startSession',
+    tabId: isOnJobsPage ? tab.id : null,
+    mode,
+    profileName: profileSelect.value,
+    startUrl: opensOwnPages ? undefined : tab.url,
+    ...targets,
+    processNonEasyApply: processNonEasyApplyCheckbox.checked,
+    dryRun: dryRunCheckbox.checked,
+    pauseAtReview: pauseAtReviewCheckbox.checked
   });
-};
+  renderSessionState(response.state);
+  
+  if (response.error) {
+    automationStatus.textContent = `Error: ${response.error}`;
+    setTimeout(() => (automationStatus.textContent = ''), 3000);
+    console.error('[EasyApplyPlugin] Error starting session:', response.error);
+    return;
+  }
+  
+  automationStatus.textContent = startedMessage;
+  setTimeout(() => (automationStatus.textContent = ''), 1500);
+  console.log(`[EasyApplyPlugin] Session started (${mode}). Process non-Easy Apply:`, processNonEasyApplyCheckbox.checked);
+}
+
+// Start Automation
+startBtn.onclick = () => startSession(AutomationManager.MODES.AUTOMATION, 'Automation started!');
+
+// Process All Jobs
+processAllJobsBtn.onclick = () => startSession(AutomationManager.MODES.ALL_JOBS, 'Processing all jobs started!');
 
 // Stop Automation
 stopBtn.onclick = async () => {
   automationStatus.textContent = 'Stopping...';
-  chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
-    chrome.tabs.sendMessage(tabs[0].id, { action: 'stopAutomation' }, response => {
-      if (chrome.runtime.lastError) {
-        automationStatus.textContent = 'Error: Content script not ready!';
-        setTimeout(() => (automationStatus.textContent = ''), 3000);
-        console.error('[EasyApplyPlugin] Error sending message:', chrome.runtime.lastError);
-        return;
-      }
-      
-      automationStatus.textContent = 'Automation stopped!';
-      setTimeout(() => (automationStatus.textContent = ''), 1500);
-      console.log('[EasyApplyPlugin] Automation stopped message sent.');
-    });
-  });
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const response = await sendToBackground({ action: 'stopSession', tabId: tab && tab.id });
+  if (response.error) {
+    automationStatus.textContent = `Error: ${response.error}`;
+    setTimeout(() => (automationStatus.textContent = ''), 3000);
+    console.error('[EasyApplyPlugin] Error stopping session:', response.error);
+    return;
+  }
+  
+  renderSessionState(response.state);
+  automationStatus.textContent = 'Automation stopped!';
+  setTimeout(() => (automationStatus.textContent = ''), 1500);
+  console.log('[EasyApplyPlugin] Automation stop sent.');
+};
+
+// Pause Automation
+pauseBtn.onclick = async () => {
+  const response = await sendToBackground({ action: 'pauseSession' });
+  renderSessionState(response.state);
+  automationStatus.textContent = response.error ? `Error: ${response.error}` : 'Pausing after the current field...';
+  setTimeout(() => (automationStatus.textContent = ''), 3000);
+  console.log('[EasyApplyPlugin] Automation pause sent.');
 };
 
+// Resume Automation
+resumeBtn.onclick = async () => {
+  automationStatus.textContent = 'Resuming...';
+  const response = await sendToBackground({ action: 'resumeSession' });
+  renderSessionState(response.state);
+  automationStatus.textContent = response.error ? `Error: ${response.error}` : 'Automation resumed!';
+  setTimeout(() => (automationStatus.textContent = ''), 3000);
+  console.log('[EasyApplyPlugin] Automation resume sent.', response.error || '');
+};
+
+// Keep the session state up to date while the popup is open
+chrome.runtime.onMessage.addListener(message => {
+  if (message.action === 'sessionStateChanged') {
+    renderSessionState(message.state);
+    
+    // A finished queue search records its stats on the saved search
+    if (message.state && message.state.queue) {
+      savedSearches.getAll().then(renderSearchList);
+    }
+  }
+});
+
 // Debug Job Detection
 debugBtn.onclick = async () => {
   automationStatus.textContent = 'Debugging...';
@@ -240,5 +1047,15 @@ debugApplyBtn.onclick = async () => {
   });
 };
 
+// View Application History
+viewHistoryBtn.onclick = () => {
+  chrome.runtime.openOptionsPage();
+};
+
+// Edit Profile
+editProfileBtn.onclick = () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('profile.html') });
+};
+
 // On load
 loadData(); 
\ No newline at end of file
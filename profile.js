@@ -0,0 +1,52 @@
+// Applicant profile editor for the active profile
+
+// Named profiles; this page edits the one selected in the popup
+const profileManager = new ProfileManager();
+let profileName = null;
+
+// UI Elements
+const profileNameElement = document.getElementById('profile-name');
+const skillExperienceTextarea = document.getElementById('skillExperience');
+const workAuthorizationTextarea = document.getElementById('workAuthorization');
+const saveProfileBtn = document.getElementById('save-profile');
+const profileStatus = document.getElementById('profile-status');
+
+// Format a map as "key: value" lines
+function toLines(map) {
+  return Object.entries(map).map(([key, value]) => `${key}: ${value}`).join('\n');
+}
+
+// Load stored profile
+async function loadProfile() {
+  const activeProfile = await profileManager.getActiveProfile();
+  const profile = new UserProfile(activeProfile.userProfile);
+  profileName = activeProfile.name;
+  profileNameElement.textContent = profileName;
+  UserProfile.FIELDS.forEach(field => {
+    document.getElementById(field).value = profile[field];
+  });
+  skillExperienceTextarea.value = toLines(profile.skillExperience);
+  workAuthorizationTextarea.value = toLines(profile.workAuthorization);
+  console.log(`[EasyApplyPlugin] Loaded profile "${profileName}"${profile.isEmpty() ? ' (empty)' : ''}`);
+}
+
+// Save Profile
+saveProfileBtn.onclick = async () => {
+  const data = {};
+  UserProfile.FIELDS.forEach(field => {
+    data[field] = document.getElementById(field).value;
+  });
+  data.skillExperience = skillExperienceTextarea.value;
+  data.workAuthorization = workAuthorizationTextarea.value;
+
+  const profile = new UserProfile(data);
+  await profileManager.updateProfile(profileName, { userProfile: profile.toJSON() });
+  skillExperienceTextarea.value = toLines(profile.skillExperience);
+  workAuthorizationTextarea.value = toLines(profile.workAuthorization);
+  profileStatus.textContent = 'Profile saved!';
+  setTimeout(() => (profileStatus.textContent = ''), 1500);
+  console.log(`[EasyApplyPlugin] Profile "${profileName}" persisted`);
+};
+
+// On load
+loadProfile();
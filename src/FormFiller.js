@@ -17,25 +17,29 @@ class FormFiller {
    * 
    * @param {HTMLElement} modalElement - The modal element containing the form
    * @param {Object} config - Configuration object
-   * @param {Function} getGeminiAnswer - Function to get answers from Gemini API
-   * @param {string} userCV - User's CV text
-   * @param {string} geminiApiKey - Gemini API key
+   * @param {AnswerProvider|null} answerProvider - Provider of AI-generated answers
    * @param {Object} qaCache - Cache of question/answer pairs
    * @param {Object} settings - User settings for form filling
+   * @param {UserProfile} [settings.userProfile] - The applicant's structured profile
+   * @param {Function} [settings.saveQaCache] - Persists changed Q&A cache entries to the profile in use
+   *   (see CacheManager)
+   * @param {Function} [settings.waitWhilePaused] - Resolves once the automation is not paused
+   * @param {Object} [settings.answerPolicy] - AnswerPolicy settings used to flag answers for review
+   * @param {Array<string>} [settings.alwaysAsk] - Questions always flagged for review (see QuestionInbox)
    */
-  constructor(modalElement, config, getGeminiAnswer, userCV, geminiApiKey, qaCache, settings = {}) {
+  constructor(modalElement, config, answerProvider, qaCache, settings = {}) {
     this.modalElement = modalElement;
     this.config = config || {};
-    this.getGeminiAnswer = getGeminiAnswer;
-    this.userCV = userCV || '';
-    this.geminiApiKey = geminiApiKey || '';
+    this.answerProvider = answerProvider || null;
     this.qaCache = qaCache || {};
+    this.jobContext = null;
+    this.userProfile = settings.userProfile || null;
     
     // User settings for form filling
     this.settings = {
       phoneNumber: settings.phoneNumber || '',
       mobileNumber: settings.mobileNumber || '',
-      countryCode: settings.countryCode || '+1',
+      countryCode: settings.countryCode || '',
       email: settings.email || '',
       firstName: settings.firstName || '',
       lastName: settings.lastName || '',
@@ -44,6 +48,9 @@ class FormFiller {
     
     this._logPrefix = '[EasyApplyPlugin][FormFiller]';
     
+    // Questions answered across all steps of this application
+    this.answeredQuestions = [];
+    
     // Initialize dependencies
     this._initializeDependencies();
     
@@ -64,7 +71,8 @@ class FormFiller {
     this.fieldDetector = new FieldDetector(this.config);
     
     // Create cache manager
-    this.cacheManager = new CacheManager(this.qaCache);
+    this.cacheManager = new CacheManager(this.qaCache, this.settings.saveQaCache,
+      new QuestionMatcher({ userProfile: this.userProfile }));
     
     // Create error handler
       this.errorHandler = new ErrorHandler('FormFiller');
@@ -75,17 +83,15 @@ class FormFiller {
         this._log('DOMUtils initialized');
       }
     
-    // Create Gemini client
-    this.geminiClient = new GeminiClient(
-      this.getGeminiAnswer,
-      this.geminiApiKey,
-      this.userCV
-    );
+    // Answers come from the provider with this application's profile
+    if (this.answerProvider) {
+      this.answerProvider.setUserProfile(this.userProfile);
+    }
     
     // Create dependency injection container
     this.dependencies = {
       cacheManager: this.cacheManager,
-      geminiClient: this.geminiClient,
+      answerProvider: this.answerProvider,
       errorHandler: this.errorHandler,
       fieldDetector: this.fieldDetector,
         domUtils: this.domUtils,
@@ -110,16 +116,16 @@ class FormFiller {
     // Create dependencies object for field handlers
     const dependencies = {
       config: this.config,
-      getGeminiAnswer: this.getGeminiAnswer,
-      userCV: this.userCV,
-      geminiApiKey: this.geminiApiKey,
       qaCache: this.qaCache,
       settings: this.settings,
+      userProfile: this.userProfile,
       log: (msg) => this._log(msg),
       logError: (msg, error) => this._logError(msg, error)
     };
     
-    this.dependencies = dependencies;
+    // Keep the cache manager and answer provider set up in _initializeDependencies()
+    // so handlers can tell Q&A cache answers apart from Gemini and default values
+    this.dependencies = { ...this.dependencies, ...dependencies };
     
     // Create and return field handlers
     this.fieldHandlers = [
@@ -135,6 +141,27 @@ class FormFiller {
     return this.fieldHandlers;
   }
   
+  /**
+   * Set the job this form belongs to, so Gemini answers can be tailored to it
+   * 
+   * @param {Object|null} jobContext - Job details ({title, company, description})
+   */
+  setJobContext(jobContext) {
+    this.jobContext = jobContext || null;
+    
+    if (this.dependencies) {
+      this.dependencies.jobContext = this.jobContext;
+    }
+    
+    if (this.answerProvider) {
+      this.answerProvider.setJobContext(this.jobContext);
+    }
+    
+    if (this.jobContext) {
+      this._log(`Job context set: "${this.jobContext.title}" at "${this.jobContext.company}" (${(this.jobContext.description || '').length} chars of description)`);
+    }
+  }
+  
   /**
    * Fill all fields in the form
    * 
@@ -402,6 +429,7 @@ class FormFiller {
         
         // Small delay between fields
         await this._delay(this.config.delays?.afterField || 100);
+        await this._waitWhilePaused();
       }
     }
     
@@ -479,18 +507,26 @@ class FormFiller {
     
     // Handle the field
     try {
+      handler.lastValueSource = null;
+      handler.lastValueDetails = null;
       const success = await handler.handle(field, label);
       
+      // Check for errors after filling - only if the method exists
+      const errorMessage = this.errorHandler && typeof this.errorHandler.getErrorMessage === 'function' ?
+        this.errorHandler.getErrorMessage(field) : null;
+      
+      // Answers rejected by a validation error are recorded too, so the cached answer that caused it is known
+      if (success || (errorMessage && handler.lastValueSource)) {
+        const details = errorMessage ? { ...handler.lastValueDetails, validationError: errorMessage } : handler.lastValueDetails;
+        this._recordAnswer(field, label, handler.lastValueSource, details, isRequired);
+      }
+      
       if (success) {
         this._log(`Successfully filled field: "${label}"`);
         
-        // Check for errors after filling - only if the method exists
-        if (this.errorHandler && typeof this.errorHandler.getErrorMessage === 'function') {
-          const errorMessage = this.errorHandler.getErrorMessage(field);
-          if (errorMessage) {
-            this._log(`Error after filling field "${label}": ${errorMessage}`);
-            return false;
-          }
+        if (errorMessage) {
+          this._log(`Error after filling field "${label}": ${errorMessage}`);
+          return false;
         }
         
         return true;
@@ -504,6 +540,156 @@ class FormFiller {
     }
   }
   
+  /**
+   * Record the value a field ended up with so it can be stored in the application history
+   * 
+   * @private
+   * @param {HTMLElement} field - The filled field
+   * @param {string} label - The field label
+   * @param {string|null} [source] - Where the value came from (one of FieldHandlerBase.VALUE_SOURCES)
+   * @param {Object|null} [details] - {confidence, similarity, rationale, cacheKey, options} from the handler,
+   *   and the validationError shown after filling
+   * @param {boolean} [required=false] - Whether the field is required
+   */
+  _recordAnswer(field, label, source = null, details = null, required = false) {
+    try {
+      const answer = this._readAnswer(field);
+      
+      // Replace any earlier answer for the same question (e.g. after a retry)
+      const previous = this.answeredQuestions.find(entry => entry.question === label);
+      this.answeredQuestions = this.answeredQuestions.filter(entry => entry.question !== label);
+      const entry = { question: label, answer, source: source || 'unknown', confidence: null, ...(details || {}), required };
+      
+      // Keep the validation error of an earlier try with the same cached answer
+      if (previous && previous.validationError && !entry.validationError &&
+          previous.cacheKey && previous.cacheKey === entry.cacheKey) {
+        entry.validationError = previous.validationError;
+      }
+      
+      if (typeof QuestionInbox === 'function' &&
+          (QuestionInbox.isAlwaysAsk(label, this.settings.alwaysAsk) ||
+           QuestionInbox.isAlwaysAsk(entry.cacheKey, this.settings.alwaysAsk))) {
+        entry.alwaysAsk = true;
+        entry.reviewReason = 'always ask me';
+        this._log(`Answer to "${label}" needs review: you asked to always be asked`);
+      } else if (this.settings.answerPolicy && typeof AnswerPolicy === 'function') {
+        const reviewReason = AnswerPolicy.getReviewReason(entry, this.settings.answerPolicy);
+        if (reviewReason) {
+          entry.reviewReason = reviewReason;
+          this._log(`Answer to "${label}" needs review: ${reviewReason}`);
+        }
+      }
+      
+      this.answeredQuestions.push(entry);
+    } catch (error) {
+      this._logError(`Error recording answer for "${label}":`, error);
+    }
+  }
+  
+  /**
+   * Read the answer a field currently shows
+   * 
+   * @private
+   * @param {HTMLElement} field - The field
+   * @returns {string}
+   */
+  _readAnswer(field) {
+    if (field.tagName === 'FIELDSET') {
+      const checked = field.querySelector('input[type="radio"]:checked');
+      const checkedLabel = checked && checked.id ? 
+        document.querySelector(`label[for="${checked.id}"]`) : null;
+      return checkedLabel ? checkedLabel.textContent.trim() : (checked ? checked.value : '');
+    }
+    if (field.tagName === 'SELECT') {
+      const selected = field.options[field.selectedIndex];
+      return selected ? selected.text.trim() : '';
+    }
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      return field.checked ? 'Yes' : 'No';
+    }
+    return field.value || '';
+  }
+  
+  /**
+   * Start recording the answers the user changes in the modal, e.g. while the application
+   * is paused for review
+   * 
+   * A changed answer replaces the recorded one with the source 'user' and is stored in the
+   * Q&A cache as the user's own, so the history, the cache usage and the question inbox get
+   * the answer that was submitted.
+   */
+  watchUserEdits() {
+    if (!this.modalElement || this._onUserEdit) return;
+    
+    this._onUserEdit = event => this._recordUserEdit(event.target);
+    this.modalElement.addEventListener('change', this._onUserEdit, true);
+  }
+  
+  /**
+   * Stop recording the answers the user changes (see watchUserEdits())
+   */
+  stopWatchingUserEdits() {
+    if (this.modalElement && this._onUserEdit) {
+      this.modalElement.removeEventListener('change', this._onUserEdit, true);
+    }
+    this._onUserEdit = null;
+  }
+  
+  /**
+   * Record an answer the user changed by hand
+   * 
+   * @private
+   * @param {HTMLElement} target - The element that changed
+   */
+  _recordUserEdit(target) {
+    try {
+      const field = (target.type === 'radio' && target.closest('fieldset')) || target;
+      if (!['INPUT', 'SELECT', 'TEXTAREA', 'FIELDSET'].includes(field.tagName) || !this.fieldDetector) return;
+      
+      const label = this.fieldDetector.getLabelForField(field);
+      const index = this.answeredQuestions.findIndex(entry => entry.question === label);
+      if (index === -1) return;
+      
+      const previous = this.answeredQuestions[index];
+      const answer = this._readAnswer(field);
+      if (answer === previous.answer) return;
+      
+      // A similar or field type match belongs to another question: store the answer under this one
+      const { VALUE_SOURCES } = FieldHandlerBase;
+      const key = previous.source === VALUE_SOURCES.CACHE_FUZZY || !previous.cacheKey ||
+        previous.cacheKey.startsWith('__fieldtype_') ? label : previous.cacheKey;
+      const { reviewReason, alwaysAsk, similarity, rationale, ...rest } = previous;
+      this.answeredQuestions[index] = {
+        ...rest,
+        answer,
+        source: VALUE_SOURCES.USER,
+        confidence: 1,
+        cacheKey: key,
+        editedFrom: previous.answer
+      };
+      this._log(`Answer to "${label}" changed by the user: "${previous.answer}" -> "${answer}"`);
+      
+      if (this.cacheManager && answer) {
+        this.cacheManager.setValue(key, answer, { optionsList: previous.options || undefined });
+      }
+    } catch (error) {
+      this._logError('Error recording an answer changed by the user:', error);
+    }
+  }
+  
+  /**
+   * Get the questions answered so far in this application
+   * 
+   * @returns {Array<Object>} - Array of {question, answer, source, confidence, required} objects, with
+   *   the similarity of fuzzy cache matches, the model's rationale for option choices and a
+   *   reviewReason on answers flagged by the answer policy or marked "always ask me", the
+   *   validationError of answers whose field showed one and the answer before a change by the user
+   *   (`editedFrom`, see watchUserEdits())
+   */
+  getAnsweredQuestions() {
+    return this.answeredQuestions.slice();
+  }
+  
   /**
    * Find appropriate handler for a field
    * 
@@ -565,6 +751,7 @@ class FormFiller {
     for (const fieldInfo of requiredBlankFields) {
       await this._processField(fieldInfo);
       await this._delay(this.config.delays?.afterField || 100);
+      await this._waitWhilePaused();
     }
     
     return true;
@@ -581,6 +768,18 @@ class FormFiller {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
+  /**
+   * Hold after the current field while the automation is paused
+   * 
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _waitWhilePaused() {
+    if (typeof this.settings.waitWhilePaused === 'function') {
+      await this.settings.waitWhilePaused();
+    }
+  }
+  
   /**
    * Log an informational message
    * 
@@ -625,10 +824,12 @@ class FormFiller {
         this.fieldHandlers = null;
       }
       
+      this.stopWatchingUserEdits();
+      
       // Clean up dependencies
       this.fieldDetector = null;
       this.cacheManager = null;
-      this.geminiClient = null;
+      this.answerProvider = null;
       this.domUtils = null;
       
       // Remove references to DOM elements
@@ -679,9 +880,6 @@ class FormFiller {
       } else if (this.settings.phoneNumber) {
         phoneNumber = this.settings.phoneNumber;
         this._log('Using regular phone number for this field');
-      } else {
-        this._log('No phone number found in settings, using default');
-        phoneNumber = '9876543210'; // Default fallback
       }
       
       if (!phoneNumber) {
@@ -775,10 +973,15 @@ class FormFiller {
    */
   _handleCountryCodeField(field) {
     try {
+      // Get country code from settings
+      const countryCode = this.settings.countryCode;
+      if (!countryCode) {
+        this._log('No country code in profile, skipping');
+        return false;
+      }
+      
       // If it's a select element
       if (field.tagName.toLowerCase() === 'select') {
-        // Get country code from settings
-        const countryCode = this.settings.countryCode || '+1'; // Default to US
         
         // Find the option that contains this country code
         let optionFound = false;
@@ -820,7 +1023,6 @@ class FormFiller {
       } 
       // If it's an input field
       else {
-        const countryCode = this.settings.countryCode || '+1'; // Default to US
         this._fillField(field, countryCode);
         return true;
       }
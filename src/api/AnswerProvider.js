@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Single provider of AI-generated answers to application questions.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * AnswerProvider is the only place that talks to a language model. It builds
+ * the prompt (CV, structured profile, the job being applied to and
+ * question-specific instructions), sends it to the backend selected in
+ * LLMSettings and cleans the response into a value that can be typed or
+ * selected. Without a backend (rule-only mode) it has no answers.
+ * FormFiller's field handlers, simpleFormFill and JobRelevanceScorer all go
+ * through it, so prompt changes apply everywhere.
+ *
+ * Option choices are requested as JSON ({option, confidence, rationale}),
+ * validated against the option list and asked for again once if invalid.
+ *
+ * The provider does not cache: callers store answers through CacheManager
+ * and apply their own defaults when getAnswer() returns null.
+ *
+ * @class
+ */
+class AnswerProvider {
+  /**
+   * Creates a new answer provider
+   *
+   * @param {Object} options - Provider options
+   * @param {GeminiBackend|OpenAICompatibleBackend|null} options.backend - Backend to send prompts to
+   * @param {string} [options.cv] - The user's CV text
+   * @param {UserProfile} [options.userProfile] - The applicant's structured profile
+   * @param {Function} [options.shouldStop] - Returns true when the automation was stopped
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || null;
+    this.cv = options.cv || '';
+    this.userProfile = options.userProfile || null;
+    this.shouldStop = options.shouldStop || (() => false);
+    this.jobContext = null;
+    this._logPrefix = '[EasyApplyPlugin][AnswerProvider]';
+  }
+
+  /**
+   * Whether answers can be requested at all
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!(this.backend && this.backend.isConfigured());
+  }
+
+  /**
+   * Set the applicant's structured profile, included as context in every prompt
+   *
+   * @param {UserProfile|null} userProfile - The user profile
+   */
+  setUserProfile(userProfile) {
+    this.userProfile = userProfile || null;
+  }
+
+  /**
+   * Set the job the answers are for, so prompts can be tailored to it
+   *
+   * @param {Object|null} jobContext - Job details ({title, company, description})
+   */
+  setJobContext(jobContext) {
+    this.jobContext = jobContext || null;
+  }
+
+  /**
+   * Get an answer to a form question
+   *
+   * @param {string} question - The question/label
+   * @param {Object} [options] - Field characteristics
+   * @param {Array<string>} [options.optionsList] - Options to choose from
+   * @param {boolean} [options.numericOnly=false] - Whether the answer must be a number
+   * @param {boolean} [options.isSummary=false] - Whether this is a summary or cover letter field
+   * @param {boolean} [options.isCountry=false] - Whether this is a country field
+   * @param {boolean} [options.isExperience=false] - Whether this is an experience field
+   * @param {boolean} [options.isConsent=false] - Whether this is a consent field
+   * @returns {Promise<string|null>} - The answer, or null if none could be obtained
+   */
+  async getAnswer(question, options = {}) {
+    const details = await this.getAnswerDetails(question, options);
+    return details ? details.answer : null;
+  }
+
+  /**
+   * Get an answer to a form question with the model's confidence and rationale
+   *
+   * @param {string} question - The question/label
+   * @param {Object} [options] - Field characteristics, as for getAnswer()
+   * @returns {Promise<Object|null>} - {answer, confidence, rationale}; confidence (0-1) and
+   *   rationale are only set for option choices. null if no answer could be obtained
+   */
+  async getAnswerDetails(question, options = {}) {
+    if (options.isConsent) {
+      return { answer: 'Yes', confidence: null, rationale: null };
+    }
+
+    if (!this.isAvailable() || this.shouldStop()) {
+      return null;
+    }
+
+    try {
+      this._log(`🔍 Asking about "${question}"${options.optionsList ? ` (${options.optionsList.length} options)` : ''}`);
+
+      if (options.optionsList && options.optionsList.length > 0) {
+        return await this._chooseOption(question, options);
+      }
+
+      const response = await this._complete(this.buildPrompt(question, options), options);
+      const answer = this.cleanAnswer(response, options);
+
+      this._log(`✅ Answer for "${question}": "${answer}"`);
+      return answer ? { answer, confidence: null, rationale: null } : null;
+    } catch (error) {
+      this._logError(`❌ Error getting answer for "${question}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the prompt for a question
+   *
+   * @param {string} question - The question/label
+   * @param {Object} [options] - Field characteristics, as for getAnswer()
+   * @returns {string} - The prompt
+   */
+  buildPrompt(question, options = {}) {
+    const { optionsList = null, isSummary = false, isCountry = false } = options;
+    const numericOnly = options.numericOnly || options.isExperience;
+    const jobSection = AnswerProvider.formatJobContext(this.jobContext);
+    const profileContext = this.userProfile ? this.userProfile.toPromptContext() : '';
+
+    let prompt = `Based on my CV: ${this.cv}\n`;
+    if (profileContext) prompt += `\n${profileContext}\n`;
+    prompt += `${jobSection}\nQuestion: ${question}\n\n`;
+    prompt += this._getTopicHints(question);
+
+    if (optionsList && optionsList.length > 0) {
+      prompt += `Please choose the best option from the following list that matches my profile and preferences:\n`;
+      optionsList.forEach((opt, index) => {
+        prompt += `${index + 1}. ${opt}\n`;
+      });
+
+      // For selection questions with Yes/No options, prefer Yes for most cases
+      if (AnswerProvider._findYesOption(optionsList) && AnswerProvider._containsAnyOf(question, [
+        'are you comfortable', 'are you authorized', 'are you able',
+        'can you', 'do you have', 'are you willing', 'would you'
+      ])) {
+        prompt += `\nFor questions about my capabilities, authorizations, or willingness, please assume I am answering YES unless there's a clear reason not to based on my CV or profile.`;
+      }
+
+      prompt += `\nRespond with ONLY a JSON object of this form, without any other text:
+{"option": <number of the chosen option>, "confidence": <number from 0 to 1, how sure you are>, "rationale": "<one short sentence explaining the choice>"}`;
+    } else if (isCountry) {
+      prompt += `Please respond with ONLY the country name (like "India" or "United States"), nothing else.`;
+    } else if (numericOnly) {
+      prompt += `Please respond with ONLY a number.`;
+    } else if (isSummary) {
+      if (AnswerProvider._containsAnyOf(question, ['cover letter', 'why are you interested'])) {
+        prompt += `Please write a professional, concise cover letter explaining why I'm a good fit for this role based on my experience. Keep it to around 1000 characters, focusing on my most relevant skills and achievements.`;
+      } else {
+        prompt += `Please provide a concise professional summary based on my CV. Keep it to around 800 characters, highlighting my key skills and experiences. Make it directly relevant to this job application.`;
+      }
+      if (jobSection) {
+        prompt += ` Refer to the job title, company and the requirements in the job description above.`;
+      }
+    } else {
+      prompt += `Please provide a direct, concise answer based on my CV and profile. Keep your response short and to the point.`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Turn a raw free text response into the value to fill in
+   *
+   * @param {string} response - Raw response text
+   * @param {Object} [options] - Field characteristics, as for getAnswer()
+   * @returns {string|null} - The cleaned answer, or null if it is unusable
+   */
+  cleanAnswer(response, options = {}) {
+    const numericOnly = options.numericOnly || options.isExperience;
+    const answer = (response || '').trim();
+
+    if (!answer) return null;
+
+    if (numericOnly) {
+      const numberMatch = answer.match(/\d+(\.\d+)?/);
+      return numberMatch ? numberMatch[0] : null;
+    }
+
+    return answer;
+  }
+
+  /**
+   * Ask the model to choose one of the options, asking again once if its reply is invalid
+   *
+   * @private
+   * @param {string} question - The question/label
+   * @param {Object} options - Field characteristics, as for getAnswer()
+   * @returns {Promise<Object|null>} - {answer, confidence, rationale}, or null if no valid choice was made
+   */
+  async _chooseOption(question, options) {
+    const prompt = this.buildPrompt(question, options);
+    let problem = null;
+
+    for (let attempt = 1; attempt <= AnswerProvider.MAX_CHOICE_ATTEMPTS; attempt++) {
+      const retryNote = problem ?
+        `\n\nYour previous reply was invalid: ${problem}. Reply with the JSON object only.` : '';
+      const response = await this._complete(`${prompt}${retryNote}`, { ...options, json: true });
+
+      try {
+        const choice = AnswerProvider.parseOptionChoice(response, options.optionsList);
+        this._log(`✅ Chose "${choice.answer}" for "${question}" (confidence ${choice.confidence}): ${choice.rationale}`);
+        return choice;
+      } catch (error) {
+        problem = error.message;
+        this._log(`⚠️ Invalid option choice for "${question}" (attempt ${attempt}): ${problem}`);
+      }
+    }
+
+    this._log(`⚠️ No valid option choice for "${question}", leaving it to the caller's default`);
+    return null;
+  }
+
+  /**
+   * Prompt lines for salary, location, work authorization, availability and
+   * experience questions, filled in from the profile
+   *
+   * @private
+   * @param {string} question - The question/label
+   * @returns {string}
+   */
+  _getTopicHints(question) {
+    const profile = this.userProfile;
+    if (!profile) return '';
+
+    const { city, country, salaryCurrency, expectedSalary, noticePeriod } = profile;
+    const location = [city, country].filter(Boolean).join(', ');
+    let hints = '';
+
+    if (AnswerProvider._containsAnyOf(question, ['salary', 'compensation', 'pay', 'expectation'])) {
+      hints += `For salary-related questions:
+${salaryCurrency ? `- If the question asks for salary in another currency than my preferred currency (${salaryCurrency}), please convert appropriately\n` : ''}- My expected salary is ${expectedSalary ? `${expectedSalary} ${salaryCurrency}`.trim() : 'competitive and based on market rates'}
+- If specific currencies are mentioned in the question, please answer in those currencies\n\n`;
+    }
+
+    if (location && AnswerProvider._containsAnyOf(question, ['location', 'relocate', 'based in', 'where are you', 'address', 'city', 'country'])) {
+      hints += `For location-related questions:
+- I am currently located in ${location}
+- If the question asks if I'm located in a specific country or city, compare with my current location\n\n`;
+    }
+
+    if (AnswerProvider._containsAnyOf(question, ['authorized', 'legally', 'right to work', 'work permit', 'sponsor', 'visa'])) {
+      hints += `For work authorization questions:
+- Use the work authorization and sponsorship details in my profile
+- If the country matches my authorization, answer "Yes"
+- If the country doesn't match my authorization, answer "No, I would need sponsorship"\n\n`;
+    }
+
+    if (noticePeriod && AnswerProvider._containsAnyOf(question, ['notice period', 'start date', 'join', 'available', 'availability'])) {
+      hints += `For availability questions:
+- My notice period is ${noticePeriod}
+- For specific start date questions, answer based on my notice period\n\n`;
+    }
+
+    if (AnswerProvider._containsAnyOf(question, ['experience', 'years', 'worked'])) {
+      const years = profile.getExperienceFor(question);
+      hints += `For experience-related questions:
+${years ? `- I have ${years} years of experience relevant to this question\n` : ''}- For specific technology questions, check my CV and profile for exact experience with that technology
+- If the question asks for a minimum experience level, answer based on my actual experience\n\n`;
+    }
+
+    return hints;
+  }
+
+  /**
+   * Send a prompt to the backend, with a higher temperature for summaries
+   *
+   * @private
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Field characteristics, as for getAnswer()
+   * @returns {Promise<string>} - The response text
+   */
+  async _complete(prompt, options) {
+    const config = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.geminiApi) || {};
+    const temperature = options.isSummary ? config.temperatureCreative : config.temperatureFactual;
+    const startTime = Date.now();
+
+    const response = await this.backend.complete(prompt, { temperature, json: !!options.json });
+    this._log(`📥 Received response from ${this.backend.name} in ${Date.now() - startTime}ms`);
+    return response;
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Log an error message
+   *
+   * @private
+   * @param {string} message - The error message
+   * @param {Error} [error] - Optional error object
+   */
+  _logError(message, error) {
+    console.error(`${this._logPrefix} ${message}`, error || '');
+  }
+
+  /**
+   * Format job details as a prompt section, truncating the description to
+   * EasyApplyConfig.geminiApi.maxJobDescriptionLength characters
+   *
+   * @param {Object|null} jobContext - Job details ({title, company, description})
+   * @param {number} [maxDescriptionLength] - Override for the description size limit
+   * @returns {string} - The prompt section, or an empty string if there is no job context
+   */
+  static formatJobContext(jobContext, maxDescriptionLength) {
+    if (!jobContext || (!jobContext.title && !jobContext.company && !jobContext.description)) {
+      return '';
+    }
+
+    const limit = maxDescriptionLength ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.geminiApi.maxJobDescriptionLength) || 3000;
+    const description = (jobContext.description || '').trim();
+    const truncated = description.length > limit ? `${description.substring(0, limit)}...` : description;
+
+    let section = `\nI am applying for this job:\n`;
+    if (jobContext.title) section += `- Job title: ${jobContext.title}\n`;
+    if (jobContext.company) section += `- Company: ${jobContext.company}\n`;
+    if (truncated) section += `- Job description: ${truncated}\n`;
+
+    return section;
+  }
+
+  /**
+   * Parse and validate a JSON option choice
+   *
+   * @param {string} response - Raw response text, optionally wrapped in a code block
+   * @param {Array<string>} optionsList - The options offered
+   * @returns {Object} - {answer, confidence, rationale}
+   * @throws {Error} Describing why the response is not a valid choice
+   */
+  static parseOptionChoice(response, optionsList) {
+    const text = (response || '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end < start) {
+      throw new Error('no JSON object found');
+    }
+
+    let choice = null;
+    try {
+      choice = JSON.parse(text.substring(start, end + 1));
+    } catch (error) {
+      throw new Error('the JSON could not be parsed');
+    }
+
+    const index = Number(choice.option);
+    if (!Number.isInteger(index) || index < 1 || index > optionsList.length) {
+      throw new Error(`"option" must be a number from 1 to ${optionsList.length}`);
+    }
+
+    // Accept percentages as well as fractions
+    let confidence = Number(choice.confidence);
+    if (confidence > 1 && confidence <= 100) confidence /= 100;
+    if (choice.confidence === undefined || !Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+      throw new Error('"confidence" must be a number from 0 to 1');
+    }
+
+    return {
+      answer: optionsList[index - 1],
+      confidence: Math.round(confidence * 100) / 100,
+      rationale: String(choice.rationale || '').trim().substring(0, AnswerProvider.MAX_RATIONALE_LENGTH)
+    };
+  }
+
+  /**
+   * Find the option that answers "yes"
+   *
+   * @private
+   * @param {Array<string>} optionsList - The options
+   * @returns {string|undefined}
+   */
+  static _findYesOption(optionsList) {
+    return optionsList.find(opt =>
+      opt.toLowerCase() === 'yes' ||
+      opt.toLowerCase().includes('yes,') ||
+      opt.toLowerCase() === 'i do'
+    );
+  }
+
+  /**
+   * Check if text contains any of the given keywords
+   *
+   * @private
+   * @param {string} text - Text to check
+   * @param {Array<string>} keywords - Lowercase keywords to look for
+   * @returns {boolean}
+   */
+  static _containsAnyOf(text, keywords) {
+    const lowerText = (text || '').toLowerCase();
+    return keywords.some(keyword => lowerText.includes(keyword));
+  }
+}
+
+/**
+ * Number of times an option choice is requested before giving up
+ */
+AnswerProvider.MAX_CHOICE_ATTEMPTS = 2;
+
+/**
+ * Maximum characters of a rationale kept for the application history
+ */
+AnswerProvider.MAX_RATIONALE_LENGTH = 300;
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = AnswerProvider;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.AnswerProvider = AnswerProvider;
+}
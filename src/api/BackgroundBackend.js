@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Language model backend that sends prompts through the background service worker.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * BackgroundBackend lets the content script use the backend selected in the
+ * popup without calling it itself. A request from the content script comes
+ * from the LinkedIn page's origin, which local servers such as Ollama refuse
+ * and Chrome's Private Network Access blocks for localhost. The background
+ * service worker sends the request from the extension's origin instead, with
+ * the host permission granted when the settings were saved.
+ *
+ * @class
+ */
+class BackgroundBackend {
+  /**
+   * Creates a new background backend
+   *
+   * @param {GeminiBackend|OpenAICompatibleBackend} backend - The backend the service worker will use,
+   *   for its name and whether it is configured
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.name = backend.name;
+  }
+
+  /**
+   * Whether the backend has what it needs to send requests
+   *
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.backend.isConfigured();
+  }
+
+  /**
+   * Send a prompt to the service worker and return the generated text
+   *
+   * @param {string} prompt - The prompt
+   * @param {Object} [options] - Generation options, as for GeminiBackend.complete()
+   * @returns {Promise<string>} - The response text
+   * @throws {Error} If the service worker cannot be reached or the backend fails
+   */
+  async complete(prompt, options = {}) {
+    const response = await chrome.runtime.sendMessage({ action: 'llmComplete', prompt, options });
+
+    if (!response || response.error) {
+      throw new Error((response && response.error) || 'No response from the background service worker');
+    }
+
+    return response.text || '';
+  }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = BackgroundBackend;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.BackgroundBackend = BackgroundBackend;
+}
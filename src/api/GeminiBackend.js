@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Language model backend for Google's Gemini API.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * GeminiBackend sends prompts to the generateContent endpoint of the
+ * Gemini API with the model chosen in the popup.
+ *
+ * @class
+ */
+class GeminiBackend {
+  /**
+   * Creates a new Gemini backend
+   *
+   * @param {Object} options - Backend options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.model - Model name, e.g. "gemini-2.5-flash"
+   * @param {number} [options.timeoutMs] - Request timeout
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || '';
+    this.model = options.model || '';
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.name = `Gemini (${this.model})`;
+  }
+
+  /**
+   * Whether the backend has what it needs to send requests
+   *
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.apiKey && this.model);
+  }
+
+  /**
+   * Send a prompt and return the generated text
+   *
+   * @param {string} prompt - The prompt
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {boolean} [options.json=false] - Whether to request a JSON response
+   * @returns {Promise<string>} - The response text
+   * @throws {Error} If the API returns an error status or the request times out
+   */
+  async complete(prompt, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(`${GeminiBackend.API_URL}/${encodeURIComponent(this.model)}:generateContent`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': this.apiKey
+        },
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature: options.temperature,
+            responseMimeType: options.json ? 'application/json' : undefined
+          }
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Base URL of the Gemini models
+ */
+GeminiBackend.API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = GeminiBackend;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.GeminiBackend = GeminiBackend;
+}
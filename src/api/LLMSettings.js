@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Language model backend selected in the popup.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * LLMSettings stores which language model answers form questions: Gemini
+ * with a configurable model, any OpenAI-compatible chat completion server,
+ * or none, in which case forms are filled from the Q&A cache, the profile
+ * and default values only. The Gemini API key keeps its own `geminiApiKey`
+ * storage key; everything else is saved under `llmSettings` and defaults to
+ * EasyApplyConfig.llm. Requests are sent by the background service worker,
+ * which needs a host permission for an OpenAI-compatible server's origin.
+ *
+ * @class
+ */
+class LLMSettings {
+  /**
+   * Creates a new settings store
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.llmSettingsKey] - chrome.storage key for the settings
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.llmSettingsKey || 'llmSettings';
+    this._logPrefix = '[EasyApplyPlugin][LLMSettings]';
+  }
+
+  /**
+   * Get the settings, with defaults for anything not saved
+   *
+   * @returns {Promise<Object>} - {backend, geminiApiKey, geminiModel, openaiBaseUrl, openaiModel, openaiApiKey}
+   */
+  async getSettings() {
+    const result = await this._get();
+
+    return {
+      ...LLMSettings.getDefaultSettings(),
+      ...(result[this.storageKey] || {}),
+      geminiApiKey: result.geminiApiKey || result.apiKey || ''
+    };
+  }
+
+  /**
+   * Save the settings
+   *
+   * @param {Object} settings - Settings as returned by getSettings
+   * @returns {Promise<void>}
+   * @throws {Error} If the backend is unknown or its required settings are missing
+   */
+  async saveSettings(settings) {
+    const { geminiApiKey, ...llmSettings } = settings;
+
+    if (!Object.values(LLMSettings.BACKENDS).includes(llmSettings.backend)) {
+      throw new Error(`Unknown language model backend "${llmSettings.backend}"`);
+    }
+
+    if (llmSettings.backend === LLMSettings.BACKENDS.GEMINI && !llmSettings.geminiModel) {
+      throw new Error('Gemini model is required');
+    }
+
+    if (llmSettings.backend === LLMSettings.BACKENDS.OPENAI) {
+      if (!llmSettings.openaiModel) {
+        throw new Error('Model name is required');
+      }
+      try {
+        new URL(llmSettings.openaiBaseUrl);
+      } catch (error) {
+        throw new Error('Base URL is not a valid URL');
+      }
+    }
+
+    await this._set({ [this.storageKey]: llmSettings, geminiApiKey: geminiApiKey || '' });
+    this._log(`Language model set to ${llmSettings.backend}`);
+  }
+
+  /**
+   * Read the settings from chrome.storage.local
+   *
+   * @private
+   * @returns {Promise<Object>}
+   */
+  _get() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.storageKey, 'geminiApiKey', 'apiKey'], resolve);
+    });
+  }
+
+  /**
+   * Write values to chrome.storage.local
+   *
+   * @private
+   * @param {Object} values - The values to store
+   * @returns {Promise<void>}
+   */
+  _set(values) {
+    return new Promise(resolve => {
+      chrome.storage.local.set(values, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Default settings from EasyApplyConfig.llm
+   *
+   * @returns {Object}
+   */
+  static getDefaultSettings() {
+    const llm = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.llm) || {};
+
+    return {
+      backend: llm.backend || LLMSettings.BACKENDS.GEMINI,
+      geminiModel: llm.geminiModel || '',
+      openaiBaseUrl: llm.openaiBaseUrl || '',
+      openaiModel: llm.openaiModel || '',
+      openaiApiKey: ''
+    };
+  }
+
+  /**
+   * Host permissions the service worker needs to reach the settings' backend
+   *
+   * Ports are left out, as Chrome's match patterns match a host on any port.
+   *
+   * @param {Object} settings - Settings as returned by getSettings
+   * @returns {Array<string>} - Origin match patterns, empty if none are needed or the base URL is invalid
+   */
+  static getPermissionOrigins(settings) {
+    if (settings.backend !== LLMSettings.BACKENDS.OPENAI) return [];
+
+    try {
+      const { protocol, hostname } = new URL(settings.openaiBaseUrl);
+      return /^https?:$/.test(protocol) ? [`${protocol}//${hostname}/*`] : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Create the backend for the settings
+   *
+   * @param {Object} settings - Settings as returned by getSettings
+   * @returns {GeminiBackend|OpenAICompatibleBackend|null} - null in rule-only mode
+   */
+  static createBackend(settings) {
+    const timeoutMs = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.llm.requestTimeoutMs) || undefined;
+
+    switch (settings.backend) {
+      case LLMSettings.BACKENDS.GEMINI:
+        return new GeminiBackend({ apiKey: settings.geminiApiKey, model: settings.geminiModel, timeoutMs });
+      case LLMSettings.BACKENDS.OPENAI:
+        return new OpenAICompatibleBackend({
+          baseUrl: settings.openaiBaseUrl,
+          model: settings.openaiModel,
+          apiKey: settings.openaiApiKey,
+          timeoutMs
+        });
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Available backends
+ */
+LLMSettings.BACKENDS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  NONE: 'none'
+};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = LLMSettings;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.LLMSettings = LLMSettings;
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Language model backend for OpenAI-compatible chat completion servers.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * OpenAICompatibleBackend sends prompts to the /chat/completions endpoint
+ * under a configurable base URL. Besides OpenAI itself this covers local
+ * servers such as Ollama (http://localhost:11434/v1) and llama.cpp
+ * (http://localhost:8080/v1), which need no API key.
+ *
+ * @class
+ */
+class OpenAICompatibleBackend {
+  /**
+   * Creates a new OpenAI-compatible backend
+   *
+   * @param {Object} options - Backend options
+   * @param {string} options.baseUrl - Base URL of the API, e.g. "http://localhost:11434/v1"
+   * @param {string} options.model - Model name
+   * @param {string} [options.apiKey] - API key sent as a bearer token, if the server needs one
+   * @param {number} [options.timeoutMs] - Request timeout
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.model = options.model || '';
+    this.apiKey = options.apiKey || '';
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.name = `${this.model} at ${this.baseUrl}`;
+  }
+
+  /**
+   * Whether the backend has what it needs to send requests
+   *
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.baseUrl && this.model);
+  }
+
+  /**
+   * Send a prompt and return the generated text
+   *
+   * @param {string} prompt - The prompt
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {boolean} [options.json=false] - Whether to request a JSON response
+   * @returns {Promise<string>} - The response text
+   * @throws {Error} If the server returns an error status or the request times out
+   */
+  async complete(prompt, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: options.temperature,
+          response_format: options.json ? { type: 'json_object' } : undefined,
+          stream: false
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Chat completion error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = OpenAICompatibleBackend;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.OpenAICompatibleBackend = OpenAICompatibleBackend;
+}
@@ -60,7 +60,7 @@ const EasyApplyConfig = {
    * Application configuration
    */
   application: {
-    // Maximum number of jobs to apply to in one session
+    // Maximum number of jobs to apply to in one session (enforced by ApplicationQuota)
     maxJobsPerSession: 25,
     
     // Whether to skip jobs that have already been applied to
@@ -69,9 +69,12 @@ const EasyApplyConfig = {
     // Whether to continue on the next page after processing all jobs on current page
     continueToNextPage: true,
     
-    // Maximum number of pages to process
+    // Maximum number of results pages to process in one session (enforced by ApplicationQuota)
     maxPages: 5,
     
+    // Jobs per search results page (LinkedIn's `start` parameter step)
+    jobsPerPage: 25,
+    
     // Whether to save application data
     saveApplicationData: true,
     
@@ -80,6 +83,43 @@ const EasyApplyConfig = {
     skipOnMissingRequiredField: true // Skip applications with missing required fields
   },
   
+  /**
+   * Default application quotas, pacing and schedule (overridden by the settings saved from the popup).
+   * The per-session limits are application.maxJobsPerSession and application.maxPages. 0 disables a limit.
+   */
+  quotas: {
+    maxApplicationsPerDay: 50,     // Submitted applications per calendar day
+    maxApplicationsPerCompany: 3,  // Submitted applications per company across the application history
+    minDelaySeconds: 30,           // Shortest random pause between applications
+    maxDelaySeconds: 90,           // Longest random pause between applications
+    schedule: {
+      enabled: false,              // Only apply inside the daily window below
+      startTime: '09:00',
+      endTime: '18:00',
+      maxApplications: 0           // Submitted applications per window
+    }
+  },
+  
+  /**
+   * Default job filtering rules (overridden by the rules saved from the popup)
+   */
+  jobFilters: {
+    titleInclude: [],       // Title must contain at least one of these keywords
+    titleExclude: [],       // Title must not contain any of these keywords
+    companyBlocklist: [],   // Companies to never apply to
+    locationAllowlist: [],  // Location must contain at least one of these
+    workplaceTypes: [],     // Allowed workplace types: 'remote', 'hybrid', 'on-site' (empty = all)
+    excludePromoted: false  // Skip promoted posts
+  },
+  
+  /**
+   * Job description relevance scoring
+   */
+  relevance: {
+    maxKeywords: 40,            // Most frequent description keywords compared with the CV
+    maxDescriptionLength: 4000  // Characters of description sent to Gemini for scoring
+  },
+  
   /**
    * Gemini API configuration
    */
@@ -93,12 +133,52 @@ const EasyApplyConfig = {
     temperatureFactual: 0.2,   // Factual questions like work experience
     temperatureCreative: 0.6,  // Creative fields like summaries
     
-    // Default user context values
-    defaultLocation: 'India',
-    defaultCurrency: 'INR',
-    defaultWorkAuthorization: 'India',
-    defaultExperience: 4,
-    defaultJobType: 'Full-time'
+    // Maximum characters of the job description included in prompts
+    maxJobDescriptionLength: 3000
+    
+    // Personal details (location, currency, authorization, experience) come from the user profile
+  },
+  
+  /**
+   * Matching form questions against the Q&A cache (see QuestionMatcher)
+   */
+  questionMatching: {
+    minSimilarity: 0.7,  // Share of key terms two questions must have in common; entities must always agree
+    shortQuestionTerms: 4  // Questions with at most this many key terms must share all of them
+  },
+  
+  /**
+   * Usage tracking and expiry of Q&A cache entries (see CacheManager)
+   */
+  qaCacheUsage: {
+    maxJobsPerEntry: 10,  // Most recent jobs kept on each entry
+    expiryDays: 90,       // Default expiry offered for time-sensitive answers
+    timeSensitiveKeywords: [
+      'notice period', 'salary', 'compensation', 'ctc', 'start date', 'earliest start',
+      'available to start', 'availability', 'current company', 'current employer', 'current title'
+    ]
+  },
+  
+  /**
+   * Language model backend defaults (changed in the popup, see LLMSettings)
+   */
+  llm: {
+    backend: 'gemini',                          // 'gemini', 'openai' (any OpenAI-compatible server) or 'none'
+    geminiModel: 'gemini-2.5-flash',
+    openaiBaseUrl: 'http://localhost:11434/v1', // Ollama; llama.cpp's server uses http://localhost:8080/v1
+    openaiModel: 'llama3.1',
+    requestTimeoutMs: 60000
+  },
+  
+  /**
+   * Answers that need review before submitting (changed in the popup, see AnswerPolicy)
+   */
+  answerPolicy: {
+    action: 'none',          // 'none' (submit anyway), 'review' (pause at review) or 'skip' (skip the job)
+    requiredOnly: true,      // Only check required fields
+    flagDefaults: true,      // Flag answers filled with a generic default value
+    flagUnratedLlm: false,   // Flag free text language model answers, which have no confidence
+    minConfidence: 0.7       // Minimum model confidence / fuzzy cache similarity (0-1)
   },
   
   /**
@@ -142,12 +222,23 @@ const EasyApplyConfig = {
     // Key names for chrome.storage
     userSettingsKey: 'easyApplyUserSettings',
     applicationHistoryKey: 'easyApplyHistory',
+    applicationCountsKey: 'applicationCounts',
     cacheKey: 'easyApplyCache',
     questionCacheKey: 'easyApplyQACache',
+    profilesKey: 'profiles',
+    activeProfileKey: 'activeProfile',
+    profileQaCacheKeyPrefix: 'profileQaCache:',  // Followed by the profile name
+    automationSessionKey: 'automationSession',
+    quotaSettingsKey: 'quotaSettings',
+    savedSearchesKey: 'savedSearches',
+    llmSettingsKey: 'llmSettings',
+    answerPolicyKey: 'answerPolicy',
+    questionInboxKey: 'questionInbox',
     
     // Maximum items to store
-    maxHistoryItems: 500,
-    maxCacheItems: 200
+    maxHistoryItems: 500, // Oldest entries are dropped; quotas use the separate submitted counts
+    maxCacheItems: 200,
+    maxInboxItems: 200
   }
 };
 
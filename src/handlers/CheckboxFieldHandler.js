@@ -76,7 +76,8 @@ class CheckboxFieldHandler extends FieldHandlerBase {
     } else {
       // Otherwise, get value from cache or Gemini
       const stringValue = await this._getFieldValue(label, {
-        isConsent
+        isConsent,
+        kind: AnswerValue.KINDS.BOOLEAN
       });
       
       checkboxValue = stringValue && 
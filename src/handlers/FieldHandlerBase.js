@@ -18,8 +18,9 @@ class FieldHandlerBase {
    * 
    * @param {Object} dependencies - Dependency injection container
    * @param {CacheManager} dependencies.cacheManager - For managing Q&A cache
-   * @param {GeminiClient} dependencies.geminiClient - For AI-powered answers
+   * @param {AnswerProvider} [dependencies.answerProvider] - For AI-powered answers
    * @param {ErrorHandler} dependencies.errorHandler - For error handling
+   * @param {UserProfile} [dependencies.userProfile] - The applicant's structured profile
    * @param {Object} dependencies.config - Configuration options
    */
   constructor(dependencies) {
@@ -29,8 +30,9 @@ class FieldHandlerBase {
     
     this.dependencies = dependencies || {};
     this.cacheManager = dependencies.cacheManager;
-    this.geminiClient = dependencies.geminiClient;
+    this.answerProvider = dependencies.answerProvider || null;
     this.errorHandler = dependencies.errorHandler;
+    this.userProfile = dependencies.userProfile || null;
     this.config = dependencies.config || {};
     
     // Default delay values if not specified in config
@@ -38,6 +40,12 @@ class FieldHandlerBase {
       afterField: 100
     };
     
+    // Where the value used by the last _getFieldValue() call came from
+    this.lastValueSource = null;
+    
+    // {confidence, similarity, rationale} of the last value (see _setValueSource())
+    this.lastValueDetails = null;
+    
     this._logPrefix = '[EasyApplyPlugin][FieldHandler]';
   }
   
@@ -73,8 +81,23 @@ class FieldHandlerBase {
    * Get a value for the field, trying multiple sources in priority order:
    * 1. Provided value
    * 2. Cache
-   * 3. Gemini API
-   * 4. Default value
+   * 3. User profile
+   * 4. Language model, through the answer provider
+   * 5. Generic default (never for country, city, phone or experience fields)
+   * 
+   * The source of the returned value is stored in `lastValueSource` as one of
+   * FieldHandlerBase.VALUE_SOURCES and its confidence in `lastValueDetails`.
+   * 
+   * When `optionsList` is given, a cached answer is mapped onto the option it
+   * stands for (see AnswerValue.matchOption) and the option label is returned;
+   * a cached answer that fits none of the options is not used.
+   * 
+   * Language model answers are cached with their source and confidence and
+   * keep being reported as language model answers until the user confirms
+   * them from the question inbox (see QuestionInbox). The details of cached
+   * and language model answers carry the cache key, so the application's
+   * outcome can be recorded on the entry (see CacheManager.recordApplication);
+   * those of language model answers and defaults also carry the field's options.
    * 
    * @protected
    * @param {string} label - The field label
@@ -84,6 +107,9 @@ class FieldHandlerBase {
    * @param {boolean} [options.isCity=false] - Whether this is a city field
    * @param {boolean} [options.isPhone=false] - Whether this is a phone field
    * @param {boolean} [options.isExperience=false] - Whether this is an experience field
+   * @param {boolean} [options.isSummary=false] - Whether this is a summary or cover letter field
+   * @param {Array<string>} [options.optionsList] - Labels of the options the value must be one of
+   * @param {string} [options.kind] - Kind of answer the field takes (one of AnswerValue.KINDS), if known
    * @returns {Promise<string|null>} - The value to use or null if none available
    */
   async _getFieldValue(label, options = {}) {
@@ -95,74 +121,140 @@ class FieldHandlerBase {
       isExperience = false,
       optionsList = null,
       isRadioGroup = false,
-      isConsent = false
+      isSummary = false,
+      isConsent = false,
+      kind
     } = options;
     
+    this.lastValueSource = null;
+    this.lastValueDetails = null;
+    
     // 1. Use provided value if available
     if (providedValue !== null) {
       this._log(`Using provided value for "${label}": "${providedValue}"`);
+      this._setValueSource(FieldHandlerBase.VALUE_SOURCES.PROVIDED, { confidence: 1 });
       return providedValue;
     }
     
     // 2. Try cache manager if available
+    let match = null;
     if (this.cacheManager) {
-      const cachedValue = await this.cacheManager.getValue(label, {
+      match = await this.cacheManager.getMatch(label, {
         isCountry,
         isCity,
         isPhone,
         isExperience
       });
       
+      const cachedValue = match && this._fitCachedAnswer(label, match.entry, optionsList);
+      
       if (cachedValue) {
-        this._log(`Using cached value for "${label}": "${cachedValue}"`);
+        this._log(`Using cached value for "${label}": "${cachedValue}"${match.isFuzzy ? ` (similarity ${match.similarity})` : ''}`);
+        this.cacheManager.recordUse(match.key);
+        if (match.entry.source === FieldHandlerBase.VALUE_SOURCES.LLM) {
+          // Not confirmed by the user yet
+          const { confidence } = match.entry;
+          this._setValueSource(FieldHandlerBase.VALUE_SOURCES.LLM, {
+            confidence: typeof confidence === 'number' ? confidence * match.similarity : null,
+            similarity: match.isFuzzy ? match.similarity : undefined,
+            rationale: match.isFuzzy ?
+              `Cached language model answer to "${match.question}": ${match.explanation}` :
+              'Cached language model answer',
+            cacheKey: match.key.startsWith('__fieldtype_') ? label : match.key,
+            options: optionsList || undefined
+          });
+        } else if (match.isFuzzy) {
+          this._setValueSource(FieldHandlerBase.VALUE_SOURCES.CACHE_FUZZY, {
+            confidence: match.similarity,
+            similarity: match.similarity,
+            rationale: `Matched "${match.question}": ${match.explanation}`,
+            cacheKey: match.key
+          });
+        } else {
+          this._setValueSource(FieldHandlerBase.VALUE_SOURCES.CACHE, { confidence: 1, cacheKey: match.key });
+        }
         return cachedValue;
       }
     }
     
-    // 3. Try Gemini API if available
-    if (this.geminiClient) {
+    // 3. Try the user's structured profile
+    if (this.userProfile) {
+      let profileValue = this.userProfile.getValue(label, {
+        isCountry,
+        isCity,
+        isPhone,
+        isExperience,
+        isNumeric: kind === AnswerValue.KINDS.NUMBER,
+        isSummary
+      });
+      
+      if (profileValue && optionsList && optionsList.length) {
+        const index = AnswerValue.matchOption(AnswerValue.create(profileValue), optionsList);
+        if (index === -1) {
+          this._log(`Profile value "${profileValue}" for "${label}" fits none of the options`);
+        } else {
+          this._log(`Mapped profile value "${profileValue}" onto option "${optionsList[index]}"`);
+        }
+        profileValue = index === -1 ? null : optionsList[index];
+      }
+      
+      if (profileValue) {
+        this._log(`Using profile value for "${label}": "${profileValue}"`);
+        this._setValueSource(FieldHandlerBase.VALUE_SOURCES.PROFILE, { confidence: 1 });
+        return profileValue;
+      }
+    }
+    
+    // 4. Ask the answer provider if available
+    if (this.answerProvider) {
       try {
-        const geminiValue = await this.geminiClient.getValue(label, {
+        const details = await this.answerProvider.getAnswerDetails(label, {
           isCountry,
-          isCity,
-          isPhone,
           isExperience,
+          isSummary,
           isConsent,
-          optionsList,
-          isRadioGroup
+          optionsList
         });
+        const llmValue = details && details.answer;
         
-        if (geminiValue) {
-          this._log(`Using Gemini value for "${label}": "${geminiValue}"`);
+        if (llmValue) {
+          this._log(`Using language model value for "${label}": "${llmValue}"`);
           
-          // Save to cache for future use if cache manager available
-          if (this.cacheManager) {
-            this.cacheManager.setValue(label, geminiValue, {
+          // Save to cache for future use, unless the cached answer just did not fit the options
+          if (this.cacheManager && !match) {
+            this.cacheManager.setValue(label, llmValue, {
               isCountry,
               isCity,
               isPhone,
-              isExperience
+              isExperience,
+              kind: isPhone ? AnswerValue.KINDS.TEXT : kind,
+              optionsList,
+              source: FieldHandlerBase.VALUE_SOURCES.LLM,
+              confidence: typeof details.confidence === 'number' ? details.confidence : null
             });
           }
           
-          return geminiValue;
+          // Free text answers have no confidence (null)
+          this._setValueSource(FieldHandlerBase.VALUE_SOURCES.LLM, {
+            confidence: details.confidence,
+            rationale: details.rationale || undefined,
+            cacheKey: label,
+            options: optionsList || undefined
+          });
+          return llmValue;
         }
       } catch (error) {
-        this._logError(`Error getting value from Gemini for "${label}":`, error);
+        this._logError(`Error getting value from the language model for "${label}":`, error);
       }
     }
     
-    // 4. Use default values as last resort
+    // 5. Use generic defaults as last resort. Personal details are never invented:
+    // without a profile value they are left for the user to fill in.
     let defaultValue = null;
     
-    if (isCountry) {
-      defaultValue = this.config.defaults?.defaultCountry || "India";
-    } else if (isCity) {
-      defaultValue = this.config.defaults?.defaultCity || "Bengaluru";
-    } else if (isPhone) {
-      defaultValue = this.config.defaults?.defaultPhoneNumber || "8860753300";
-    } else if (isExperience) {
-      defaultValue = this.config.defaultExperienceYears?.toString() || "4";
+    if (isCountry || isCity || isPhone || isExperience) {
+      this._log(`No profile value for "${label}", leaving it blank`);
+      return null;
     } else if (isRadioGroup && optionsList && optionsList.length > 0) {
       // For radio groups with options, use a more intelligent fallback
       // Try to find an option that indicates positive response
@@ -177,9 +269,54 @@ class FieldHandlerBase {
     }
     
     this._log(`Using default value for "${label}": "${defaultValue}"`);
+    this._setValueSource(FieldHandlerBase.VALUE_SOURCES.DEFAULT, {
+      confidence: 0,
+      cacheKey: label,
+      options: optionsList || undefined
+    });
     return defaultValue;
   }
   
+  /**
+   * Turn a cached entry into the value for the current field
+   * 
+   * @private
+   * @param {string} label - The field label
+   * @param {Object} entry - Typed cache entry (see AnswerValue)
+   * @param {Array<string>|null} optionsList - Labels of the field's options, if it has any
+   * @returns {string|null} - The text or option label, or null if the entry fits none of the options
+   */
+  _fitCachedAnswer(label, entry, optionsList) {
+    if (!entry) return null;
+    
+    if (!optionsList || !optionsList.length) {
+      return AnswerValue.toText(entry) || null;
+    }
+    
+    const index = AnswerValue.matchOption(entry, optionsList);
+    if (index === -1) {
+      this._log(`Cached ${entry.kind} answer "${AnswerValue.toText(entry)}" for "${label}" fits none of the options`);
+      return null;
+    }
+    
+    this._log(`Mapped cached ${entry.kind} answer "${AnswerValue.toText(entry)}" onto option "${optionsList[index]}"`);
+    return optionsList[index];
+  }
+  
+  /**
+   * Remember where the value returned by _getFieldValue() came from
+   * 
+   * @protected
+   * @param {string} source - One of FieldHandlerBase.VALUE_SOURCES
+   * @param {Object} details - {confidence} (0-1, null if unknown), plus the similarity of
+   *   a fuzzy cache match, the model's rationale for an option choice, the cache key of
+   *   cached, language model and default answers and the options of the last two
+   */
+  _setValueSource(source, details) {
+    this.lastValueSource = source;
+    this.lastValueDetails = details;
+  }
+  
   /**
    * Dispatch an event on a field
    * 
@@ -358,6 +495,19 @@ class FieldHandlerBase {
   }
 }
 
+/**
+ * Possible sources of a field value returned by _getFieldValue()
+ */
+FieldHandlerBase.VALUE_SOURCES = {
+  PROVIDED: 'provided',
+  CACHE: 'cache',
+  CACHE_FUZZY: 'cache-fuzzy',
+  PROFILE: 'profile',
+  LLM: 'llm',
+  DEFAULT: 'default',
+  USER: 'user'      // Changed by the user in the form (see FormFiller.watchUserEdits)
+};
+
 // Export the class for use in other modules
 if (typeof module !== 'undefined') {
   module.exports = FieldHandlerBase;
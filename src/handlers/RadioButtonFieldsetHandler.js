@@ -154,7 +154,7 @@ class RadioButtonFieldsetHandler extends FieldHandlerBase {
         } 
         // For years of experience, select a moderate amount
         else if (this._isYearsOfExperienceQuestion(questionLabel)) {
-          selectedOption = this._selectModerateExperience(options);
+          selectedOption = this._selectModerateExperience(options, questionLabel);
         }
         // For language proficiency, select highest
         else if (this._isLanguageProficiencyQuestion(questionLabel)) {
@@ -314,13 +314,33 @@ class RadioButtonFieldsetHandler extends FieldHandlerBase {
   }
   
   /**
-   * Selects a moderate experience level (not too high, not too low)
+   * Selects the option covering the profile's years of experience, or a
+   * moderate experience level (not too high, not too low) without a profile
    * 
    * @private
    * @param {Array<Object>} options - The available options
+   * @param {string} [questionLabel] - The question, used to look up per-skill experience
    * @returns {Object} - The selected option
    */
-  _selectModerateExperience(options) {
+  _selectModerateExperience(options, questionLabel = '') {
+    const years = this.userProfile ? parseFloat(this.userProfile.getExperienceFor(questionLabel)) : NaN;
+    
+    if (!isNaN(years)) {
+      // Match ranges like "3-5 years", "5+ years" or single numbers
+      for (const option of options) {
+        const range = option.label.match(/(\d+)\s*(?:-|to)\s*(\d+)/);
+        const plus = option.label.match(/(\d+)\s*\+/);
+        const single = option.label.match(/\d+/);
+        
+        if ((range && years >= parseFloat(range[1]) && years <= parseFloat(range[2])) ||
+            (plus && years >= parseFloat(plus[1])) ||
+            (!range && !plus && single && parseFloat(single[0]) === years)) {
+          this._log(`Selected experience matching profile (${years} years): "${option.label}"`);
+          return option;
+        }
+      }
+    }
+    
     // Prefer options with 3-5 years of experience
     const moderateYears = ['3', '4', '5', '3-5', '2-5'];
     
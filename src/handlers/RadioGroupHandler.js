@@ -79,10 +79,11 @@ class RadioGroupHandler extends FieldHandlerBase {
         groupLabel.toLowerCase().includes(keyword.toLowerCase())
       );
     
-    // Get the appropriate value
+    // Get the appropriate value, mapped onto one of the option labels where possible
     const radioValue = await this._getFieldValue(groupLabel, {
       providedValue: value,
-      isConsent
+      isConsent,
+      optionsList: Array.from(radioGroup).map(radio => this._getRadioButtonLabel(radio)).filter(Boolean)
     });
     
     if (!radioValue) {
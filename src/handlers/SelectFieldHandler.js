@@ -53,17 +53,6 @@ class SelectFieldHandler extends FieldHandlerBase {
         label.toLowerCase().includes(keyword.toLowerCase())
       );
     
-    // Get the appropriate value
-    const selectValue = await this._getFieldValue(label, {
-      providedValue: value,
-      isExperience
-    });
-    
-    if (!selectValue) {
-      this._log(`No value available for select field: "${label}"`);
-      return false;
-    }
-    
     try {
       // Get available options
       const options = Array.from(field.options);
@@ -84,6 +73,18 @@ class SelectFieldHandler extends FieldHandlerBase {
         return false;
       }
       
+      // Get the appropriate value, mapped onto one of the options where possible
+      const selectValue = await this._getFieldValue(label, {
+        providedValue: value,
+        isExperience,
+        optionsList: availableOptions.map(opt => opt.text.trim())
+      });
+      
+      if (!selectValue) {
+        this._log(`No value available for select field: "${label}"`);
+        return false;
+      }
+      
       // Try to find exact match first
       for (const opt of availableOptions) {
         if (opt.text.toLowerCase() === selectValue.toLowerCase() || 
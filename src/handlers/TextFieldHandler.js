@@ -94,7 +94,8 @@ class TextFieldHandler extends FieldHandlerBase {
       providedValue: value,
       isPhone,
       isExperience,
-      isSummary
+      isSummary,
+      kind: TextFieldHandler.INPUT_KINDS[field.type]
     });
     
     if (!textValue) {
@@ -133,6 +134,14 @@ class TextFieldHandler extends FieldHandlerBase {
   }
 }
 
+/**
+ * Kinds of answer (see AnswerValue.KINDS) taken by typed inputs
+ */
+TextFieldHandler.INPUT_KINDS = {
+  number: 'number',
+  date: 'date'
+};
+
 // Export the class for use in other modules
 if (typeof module !== 'undefined') {
   module.exports = TextFieldHandler;
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Policy deciding which filled answers need review before submitting.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * AnswerPolicy flags answers that should not be submitted unchecked: default
+ * fallbacks, language model answers below a minimum confidence (or without
+ * one, if configured) and fuzzy Q&A cache matches below the same minimum
+ * similarity. FormFiller tags each recorded answer with the reason it was
+ * flagged; before submitting, the content script applies the configured
+ * action: submit anyway, pause for review in the ReviewOverlay, or skip the
+ * job. Questions the user marked "always ask me" in the question inbox are
+ * flagged too, and pause for review even when the action is to submit.
+ * Settings are saved from the popup in chrome.storage.local and default
+ * to EasyApplyConfig.answerPolicy.
+ *
+ * @class
+ */
+class AnswerPolicy {
+  /**
+   * Creates a new answer policy store
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.answerPolicyKey] - chrome.storage key for the policy settings
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.answerPolicyKey || 'answerPolicy';
+    this._logPrefix = '[EasyApplyPlugin][AnswerPolicy]';
+  }
+
+  /**
+   * Get the policy settings, with defaults for anything not saved
+   *
+   * @returns {Promise<Object>} - {action, requiredOnly, flagDefaults, flagUnratedLlm, minConfidence}
+   */
+  async getSettings() {
+    const saved = await this._get() || {};
+    return { ...AnswerPolicy.getDefaultSettings(), ...saved };
+  }
+
+  /**
+   * Save the policy settings
+   *
+   * @param {Object} settings - Settings as returned by getSettings
+   * @returns {Promise<void>}
+   * @throws {Error} If the action is unknown or the minimum confidence is not between 0 and 1
+   */
+  async saveSettings(settings) {
+    if (!Object.values(AnswerPolicy.ACTIONS).includes(settings.action)) {
+      throw new Error(`Unknown action "${settings.action}"`);
+    }
+
+    const minConfidence = Number(settings.minConfidence);
+    if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      throw new Error('Minimum confidence must be between 0 and 100%');
+    }
+
+    await this._set({ ...settings, minConfidence });
+    this._log(`Answer policy saved: ${settings.action}`);
+  }
+
+  /**
+   * Read the settings from chrome.storage.local
+   *
+   * @private
+   * @returns {Promise<Object|undefined>}
+   */
+  _get() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.storageKey], result => resolve(result[this.storageKey]));
+    });
+  }
+
+  /**
+   * Write the settings to chrome.storage.local
+   *
+   * @private
+   * @param {Object} settings - The settings to store
+   * @returns {Promise<void>}
+   */
+  _set(settings) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.storageKey]: settings }, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Default settings from EasyApplyConfig.answerPolicy
+   *
+   * @returns {Object}
+   */
+  static getDefaultSettings() {
+    const policy = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.answerPolicy) || {};
+
+    return {
+      action: policy.action || AnswerPolicy.ACTIONS.NONE,
+      requiredOnly: policy.requiredOnly !== undefined ? policy.requiredOnly : true,
+      flagDefaults: policy.flagDefaults !== undefined ? policy.flagDefaults : true,
+      flagUnratedLlm: !!policy.flagUnratedLlm,
+      minConfidence: policy.minConfidence !== undefined ? policy.minConfidence : 0.7
+    };
+  }
+
+  /**
+   * Get the reason an answer needs review
+   *
+   * @param {Object} entry - Answer as recorded by FormFiller ({source, confidence, similarity, required})
+   * @param {Object} settings - Policy settings
+   * @returns {string|null} - The reason, or null if the answer is fine
+   */
+  static getReviewReason(entry, settings) {
+    if (settings.requiredOnly && !entry.required) return null;
+
+    const percent = value => `${Math.round(value * 100)}%`;
+
+    switch (entry.source) {
+      case 'default':
+        return settings.flagDefaults ? 'default value' : null;
+      case 'cache-fuzzy':
+        return entry.similarity < settings.minConfidence ?
+          `similar cached question (${percent(entry.similarity)} match)` : null;
+      case 'llm':
+        if (entry.confidence === null || entry.confidence === undefined) {
+          return settings.flagUnratedLlm ? 'language model answer without confidence' : null;
+        }
+        return entry.confidence < settings.minConfidence ?
+          `low confidence language model answer (${percent(entry.confidence)})` : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Decide what to do with an application before submitting it
+   *
+   * @param {Array<Object>} answers - Answers recorded by FormFiller, with `reviewReason` on flagged ones
+   * @param {Object} settings - Policy settings
+   * @returns {Object} - {action, flagged, reason}: `action` is one of AnswerPolicy.ACTIONS
+   *   (always NONE when nothing is flagged, at least REVIEW for an "always ask me" question)
+   */
+  static evaluate(answers, settings) {
+    const flagged = (answers || []).filter(entry => entry.reviewReason);
+    const alwaysAsk = flagged.some(entry => entry.alwaysAsk);
+
+    if (!flagged.length || (settings.action === AnswerPolicy.ACTIONS.NONE && !alwaysAsk)) {
+      return { action: AnswerPolicy.ACTIONS.NONE, flagged, reason: '' };
+    }
+
+    const first = flagged[0];
+    const more = flagged.length > 1 ? ` and ${flagged.length - 1} more` : '';
+    const why = first.alwaysAsk ? 'is marked "always ask me"' : `answered by ${first.reviewReason}`;
+    return {
+      action: settings.action === AnswerPolicy.ACTIONS.NONE ? AnswerPolicy.ACTIONS.REVIEW : settings.action,
+      flagged,
+      reason: `"${first.question}" ${why}${more}`
+    };
+  }
+}
+
+/**
+ * What to do when an answer is flagged
+ */
+AnswerPolicy.ACTIONS = {
+  NONE: 'none',
+  REVIEW: 'review',
+  SKIP: 'skip'
+};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = AnswerPolicy;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.AnswerPolicy = AnswerPolicy;
+}
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Typed Q&A cache entries and their mapping onto field options.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * AnswerValue converts answers to and from typed Q&A cache entries. An entry
+ * stores the kind of answer and a canonical value:
+ *
+ *   number  {kind: 'number', value: 5}
+ *   boolean {kind: 'boolean', value: true}
+ *   date    {kind: 'date', value: '2025-01-31'}
+ *   option  {kind: 'option', value: '3-5 years'} (an option label chosen from a list)
+ *   text    {kind: 'text', value: 'Berlin, Germany'}
+ *
+ * Entries may carry more fields, such as the usage counted by CacheManager.
+ * Plain string entries saved by older versions are read as inferred entries.
+ * matchOption() maps an entry onto the options of the current field without
+ * guessing: booleans onto Yes/No style labels, numbers onto the range that
+ * contains them, anything else onto the label it equals or the only label
+ * it contains.
+ *
+ * @class
+ */
+class AnswerValue {
+  /**
+   * Create a cache entry from an answer
+   *
+   * @param {*} answer - The answer (string, number or boolean)
+   * @param {Object} [options] - Entry options
+   * @param {string} [options.kind] - One of AnswerValue.KINDS; inferred from the answer if not given
+   * @param {Array<string>} [options.optionsList] - Options the answer was chosen from
+   * @returns {Object|null} - {kind, value}, or null for an empty answer
+   */
+  static create(answer, options = {}) {
+    if (answer === null || answer === undefined || answer === '') return null;
+
+    const text = String(answer).trim();
+    const kind = options.kind || AnswerValue._inferKind(answer, options.optionsList);
+
+    switch (kind) {
+      case AnswerValue.KINDS.BOOLEAN: {
+        const value = typeof answer === 'boolean' ? answer : AnswerValue._parseBoolean(text);
+        if (value !== null) return { kind, value };
+        break;
+      }
+      case AnswerValue.KINDS.NUMBER: {
+        const value = AnswerValue._parseNumber(text);
+        if (value !== null) return { kind, value };
+        break;
+      }
+      case AnswerValue.KINDS.DATE: {
+        const value = AnswerValue._parseDate(text);
+        if (value) return { kind, value };
+        break;
+      }
+      case AnswerValue.KINDS.OPTION:
+        return { kind, value: text };
+      default:
+        break;
+    }
+
+    return { kind: AnswerValue.KINDS.TEXT, value: text };
+  }
+
+  /**
+   * Read a cache entry, converting plain strings saved by older versions
+   *
+   * @param {Object|string} entry - The stored entry
+   * @returns {Object|null} - {kind, value}
+   */
+  static fromCache(entry) {
+    if (entry && typeof entry === 'object' && Object.values(AnswerValue.KINDS).includes(entry.kind)) {
+      return entry;
+    }
+    return AnswerValue.create(entry);
+  }
+
+  /**
+   * The text to type into a field for an entry
+   *
+   * @param {Object} entry - Cache entry
+   * @returns {string}
+   */
+  static toText(entry) {
+    if (!entry) return '';
+    if (entry.kind === AnswerValue.KINDS.BOOLEAN) return entry.value ? 'Yes' : 'No';
+    return String(entry.value);
+  }
+
+  /**
+   * Find the option an entry stands for
+   *
+   * @param {Object} entry - Cache entry
+   * @param {Array<string>} optionsList - Option labels of the current field
+   * @returns {number} - Index of the option, or -1 if none fits
+   */
+  static matchOption(entry, optionsList) {
+    if (!entry || !optionsList || !optionsList.length) return -1;
+
+    const labels = optionsList.map(label => AnswerValue._normalize(label));
+    const text = AnswerValue._normalize(AnswerValue.toText(entry));
+
+    const exact = labels.indexOf(text);
+    if (exact !== -1) return exact;
+
+    switch (entry.kind) {
+      case AnswerValue.KINDS.BOOLEAN:
+        return AnswerValue._matchBoolean(entry.value, labels);
+      case AnswerValue.KINDS.NUMBER:
+        return AnswerValue._matchNumber(entry.value, labels);
+      case AnswerValue.KINDS.DATE:
+        return labels.findIndex(label => AnswerValue._parseDate(label) === entry.value);
+      default: {
+        // Only a single containing label counts: "Bachelor's" must not pick between two degrees
+        const containing = labels
+          .map((label, index) => (AnswerValue._containsWords(label, text) ||
+            AnswerValue._containsWords(text, label) ? index : -1))
+          .filter(index => index !== -1);
+        return containing.length === 1 ? containing[0] : -1;
+      }
+    }
+  }
+
+  /**
+   * Infer the kind of an answer
+   *
+   * @private
+   * @param {*} answer - The answer
+   * @param {Array<string>} [optionsList] - Options the answer was chosen from
+   * @returns {string} - One of AnswerValue.KINDS
+   */
+  static _inferKind(answer, optionsList) {
+    if (typeof answer === 'boolean') return AnswerValue.KINDS.BOOLEAN;
+    if (typeof answer === 'number') return AnswerValue.KINDS.NUMBER;
+
+    const text = String(answer).trim();
+    if (AnswerValue._parseBoolean(text) !== null) return AnswerValue.KINDS.BOOLEAN;
+    // Leading zeros and long digit strings are phone numbers, postcodes and IDs, not amounts
+    const amount = text.replace(/^[$€£₹¥]\s*/, '').replace(/(\d),(?=\d{3}\b)/g, '$1');
+    if (/^(0|[1-9]\d{0,6})(\.\d+)?\s*\+?\s*(years?|yrs?)?$/i.test(amount)) return AnswerValue.KINDS.NUMBER;
+    if (/^\d{4}-\d{2}-\d{2}$|^\d{1,2}\/\d{1,2}\/\d{4}$/.test(text)) return AnswerValue.KINDS.DATE;
+    if (optionsList && optionsList.some(option => AnswerValue._normalize(option) === AnswerValue._normalize(text))) {
+      return AnswerValue.KINDS.OPTION;
+    }
+    return AnswerValue.KINDS.TEXT;
+  }
+
+  /**
+   * Map a boolean onto Yes/No style labels
+   *
+   * @private
+   * @param {boolean} value - The answer
+   * @param {Array<string>} labels - Normalized labels
+   * @returns {number} - Index of the option, or -1
+   */
+  static _matchBoolean(value, labels) {
+    const exact = labels.findIndex(label => AnswerValue._parseBoolean(label) === value);
+    if (exact !== -1) return exact;
+
+    // "Yes, I am authorized" / "No, I will need sponsorship"
+    const word = value ? 'yes' : 'no';
+    return labels.findIndex(label => new RegExp(`^${word}\\b`).test(label));
+  }
+
+  /**
+   * Map a number onto the narrowest option range containing it
+   *
+   * @private
+   * @param {number} value - The answer
+   * @param {Array<string>} labels - Normalized labels
+   * @returns {number} - Index of the option, or -1
+   */
+  static _matchNumber(value, labels) {
+    let best = -1;
+    let bestWidth = Infinity;
+
+    labels.forEach((label, index) => {
+      const range = AnswerValue._parseRange(label);
+      if (!range) return;
+
+      const aboveMin = range.minExclusive ? value > range.min : value >= range.min;
+      const belowMax = range.maxExclusive ? value < range.max : value <= range.max;
+      const width = range.max - range.min;
+      if (aboveMin && belowMax && (best === -1 || width < bestWidth)) {
+        best = index;
+        bestWidth = width;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Parse an option label such as "3-5 years", "5+", "More than 10", "$100,000 - $150,000"
+   * or "None" into a range
+   *
+   * @private
+   * @param {string} normalizedLabel - Normalized label
+   * @returns {Object|null} - {min, max, minExclusive, maxExclusive} or null if the label has no number
+   */
+  static _parseRange(normalizedLabel) {
+    const range = (min, max, minExclusive = false, maxExclusive = false) =>
+      ({ min, max, minExclusive, maxExclusive });
+    let match;
+
+    // Drop currencies and thousands separators, and spell out "100k"
+    const label = normalizedLabel
+      .replace(/[$€£₹¥]|\b(usd|eur|gbp|inr|cad|aud)\b/g, '')
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .replace(/(\d+(?:\.\d+)?)k\b/g, (text, value) => String(parseFloat(value) * 1000))
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (/^(none|no experience|never|0)$/.test(label)) return range(0, 0);
+    if ((match = label.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/))) {
+      return range(parseFloat(match[1]), parseFloat(match[2]));
+    }
+    if ((match = label.match(/(\d+(?:\.\d+)?)\s*(?:\+|or more|and more|and above|or above)/)) ||
+        (match = label.match(/(?:at least|minimum)\s*(\d+(?:\.\d+)?)/))) {
+      return range(parseFloat(match[1]), Infinity);
+    }
+    if ((match = label.match(/(?:more than|over|above|greater than)\s*(\d+(?:\.\d+)?)/))) {
+      return range(parseFloat(match[1]), Infinity, true);
+    }
+    if ((match = label.match(/(?:less than|under|below|fewer than)\s*(\d+(?:\.\d+)?)/))) {
+      return range(0, parseFloat(match[1]), false, true);
+    }
+    if ((match = label.match(/(?:up to|at most|maximum)\s*(\d+(?:\.\d+)?)/))) {
+      return range(0, parseFloat(match[1]));
+    }
+    if ((match = label.match(/^(\d+(?:\.\d+)?)(\s*(years?|yrs?))?$/))) {
+      return range(parseFloat(match[1]), parseFloat(match[1]));
+    }
+    return null;
+  }
+
+  /**
+   * Parse a Yes/No style answer
+   *
+   * @private
+   * @param {string} text - The answer
+   * @returns {boolean|null} - null if the text is not a Yes/No answer
+   */
+  static _parseBoolean(text) {
+    const normalized = AnswerValue._normalize(text);
+    if (AnswerValue.TRUE_WORDS.includes(normalized)) return true;
+    if (AnswerValue.FALSE_WORDS.includes(normalized)) return false;
+    return null;
+  }
+
+  /**
+   * Parse a number from answers such as "5", "5+" or "5 years"
+   *
+   * @private
+   * @param {string} text - The answer
+   * @returns {number|null}
+   */
+  static _parseNumber(text) {
+    const match = String(text).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  /**
+   * Parse a date as YYYY-MM-DD from ISO or MM/DD/YYYY text
+   *
+   * @private
+   * @param {string} text - The date
+   * @returns {string|null}
+   */
+  static _parseDate(text) {
+    let match = String(text).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+
+    match = String(text).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+
+    return null;
+  }
+
+  /**
+   * Whether text contains a phrase as whole words
+   *
+   * @private
+   * @param {string} text - Normalized text
+   * @param {string} phrase - Normalized phrase
+   * @returns {boolean}
+   */
+  static _containsWords(text, phrase) {
+    return !!phrase && ` ${text} `.includes(` ${phrase} `);
+  }
+
+  /**
+   * Lowercase, collapse whitespace and drop trailing punctuation
+   *
+   * @private
+   * @param {string} text - Text to normalize
+   * @returns {string}
+   */
+  static _normalize(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[.!?:]+$/, '').trim();
+  }
+}
+
+/**
+ * Kinds of cached answers
+ */
+AnswerValue.KINDS = {
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  TEXT: 'text',
+  OPTION: 'option',
+  DATE: 'date'
+};
+
+/**
+ * Labels read as Yes and No
+ */
+AnswerValue.TRUE_WORDS = ['yes', 'y', 'true', 'checked', 'i agree', 'agree', 'accept', 'i accept'];
+AnswerValue.FALSE_WORDS = ['no', 'n', 'false', 'unchecked', 'i disagree', 'disagree', 'decline', 'i decline'];
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = AnswerValue;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.AnswerValue = AnswerValue;
+}
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Persistent log of every job touched by the automation.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * ApplicationHistory records one entry per processed job in chrome.storage.local
+ * so applications sent on the user's behalf can be audited later. Entries are
+ * stored newest first and capped at `EasyApplyConfig.storage.maxHistoryItems`.
+ * Submitted applications are also counted per day and per company under their
+ * own key, which ApplicationQuota reads, so trimming the history does not
+ * reset the quotas. Writes from one page are queued so none is lost.
+ *
+ * @class
+ */
+class ApplicationHistory {
+  /**
+   * Creates a new application history store
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.applicationHistoryKey] - chrome.storage key for the history list
+   * @param {string} [config.applicationCountsKey] - chrome.storage key for the submitted counts
+   * @param {number} [config.maxHistoryItems] - Maximum number of entries to keep
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.applicationHistoryKey || 'easyApplyHistory';
+    this.countsKey = storageConfig.applicationCountsKey || 'applicationCounts';
+    this.maxItems = storageConfig.maxHistoryItems || 500;
+    this._logPrefix = '[EasyApplyPlugin][ApplicationHistory]';
+  }
+
+  /**
+   * Record the outcome of a job
+   *
+   * @param {Object} entry - The history entry
+   * @param {string} entry.outcome - One of ApplicationHistory.OUTCOMES
+   * @param {string} [entry.jobId] - LinkedIn job id
+   * @param {string} [entry.title] - Job title
+   * @param {string} [entry.company] - Company name
+   * @param {string} [entry.location] - Job location
+   * @param {string} [entry.url] - Job URL
+   * @param {boolean} [entry.isEasyApply] - Whether the job offered Easy Apply
+   * @param {Array<Object>} [entry.questions] - Answered questions as {question, answer, source},
+   *   with the model's confidence and rationale for option choices
+   * @param {string} [entry.skipReason] - Why the job was skipped, if it was
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async record(entry) {
+    const record = {
+      ...entry,
+      jobId: entry.jobId || '',
+      title: entry.title || '',
+      company: entry.company || '',
+      location: entry.location || '',
+      url: entry.url || '',
+      isEasyApply: !!entry.isEasyApply,
+      questions: entry.questions || [],
+      timestamp: entry.timestamp || new Date().toISOString()
+    };
+
+    try {
+      await this._update(async () => {
+        // Counted first: they are small, and the quotas depend on them
+        if (record.outcome === ApplicationHistory.OUTCOMES.SUBMITTED) {
+          const counts = ApplicationHistory._countSubmitted(await this.getSubmittedCounts(), record);
+          await this._set({ [this.countsKey]: counts });
+        }
+
+        const history = [record, ...await this.getAll()].slice(0, this.maxItems);
+        await this._set({ [this.storageKey]: history });
+        this._log(`Recorded "${record.outcome}" for "${record.title}" at "${record.company}" (${history.length} entries)`);
+      });
+    } catch (error) {
+      this._logError('Error recording application history:', error);
+    }
+
+    return record;
+  }
+
+  /**
+   * Get all history entries, newest first
+   *
+   * @returns {Promise<Array<Object>>} - The stored entries
+   */
+  async getAll() {
+    const result = await this._get();
+    return Array.isArray(result) ? result : [];
+  }
+
+  /**
+   * Get the submitted applications counted per day and per company
+   *
+   * Counts saved before they were kept separately are taken from the history.
+   *
+   * @returns {Promise<Object>} - {days: {'YYYY-MM-DD': [timestamp, ...]}, companies: {company: count}},
+   *   with days kept for today and yesterday only and companies normalized by normalizeCompany()
+   */
+  async getSubmittedCounts() {
+    const counts = await this._get(this.countsKey);
+    if (counts) return counts;
+
+    return (await this.getAll())
+      .filter(entry => entry.outcome === ApplicationHistory.OUTCOMES.SUBMITTED)
+      .reduce(ApplicationHistory._countSubmitted, { days: {}, companies: {} });
+  }
+
+  /**
+   * Remove all history entries and submitted counts
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._update(() => this._set({ [this.storageKey]: [], [this.countsKey]: { days: {}, companies: {} } }));
+    this._log('Application history cleared');
+  }
+
+  /**
+   * Run a change after the ones already queued
+   *
+   * @private
+   * @param {Function} change - Async function that reads and writes the history
+   * @returns {Promise<void>}
+   */
+  _update(change) {
+    const run = ApplicationHistory._queue.then(change);
+
+    // Keep the queue going even if this change fails
+    ApplicationHistory._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read the history list, or another key, from chrome.storage.local
+   *
+   * @private
+   * @param {string} [key] - The key to read (defaults to the history list)
+   * @returns {Promise<*>}
+   */
+  _get(key = this.storageKey) {
+    return new Promise(resolve => {
+      chrome.storage.local.get([key], result => resolve(result[key]));
+    });
+  }
+
+  /**
+   * Write values to chrome.storage.local
+   *
+   * @private
+   * @param {Object} values - The values to store
+   * @returns {Promise<void>}
+   * @throws {Error} If the write fails, e.g. because the storage quota is used up
+   */
+  _set(values) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set(values, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Log an error message
+   *
+   * @private
+   * @param {string} message - The error message
+   * @param {Error} [error] - Optional error object
+   */
+  _logError(message, error) {
+    console.error(`${this._logPrefix} ${message}`, error || '');
+  }
+
+  /**
+   * Add a submitted application to the counts
+   *
+   * Only today's and yesterday's timestamps are kept: the daily limit and a
+   * schedule window, which starts at most a day ago, need no more.
+   *
+   * @private
+   * @param {Object} counts - Counts as returned by getSubmittedCounts
+   * @param {Object} entry - The submitted entry
+   * @returns {Object} - The new counts
+   */
+  static _countSubmitted(counts, entry) {
+    const time = new Date(entry.timestamp);
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const oldestDay = ApplicationHistory._dayKey(yesterday);
+
+    const days = {};
+    Object.keys(counts.days || {})
+      .filter(day => day >= oldestDay)
+      .forEach(day => { days[day] = counts.days[day]; });
+
+    const day = ApplicationHistory._dayKey(time);
+    if (day >= oldestDay) {
+      days[day] = [...(days[day] || []), time.getTime()];
+    }
+
+    const companies = { ...(counts.companies || {}) };
+    const company = ApplicationHistory.normalizeCompany(entry.company);
+    if (company) {
+      companies[company] = (companies[company] || 0) + 1;
+    }
+
+    return { days, companies };
+  }
+
+  /**
+   * Local date of a time as YYYY-MM-DD, which sorts by date
+   *
+   * @private
+   * @param {Date} date - The time
+   * @returns {string}
+   */
+  static _dayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+/**
+ * Normalize a company name for counting and comparison
+ *
+ * @param {string} company - Company name
+ * @returns {string}
+ */
+ApplicationHistory.normalizeCompany = function(company) {
+  return String(company || '').trim().toLowerCase();
+};
+
+/**
+ * Queue of history writes, so outcomes recorded close together do not overwrite each other
+ *
+ * @private
+ */
+ApplicationHistory._queue = Promise.resolve();
+
+/**
+ * Possible outcomes for a history entry
+ */
+ApplicationHistory.OUTCOMES = {
+  SUBMITTED: 'submitted',
+  SKIPPED_ALREADY_APPLIED: 'skipped-already-applied',
+  SKIPPED_NON_EASY_APPLY: 'skipped-non-easy-apply',
+  SKIPPED_FILTERED: 'skipped-filtered',
+  SKIPPED_LOW_MATCH: 'skipped-low-match',
+  FAILED_STUCK: 'failed-stuck',
+  STOPPED: 'stopped',
+  DRY_RUN: 'dry-run',
+  SKIPPED_BY_USER: 'skipped-by-user',
+  SKIPPED_QUOTA: 'skipped-quota',
+  SKIPPED_NEEDS_REVIEW: 'skipped-needs-review'
+};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = ApplicationHistory;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.ApplicationHistory = ApplicationHistory;
+}
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Application quotas, pacing and schedule enforced on automation sessions.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * ApplicationQuota decides whether the automation may send another
+ * application. It enforces limits per session, per day and per company,
+ * the maximum number of results pages per session, an optional daily time
+ * window with its own application limit, and a randomized pause between
+ * applications. Daily, window and company counts come from the submitted
+ * counts kept by ApplicationHistory; session counts are passed in by the
+ * background service worker, which owns the session. Settings are saved from
+ * the popup in chrome.storage.local and default to EasyApplyConfig. A limit
+ * of 0 disables it.
+ *
+ * @class
+ */
+class ApplicationQuota {
+  /**
+   * Creates a new quota checker
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.quotaSettingsKey] - chrome.storage key for the quota settings
+   * @param {ApplicationHistory} [history] - History the daily and company counts are read from
+   */
+  constructor(config, history) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.quotaSettingsKey || 'quotaSettings';
+    this.history = history || new ApplicationHistory(config);
+    this._logPrefix = '[EasyApplyPlugin][ApplicationQuota]';
+  }
+
+  /**
+   * Get the quota settings, with defaults for anything not saved
+   *
+   * @returns {Promise<Object>} - {maxApplicationsPerSession, maxPagesPerSession, maxApplicationsPerDay,
+   *   maxApplicationsPerCompany, minDelaySeconds, maxDelaySeconds, schedule: {enabled, startTime, endTime, maxApplications}}
+   */
+  async getSettings() {
+    const saved = await this._get() || {};
+    const defaults = ApplicationQuota.getDefaultSettings();
+
+    return {
+      ...defaults,
+      ...saved,
+      schedule: { ...defaults.schedule, ...(saved.schedule || {}) }
+    };
+  }
+
+  /**
+   * Save the quota settings
+   *
+   * @param {Object} settings - Settings as returned by getSettings
+   * @returns {Promise<void>}
+   */
+  async saveSettings(settings) {
+    const { startTime, endTime } = settings.schedule || {};
+
+    if (settings.schedule && settings.schedule.enabled &&
+        (ApplicationQuota.parseTime(startTime) === null || ApplicationQuota.parseTime(endTime) === null)) {
+      throw new Error('Schedule times must be in HH:MM format');
+    }
+
+    if (Number(settings.minDelaySeconds) > Number(settings.maxDelaySeconds)) {
+      throw new Error('The minimum delay cannot be longer than the maximum delay');
+    }
+
+    await this._set(settings);
+    this._log('Quota settings saved');
+  }
+
+  /**
+   * Decide whether the session may apply to a job now
+   *
+   * @param {Object} request - The application about to be sent
+   * @param {number} request.sessionApplications - Applications (submitted or dry run) sent in this session so far
+   * @param {string} [request.company] - Company of the job
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} - {action, reason, resumeAt, delayMs}: `action` is one of
+   *   ApplicationQuota.ACTIONS; `resumeAt` (ms timestamp) is set when pausing until a later time;
+   *   `delayMs` is the pause to take before applying when allowed
+   */
+  async check(request, now = new Date()) {
+    const settings = await this.getSettings();
+    const { ACTIONS } = ApplicationQuota;
+    const { schedule } = settings;
+    const sessionApplications = request.sessionApplications || 0;
+
+    if (settings.maxApplicationsPerSession > 0 && sessionApplications >= settings.maxApplicationsPerSession) {
+      return this._decide(ACTIONS.STOP, `Session limit of ${settings.maxApplicationsPerSession} applications reached`);
+    }
+
+    if (schedule.enabled && !ApplicationQuota.isWithinSchedule(schedule, now)) {
+      return this._decide(ACTIONS.PAUSE, `Outside the ${schedule.startTime}-${schedule.endTime} schedule`,
+        ApplicationQuota.getNextWindowStart(schedule, now));
+    }
+
+    const counts = await this.history.getSubmittedCounts();
+    const submitted = ApplicationQuota._submittedSince(counts, ApplicationQuota._startOfDay(now));
+
+    if (settings.maxApplicationsPerDay > 0 && submitted.length >= settings.maxApplicationsPerDay) {
+      const tomorrow = ApplicationQuota._startOfDay(ApplicationQuota._addDays(now, 1));
+      const resumeAt = schedule.enabled ? ApplicationQuota.getNextWindowStart(schedule, tomorrow) : tomorrow;
+      return this._decide(ACTIONS.PAUSE, `Daily limit of ${settings.maxApplicationsPerDay} applications reached`, resumeAt);
+    }
+
+    if (schedule.enabled && schedule.maxApplications > 0) {
+      const windowStart = ApplicationQuota.getWindowStart(schedule, now);
+      const inWindow = ApplicationQuota._submittedSince(counts, windowStart).length;
+
+      if (inWindow >= schedule.maxApplications) {
+        return this._decide(ACTIONS.PAUSE, `Schedule limit of ${schedule.maxApplications} applications reached`,
+          ApplicationQuota.getNextWindowStart(schedule, now));
+      }
+    }
+
+    const company = ApplicationHistory.normalizeCompany(request.company);
+    if (settings.maxApplicationsPerCompany > 0 && company) {
+      const companyCount = (counts.companies || {})[company] || 0;
+
+      if (companyCount >= settings.maxApplicationsPerCompany) {
+        return this._decide(ACTIONS.SKIP, `Limit of ${settings.maxApplicationsPerCompany} applications to "${request.company}" reached`);
+      }
+    }
+
+    return {
+      action: ACTIONS.ALLOW,
+      reason: null,
+      resumeAt: null,
+      delayMs: sessionApplications > 0 ? ApplicationQuota.getPacingDelay(settings) : 0
+    };
+  }
+
+  /**
+   * Decide whether the session may move on to another results page
+   *
+   * @param {number} pagesInSession - Pages the session will have visited including the next one
+   * @returns {Promise<{allowed: boolean, reason: string|null}>}
+   */
+  async checkPage(pagesInSession) {
+    const { maxPagesPerSession } = await this.getSettings();
+
+    if (maxPagesPerSession > 0 && pagesInSession > maxPagesPerSession) {
+      this._log(`Page limit of ${maxPagesPerSession} reached`);
+      return { allowed: false, reason: `Page limit of ${maxPagesPerSession} pages reached` };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Build a decision that does not allow the application
+   *
+   * @private
+   * @param {string} action - One of ApplicationQuota.ACTIONS
+   * @param {string} reason - Why
+   * @param {Date} [resumeAt] - When a paused session may continue
+   * @returns {Object} - {action, reason, resumeAt, delayMs}
+   */
+  _decide(action, reason, resumeAt = null) {
+    this._log(`${action}: ${reason}${resumeAt ? ` (until ${resumeAt.toLocaleString()})` : ''}`);
+    return { action, reason, resumeAt: resumeAt ? resumeAt.getTime() : null, delayMs: 0 };
+  }
+
+  /**
+   * Read the saved settings from chrome.storage.local
+   *
+   * @private
+   * @returns {Promise<Object|undefined>}
+   */
+  _get() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.storageKey], result => resolve(result[this.storageKey]));
+    });
+  }
+
+  /**
+   * Write the settings to chrome.storage.local
+   *
+   * @private
+   * @param {Object} settings - The settings to store
+   * @returns {Promise<void>}
+   */
+  _set(settings) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.storageKey]: settings }, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Get the settings used when none are saved
+   *
+   * @returns {Object}
+   */
+  static getDefaultSettings() {
+    const config = typeof EasyApplyConfig !== 'undefined' ? EasyApplyConfig : {};
+    const application = config.application || {};
+    const quotas = config.quotas || {};
+
+    return {
+      maxApplicationsPerSession: application.maxJobsPerSession || 0,
+      maxPagesPerSession: application.maxPages || 0,
+      maxApplicationsPerDay: quotas.maxApplicationsPerDay || 0,
+      maxApplicationsPerCompany: quotas.maxApplicationsPerCompany || 0,
+      minDelaySeconds: quotas.minDelaySeconds || 0,
+      maxDelaySeconds: quotas.maxDelaySeconds || 0,
+      schedule: {
+        enabled: false,
+        startTime: '09:00',
+        endTime: '18:00',
+        maxApplications: 0,
+        ...(quotas.schedule || {})
+      }
+    };
+  }
+
+  /**
+   * Get a random pause between applications
+   *
+   * @param {Object} settings - {minDelaySeconds, maxDelaySeconds}
+   * @returns {number} - Delay in ms
+   */
+  static getPacingDelay(settings) {
+    const min = Math.max(0, Number(settings.minDelaySeconds) || 0);
+    const max = Math.max(min, Number(settings.maxDelaySeconds) || 0);
+    return Math.round((min + Math.random() * (max - min)) * 1000);
+  }
+
+  /**
+   * Whether a time falls inside the schedule's daily window. A window whose
+   * end is before its start runs overnight.
+   *
+   * @param {Object} schedule - {startTime, endTime}
+   * @param {Date} now - The time to check
+   * @returns {boolean}
+   */
+  static isWithinSchedule(schedule, now) {
+    const start = ApplicationQuota.parseTime(schedule.startTime);
+    const end = ApplicationQuota.parseTime(schedule.endTime);
+    if (start === null || end === null || start === end) return true;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Get the start of the window a time falls in (or of the latest window before it)
+   *
+   * @param {Object} schedule - {startTime, endTime}
+   * @param {Date} now - The time
+   * @returns {Date}
+   */
+  static getWindowStart(schedule, now) {
+    const start = ApplicationQuota._atTime(now, schedule.startTime);
+    return start > now ? ApplicationQuota._addDays(start, -1) : start;
+  }
+
+  /**
+   * Get the start of the next window after a time
+   *
+   * @param {Object} schedule - {startTime, endTime}
+   * @param {Date} now - The time
+   * @returns {Date}
+   */
+  static getNextWindowStart(schedule, now) {
+    const start = ApplicationQuota._atTime(now, schedule.startTime);
+    return start > now ? start : ApplicationQuota._addDays(start, 1);
+  }
+
+  /**
+   * Parse a "HH:MM" time
+   *
+   * @param {string} value - The time
+   * @returns {number|null} - Minutes after midnight, or null if invalid
+   */
+  static parseTime(value) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  }
+
+  /**
+   * Get a time of day on the same date as another time
+   *
+   * @private
+   * @param {Date} date - The date
+   * @param {string} time - "HH:MM"
+   * @returns {Date}
+   */
+  static _atTime(date, time) {
+    const minutes = ApplicationQuota.parseTime(time) || 0;
+    const result = new Date(date);
+    result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    return result;
+  }
+
+  /**
+   * Move a time by whole days, keeping the local time of day
+   *
+   * @private
+   * @param {Date} date - The time
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {Date}
+   */
+  static _addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  /**
+   * Get local midnight at the start of a time's day
+   *
+   * @private
+   * @param {Date} date - The time
+   * @returns {Date}
+   */
+  static _startOfDay(date) {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+  }
+
+  /**
+   * Get the times of the submitted applications counted since a time
+   *
+   * @private
+   * @param {Object} counts - Counts as returned by ApplicationHistory.getSubmittedCounts
+   * @param {Date} since - Earliest time to include, at most a day before today
+   * @returns {Array<number>} - Timestamps
+   */
+  static _submittedSince(counts, since) {
+    return Object.values(counts.days || {})
+      .reduce((all, times) => all.concat(times), [])
+      .filter(time => time >= since.getTime());
+  }
+}
+
+/**
+ * Quota decisions
+ */
+ApplicationQuota.ACTIONS = {
+  ALLOW: 'allow',
+  SKIP: 'skip',
+  PAUSE: 'pause',
+  STOP: 'stop'
+};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = ApplicationQuota;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.ApplicationQuota = ApplicationQuota;
+}
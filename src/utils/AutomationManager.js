@@ -0,0 +1,630 @@
+/**
+ * @fileoverview Automation session state owned by the background service worker.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * AutomationManager runs in the background service worker and owns the state
+ * of the automation session: whether it is running, paused or stopped, which
+ * tab and profile it uses, the per-outcome counters, the job currently being
+ * processed and a checkpoint (search URL, page number, card index) of where
+ * the session is. A queue session runs several saved searches one after
+ * another, with counters per search, and a job list (e.g. the jobs saved on
+ * the "My Jobs" page) is applied to by visiting each job's page. The popup starts, pauses, resumes and stops sessions through
+ * it, and content.js reports its progress to it. The state is mirrored to
+ * chrome.storage.local, so it survives popup closes, content script reloads,
+ * the service worker being unloaded when idle and browser restarts.
+ *
+ * @class
+ */
+class AutomationManager {
+  /**
+   * Creates a new automation manager
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.automationSessionKey] - chrome.storage key for the session state
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.automationSessionKey || 'automationSession';
+    this.state = AutomationManager._createIdleState();
+    this._loaded = null;
+    this._logPrefix = '[EasyApplyPlugin][AutomationManager]';
+  }
+
+  /**
+   * Restore the session state saved before the service worker was last unloaded
+   *
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this._loaded) {
+      this._loaded = new Promise(resolve => {
+        AutomationManager._getStorageArea().get([this.storageKey], result => {
+          if (result && result[this.storageKey]) {
+            this.state = result[this.storageKey];
+            this._log(`Restored "${this.state.status}" session`);
+          }
+          resolve();
+        });
+      });
+    }
+
+    return this._loaded;
+  }
+
+  /**
+   * Get a copy of the session state
+   *
+   * @returns {Promise<Object>} - {status, mode, tabId, profileName, options, counters, currentJob, checkpoint,
+   *   startPageNumber, queue, jobList, startedAt, updatedAt, error}
+   */
+  async getState() {
+    await this.load();
+    return JSON.parse(JSON.stringify(this.state));
+  }
+
+  /**
+   * Start a new session, replacing any previous one
+   *
+   * @param {number} tabId - The LinkedIn tab the automation runs in
+   * @param {Object} options - Session options
+   * @param {string} options.mode - One of AutomationManager.MODES
+   * @param {string} [options.profileName] - Profile selected in the popup
+   * @param {string} [options.startUrl] - URL of the tab when the session started, used to count the pages visited
+   * @param {Array<Object>} [options.searches] - For MODES.QUEUE, the {id, name, url, profile} saved searches to run in order
+   * @param {Array<Object>} [options.jobs] - For MODES.JOB_LIST, the {jobId, url, title, company} jobs to apply to in order
+   * @param {boolean} [options.processNonEasyApply] - Whether to process non-Easy Apply jobs
+   * @param {boolean} [options.dryRun] - Whether to fill forms without submitting
+   * @param {boolean} [options.pauseAtReview] - Whether to pause at the Review step
+   * @returns {Promise<Object>} - The new session state
+   */
+  async start(tabId, options) {
+    await this.load();
+
+    const { mode, profileName, startUrl, searches, jobs, ...sessionOptions } = options;
+    const now = new Date().toISOString();
+
+    if (mode === AutomationManager.MODES.QUEUE && (!searches || !searches.length)) {
+      throw new Error('No saved searches to run');
+    }
+
+    if (mode === AutomationManager.MODES.JOB_LIST && (!jobs || !jobs.length)) {
+      throw new Error('No jobs to apply to');
+    }
+
+    this.state = {
+      ...AutomationManager._createIdleState(),
+      status: AutomationManager.STATUSES.RUNNING,
+      mode: mode || AutomationManager.MODES.AUTOMATION,
+      tabId,
+      profileName: profileName || null,
+      options: sessionOptions,
+      startPageNumber: startUrl ? AutomationManager.parseSearchPage(startUrl).pageNumber : 1,
+      startedAt: now,
+      updatedAt: now
+    };
+
+    if (this.state.mode === AutomationManager.MODES.QUEUE) {
+      this.state.queue = {
+        index: 0,
+        searches: searches.map(({ id, name, url, profile }, index) => ({
+          id,
+          name,
+          url,
+          profile: profile || null,
+          status: index === 0 ? AutomationManager.STATUSES.RUNNING : AutomationManager.STATUSES.IDLE,
+          counters: AutomationManager._createCounters()
+        }))
+      };
+    } else if (this.state.mode === AutomationManager.MODES.JOB_LIST) {
+      this.state.jobList = { index: 0, jobs };
+    }
+
+    this._log(`Started "${this.state.mode}" session in tab ${tabId}`);
+    await this._persist();
+    return this.getState();
+  }
+
+  /**
+   * Stop the session
+   *
+   * @param {string} [error] - Why the session stopped, if it was not requested by the user
+   * @returns {Promise<Object>} - The session state
+   */
+  async stop(error) {
+    await this.load();
+
+    if (this.isActive()) {
+      this.state.status = AutomationManager.STATUSES.STOPPED;
+      this.state.currentJob = null;
+      this.state.error = error || null;
+      this._log(`Session stopped${error ? `: ${error}` : ''}`);
+      await this._persist();
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Pause the running session. The content script finishes the field it is
+   * filling and then holds until the session is resumed.
+   *
+   * @param {string} [reason] - Why the session was paused, if it was not requested by the user
+   * @returns {Promise<Object>} - The session state
+   */
+  async pause(reason) {
+    await this.load();
+
+    if (this.state.status === AutomationManager.STATUSES.RUNNING) {
+      this.state.status = AutomationManager.STATUSES.PAUSED;
+      this.state.error = reason || null;
+      this._log(`Session paused${reason ? `: ${reason}` : ''}`);
+      await this._persist();
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Resume the paused session
+   *
+   * @param {number} tabId - The tab the session continues in
+   * @returns {Promise<Object>} - The session state
+   */
+  async resume(tabId) {
+    await this.load();
+
+    if (this.state.status !== AutomationManager.STATUSES.PAUSED) {
+      throw new Error('No paused session to resume');
+    }
+
+    this.state.status = AutomationManager.STATUSES.RUNNING;
+    this.state.tabId = tabId;
+    this.state.error = null;
+    this._log(`Session resumed in tab ${tabId}`);
+    await this._persist();
+    return this.getState();
+  }
+
+  /**
+   * Move the session to another tab, e.g. when the queue opened its next search in a new tab
+   *
+   * @param {number} tabId - The tab the session continues in
+   * @returns {Promise<void>}
+   */
+  async setTabId(tabId) {
+    await this.load();
+    this.state.tabId = tabId;
+    await this._persist();
+  }
+
+  /**
+   * Whether a session is in progress (running or paused)
+   *
+   * @returns {boolean}
+   */
+  isActive() {
+    const { RUNNING, PAUSED } = AutomationManager.STATUSES;
+    return this.state.status === RUNNING || this.state.status === PAUSED;
+  }
+
+  /**
+   * Apply a progress event reported by content.js. Events from tabs other
+   * than the session's, or arriving when no session is running, are ignored.
+   *
+   * @param {number} tabId - The tab that reported the event
+   * @param {Object} event - The event
+   * @param {string} event.type - One of AutomationManager.EVENTS
+   * @param {Object} [event.job] - {jobId, title, company} of the job concerned
+   * @param {Object} [event.checkpoint] - For JOB_STARTED, {searchUrl, pageNumber, cardIndex} of the job
+   * @param {Array<Object>} [event.jobs] - For JOBS_LISTED, the {jobId, url, title, company} jobs to visit
+   * @param {string} [event.outcome] - For JOB_FINISHED, one of ApplicationHistory.OUTCOMES
+   * @returns {Promise<boolean>} - Whether the state changed
+   */
+  async handleEvent(tabId, event) {
+    await this.load();
+
+    if (!this.isActive() || tabId !== this.state.tabId) {
+      return false;
+    }
+
+    const { EVENTS, STATUSES } = AutomationManager;
+
+    if (event.type === EVENTS.JOB_STARTED) {
+      this.state.currentJob = event.job || null;
+      if (event.checkpoint) {
+        this.state.checkpoint = event.checkpoint;
+      }
+    } else if (event.type === EVENTS.JOB_FINISHED) {
+      this._countOutcome(event.outcome);
+      this.state.currentJob = null;
+    } else if (event.type === EVENTS.JOBS_LISTED) {
+      // The list page's own run finishing moves the session to the first job
+      this.state.jobList = { index: -1, jobs: event.jobs || [] };
+      this._log(`Listed ${this.state.jobList.jobs.length} jobs to visit`);
+    } else if (event.type === EVENTS.SESSION_FINISHED) {
+      this.state.currentJob = null;
+      if (!this._advanceJobList() && !this._advanceQueue()) {
+        this.state.status = STATUSES.COMPLETED;
+        this._log(`Session completed: ${this.state.counters.processed} jobs processed`);
+      }
+    } else {
+      return false;
+    }
+
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * Work out where a content script that just loaded should continue the
+   * running session from. LinkedIn sometimes performs full navigations (e.g.
+   * to the next results page), which reload the content script mid-session.
+   *
+   * @param {number} tabId - The tab whose content script loaded
+   * @param {string} url - The URL it loaded on
+   * @returns {Promise<Object|null>} - {searchUrl, pageNumber, cardIndex} to resume from, or null if the page is not part of the session
+   */
+  async getRehydrationCheckpoint(tabId, url) {
+    await this.load();
+
+    if (this.state.status !== AutomationManager.STATUSES.RUNNING || tabId !== this.state.tabId) {
+      return null;
+    }
+
+    const page = AutomationManager.parseSearchPage(url);
+    const checkpoint = this.state.checkpoint;
+
+    // No job started yet: continue from the start of whatever page this is
+    if (!checkpoint) {
+      return { ...page, cardIndex: 0 };
+    }
+
+    if (!AutomationManager.isSameSearch(page.searchUrl, checkpoint.searchUrl)) {
+      await this.pause('The session tab left its job search');
+      return null;
+    }
+
+    // Same page: continue with the job that was in progress; a later page: from its first job
+    return page.pageNumber === checkpoint.pageNumber ? { ...checkpoint } : { ...page, cardIndex: 0 };
+  }
+
+  /**
+   * Pause the session if its tab was closed, so it can be resumed from the checkpoint
+   *
+   * @param {number} tabId - The closed tab
+   * @returns {Promise<boolean>} - Whether the session was paused
+   */
+  async handleTabClosed(tabId) {
+    await this.load();
+
+    if (this.state.status !== AutomationManager.STATUSES.RUNNING || tabId !== this.state.tabId) {
+      return false;
+    }
+
+    await this.pause('The LinkedIn tab was closed');
+    return true;
+  }
+
+  /**
+   * Pause a session that was running when the browser was closed
+   *
+   * @returns {Promise<boolean>} - Whether the session was paused
+   */
+  async handleBrowserStartup() {
+    await this.load();
+
+    if (this.state.status !== AutomationManager.STATUSES.RUNNING) {
+      return false;
+    }
+
+    await this.pause('The browser was closed');
+    return true;
+  }
+
+  /**
+   * Update the session's and the current search's counters for a finished job
+   *
+   * @private
+   * @param {string} outcome - One of ApplicationHistory.OUTCOMES
+   */
+  _countOutcome(outcome) {
+    const outcomes = (typeof ApplicationHistory !== 'undefined' && ApplicationHistory.OUTCOMES) || {};
+    const search = AutomationManager.getCurrentSearch(this.state);
+
+    [this.state.counters, search && search.counters].filter(Boolean).forEach(counters => {
+      counters.processed++;
+
+      if (outcome === outcomes.SUBMITTED) {
+        counters.submitted++;
+      } else if (outcome === outcomes.DRY_RUN) {
+        counters.dryRun++;
+      } else if (outcome === outcomes.FAILED_STUCK) {
+        counters.failed++;
+      } else if (String(outcome || '').startsWith('skipped')) {
+        counters.skipped++;
+      }
+    });
+  }
+
+  /**
+   * Move on to the next job of the job list, dropping the list after its last job
+   *
+   * @private
+   * @returns {boolean} - Whether there is another job to visit
+   */
+  _advanceJobList() {
+    const jobList = this.state.jobList;
+    if (!jobList) return false;
+
+    if (jobList.index + 1 >= jobList.jobs.length) {
+      this.state.jobList = null;
+      return false;
+    }
+
+    jobList.index++;
+    this.state.checkpoint = null;
+    this.state.startPageNumber = 1;
+    const job = jobList.jobs[jobList.index];
+    this._log(`Moving to job ${jobList.index + 1}/${jobList.jobs.length}: "${job.title || job.jobId}"`);
+    return true;
+  }
+
+  /**
+   * Mark the queue's current search as finished and move on to the next one.
+   * The checkpoint is cleared so the next search's page is not taken for the
+   * tab leaving the session's search.
+   *
+   * @private
+   * @returns {boolean} - Whether there is another search to run
+   */
+  _advanceQueue() {
+    const queue = this.state.queue;
+    if (!queue) return false;
+
+    const { STATUSES } = AutomationManager;
+    queue.searches[queue.index].status = STATUSES.COMPLETED;
+
+    if (queue.index + 1 >= queue.searches.length) {
+      return false;
+    }
+
+    queue.index++;
+    const search = queue.searches[queue.index];
+    search.status = STATUSES.RUNNING;
+    this.state.checkpoint = null;
+    this.state.startPageNumber = AutomationManager.parseSearchPage(search.url).pageNumber;
+    this._log(`Moving to search ${queue.index + 1}/${queue.searches.length}: "${search.name}"`);
+    return true;
+  }
+
+  /**
+   * Save the session state
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    this.state.updatedAt = new Date().toISOString();
+
+    return new Promise(resolve => {
+      AutomationManager._getStorageArea().set({ [this.storageKey]: this.state }, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Split a search results URL into the search itself and the page number
+   *
+   * @param {string} url - A LinkedIn jobs search URL
+   * @returns {{searchUrl: string, pageNumber: number}} - The URL without paging and
+   *   selected job parameters, and the 1-based page number from its `start` parameter
+   */
+  static parseSearchPage(url) {
+    const applicationConfig = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.application) || {};
+    const jobsPerPage = applicationConfig.jobsPerPage || 25;
+    const parsed = new URL(url);
+    const start = parseInt(parsed.searchParams.get('start'), 10) || 0;
+
+    parsed.searchParams.delete('start');
+    parsed.searchParams.delete('currentJobId');
+
+    return {
+      searchUrl: parsed.toString(),
+      pageNumber: Math.floor(start / jobsPerPage) + 1
+    };
+  }
+
+  /**
+   * Whether two search URLs define the same search, ignoring the paging,
+   * selected job and tracking parameters LinkedIn adds while browsing
+   * (see AutomationManager.NON_SEARCH_PARAMS) and the order of the others
+   *
+   * @param {string} url - A LinkedIn jobs URL
+   * @param {string} otherUrl - Another LinkedIn jobs URL
+   * @returns {boolean}
+   */
+  static isSameSearch(url, otherUrl) {
+    const describe = value => {
+      const parsed = new URL(value);
+      const params = [...parsed.searchParams]
+        .filter(([name]) => !AutomationManager.NON_SEARCH_PARAMS.includes(name))
+        .map(([name, paramValue]) => `${name}=${paramValue}`)
+        .sort();
+      return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}?${params.join('&')}`;
+    };
+
+    try {
+      return describe(url) === describe(otherUrl);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the search a queue session is running
+   *
+   * @param {Object} state - Session state
+   * @returns {Object|null} - {id, name, url, profile, status, counters}, or null if the session is not a queue
+   */
+  static getCurrentSearch(state) {
+    return state.queue ? state.queue.searches[state.queue.index] : null;
+  }
+
+  /**
+   * Get the page the session has to open to continue when it is not driven by
+   * the page it is on: the job list's current job, else the queue's current search
+   *
+   * @param {Object} state - Session state
+   * @returns {string|null} - The URL, or null for sessions that stay on their page
+   */
+  static getSessionPageUrl(state) {
+    if (state.jobList && state.jobList.index >= 0) {
+      return state.jobList.jobs[state.jobList.index].url;
+    }
+
+    const search = AutomationManager.getCurrentSearch(state);
+    return search ? search.url : null;
+  }
+
+  /**
+   * Get the URL of the search results page a checkpoint was taken on
+   *
+   * @param {Object} checkpoint - {searchUrl, pageNumber, cardIndex}
+   * @returns {string}
+   */
+  static getResumeUrl(checkpoint) {
+    const applicationConfig = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.application) || {};
+    const jobsPerPage = applicationConfig.jobsPerPage || 25;
+    const url = new URL(checkpoint.searchUrl);
+
+    if (checkpoint.pageNumber > 1) {
+      url.searchParams.set('start', String((checkpoint.pageNumber - 1) * jobsPerPage));
+    } else {
+      url.searchParams.delete('start');
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Storage area for the session state
+   *
+   * @private
+   * @returns {Object}
+   */
+  static _getStorageArea() {
+    return chrome.storage.local;
+  }
+
+  /**
+   * Build the state of a manager with no session
+   *
+   * @private
+   * @returns {Object}
+   */
+  static _createIdleState() {
+    return {
+      status: AutomationManager.STATUSES.IDLE,
+      mode: null,
+      tabId: null,
+      profileName: null,
+      options: {},
+      counters: AutomationManager._createCounters(),
+      currentJob: null,
+      checkpoint: null,
+      startPageNumber: 1,
+      queue: null,
+      jobList: null,
+      startedAt: null,
+      updatedAt: null,
+      error: null
+    };
+  }
+
+  /**
+   * Build zeroed per-outcome counters
+   *
+   * @private
+   * @returns {Object}
+   */
+  static _createCounters() {
+    return {
+      processed: 0,
+      submitted: 0,
+      dryRun: 0,
+      skipped: 0,
+      failed: 0
+    };
+  }
+}
+
+/**
+ * Session statuses
+ */
+AutomationManager.STATUSES = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  STOPPED: 'stopped',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Session modes, matching the popup's Start Automation, Process All Jobs, Run Search Queue and
+ * Apply to Listed Jobs buttons
+ */
+AutomationManager.MODES = {
+  AUTOMATION: 'automation',
+  ALL_JOBS: 'allJobs',
+  QUEUE: 'queue',
+  JOB_LIST: 'jobList'
+};
+
+/**
+ * URL parameters that do not change which jobs a search lists
+ */
+AutomationManager.NON_SEARCH_PARAMS = [
+  'start',
+  'currentJobId',
+  'refId',
+  'trk',
+  'trackingId',
+  'origin',
+  'refresh',
+  'eBP',
+  'lipi'
+];
+
+/**
+ * Progress events reported by content.js
+ */
+AutomationManager.EVENTS = {
+  JOB_STARTED: 'jobStarted',
+  JOB_FINISHED: 'jobFinished',
+  JOBS_LISTED: 'jobsListed',
+  SESSION_FINISHED: 'sessionFinished'
+};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = AutomationManager;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.AutomationManager = AutomationManager;
+}
@@ -6,7 +6,14 @@
 
 /**
  * CacheManager is responsible for storing and retrieving cached answers
- * for form questions, including similarity matching for partial matches.
+ * for form questions, including similarity matching for partial matches
+ * (see QuestionMatcher). Answers are stored as typed entries (see AnswerValue).
+ * 
+ * Entries also keep their usage: how often and when they were last used,
+ * the jobs they were used on with each application's outcome, and how often
+ * the field showed a validation error with them. Time-sensitive answers such
+ * as a notice period or current salary can be given an `expiresAt` date,
+ * after which they are no longer used.
  * 
  * @class
  */
@@ -15,9 +22,14 @@ class CacheManager {
    * Creates a new cache manager
    * 
    * @param {Object} initialCache - Initial cache data
+   * @param {Function} [saveCache] - Persists changes, given a map of cache keys to the functions
+   *   updating their stored entries (defaults to the `qaCache` storage key; see applyChanges())
+   * @param {QuestionMatcher} [matcher] - Matcher for similar questions (defaults to one without profile entities)
    */
-  constructor(initialCache) {
+  constructor(initialCache, saveCache, matcher) {
     this.cache = initialCache || {};
+    this.saveCache = saveCache || null;
+    this.matcher = matcher || new QuestionMatcher();
     this._logPrefix = '[EasyApplyPlugin][CacheManager]';
   }
   
@@ -30,9 +42,25 @@ class CacheManager {
    * @param {boolean} [options.isCity=false] - Whether this is a city field
    * @param {boolean} [options.isPhone=false] - Whether this is a phone field
    * @param {boolean} [options.isExperience=false] - Whether this is an experience field
-   * @returns {string|null} - The cached value or null if not found
+   * @returns {string|null} - The cached value as text or null if not found
    */
   async getValue(key, options = {}) {
+    const match = await this.getMatch(key, options);
+    return match ? match.value : null;
+  }
+  
+  /**
+   * Get a value from the cache along with how it was matched
+   * 
+   * @param {string} key - The question/key to look up
+   * @param {Object} options - Options for controlling value retrieval, as for getValue()
+   * @returns {Object|null} - {key, value, entry, similarity, isFuzzy, question, explanation} or null if
+   *   not found. `key` is the cache key that matched, `value` the answer as text and `entry` the typed
+   *   cache entry ({kind, value}). Exact,
+   *   normalized and field type matches have a similarity of 1; similar questions are fuzzy matches
+   *   and name the cached question and why it matched
+   */
+  async getMatch(key, options = {}) {
     const {
       isCountry = false,
       isCity = false,
@@ -40,18 +68,24 @@ class CacheManager {
       isExperience = false
     } = options;
     
+    if (CacheManager.isExpired(this.cache[key])) {
+      this._log(`Cached answer for "${key}" expired on ${this.cache[key].expiresAt}`);
+    }
+    
     // Try exact match first
-    if (this.cache[key]) {
-      this._log(`Cache hit for "${key}": "${this.cache[key]}"`);
-      return this.cache[key];
+    if (this._isUsable(key)) {
+      const match = CacheManager._match(key, this.cache[key]);
+      this._log(`Cache hit for "${key}": "${match.value}"`);
+      return match;
     }
     
     // Try normalized key (lowercase, trimmed)
     const normalizedKey = key.toLowerCase().trim();
     for (const cacheKey in this.cache) {
-      if (cacheKey.toLowerCase().trim() === normalizedKey) {
-        this._log(`Cache hit with normalized key for "${key}": "${this.cache[cacheKey]}"`);
-        return this.cache[cacheKey];
+      if (cacheKey.toLowerCase().trim() === normalizedKey && this._isUsable(cacheKey)) {
+        const match = CacheManager._match(cacheKey, this.cache[cacheKey]);
+        this._log(`Cache hit with normalized key for "${key}": "${match.value}"`);
+        return match;
       }
     }
     
@@ -59,24 +93,27 @@ class CacheManager {
     if (isCountry) {
       const countryValue = this._findValueByType('country');
       if (countryValue) {
-        this._log(`Cache hit by type (country) for "${key}": "${countryValue}"`);
-        return countryValue;
+        const match = CacheManager._match('__fieldtype_country', countryValue);
+        this._log(`Cache hit by type (country) for "${key}": "${match.value}"`);
+        return match;
       }
     }
     
     if (isCity) {
       const cityValue = this._findValueByType('city');
       if (cityValue) {
-        this._log(`Cache hit by type (city) for "${key}": "${cityValue}"`);
-        return cityValue;
+        const match = CacheManager._match('__fieldtype_city', cityValue);
+        this._log(`Cache hit by type (city) for "${key}": "${match.value}"`);
+        return match;
       }
     }
     
     if (isPhone) {
       const phoneValue = this._findValueByType('phone');
       if (phoneValue) {
-        this._log(`Cache hit by type (phone) for "${key}": "${phoneValue}"`);
-        return phoneValue;
+        const match = CacheManager._match('__fieldtype_phone', phoneValue);
+        this._log(`Cache hit by type (phone) for "${key}": "${match.value}"`);
+        return match;
       }
     }
     
@@ -84,8 +121,12 @@ class CacheManager {
     const similarQuestions = this.findSimilarQuestions(key);
     if (similarQuestions.length > 0) {
       const bestMatch = similarQuestions[0];
-      this._log(`Cache hit with similar question for "${key}": "${bestMatch.question}" (similarity: ${bestMatch.similarity})`);
-      return this.cache[bestMatch.question];
+      this._log(`Cache hit with similar question for "${key}": "${bestMatch.question}" (similarity: ${bestMatch.similarity}; ${bestMatch.explanation})`);
+      return {
+        ...CacheManager._match(bestMatch.question, this.cache[bestMatch.question], bestMatch.similarity, true),
+        question: bestMatch.question,
+        explanation: bestMatch.explanation
+      };
     }
     
     this._log(`No cache hit for "${key}"`);
@@ -96,72 +137,155 @@ class CacheManager {
    * Set a value in the cache
    * 
    * @param {string} key - The question/key to store
-   * @param {string} value - The value to store
+   * @param {string|number|boolean} value - The value to store
    * @param {Object} options - Options for controlling value storage
    * @param {boolean} [options.isCountry=false] - Whether this is a country field
    * @param {boolean} [options.isCity=false] - Whether this is a city field
    * @param {boolean} [options.isPhone=false] - Whether this is a phone field
+   * @param {string} [options.kind] - One of AnswerValue.KINDS; inferred from the value if not given
+   * @param {Array<string>} [options.optionsList] - Options the value was chosen from
+   * @param {string} [options.source] - Where an answer not given by the user came from, e.g. 'llm';
+   *   stored with its confidence until the user confirms the answer
+   * @param {number|null} [options.confidence] - Confidence of that answer (0-1)
    */
   setValue(key, value, options = {}) {
     const {
       isCountry = false,
       isCity = false,
-      isPhone = false
+      isPhone = false,
+      kind,
+      optionsList,
+      source,
+      confidence = null
     } = options;
     
-    // Store the value
-    this.cache[key] = value;
-    this._log(`Cached value for "${key}": "${value}"`);
+    const typed = AnswerValue.create(value, { kind, optionsList });
+    if (!typed) return;
+    const entry = source ? { ...typed, source, confidence } : typed;
+    
+    // Store the value, keeping the usage of an existing entry but not the expiry or source of its answer
+    const changes = {
+      [key]: previous => {
+        if (!previous || typeof previous !== 'object') return entry;
+        const { expiresAt, source: previousSource, confidence: previousConfidence, ...usage } = previous;
+        return { ...usage, ...entry };
+      }
+    };
     
     // For specific field types, also store by type
     if (isCountry) {
-      this.cache['__fieldtype_country'] = value;
+      changes['__fieldtype_country'] = () => entry;
     }
     
     if (isCity) {
-      this.cache['__fieldtype_city'] = value;
+      changes['__fieldtype_city'] = () => entry;
     }
     
     if (isPhone) {
-      this.cache['__fieldtype_phone'] = value;
+      changes['__fieldtype_phone'] = () => entry;
     }
     
-    // Save to chrome.storage if available
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.set({ qaCache: this.cache });
-    }
+    this._change(changes);
+    this._log(`Cached ${entry.kind} value for "${key}": "${AnswerValue.toText(entry)}"`);
   }
   
   /**
-   * Find questions in the cache that are similar to the given question
+   * Record that a cached answer was used to fill a field
    * 
-   * @param {string} question - The question to find similar matches for
-   * @param {number} [threshold=0.7] - Similarity threshold (0-1)
-   * @returns {Array<Object>} - Array of {question, similarity} objects
+   * Entries count their uses in `hits` and keep the time of the last one in
+   * `lastUsed`, which the popup sorts by.
+   * 
+   * @param {string} key - The cache key, as returned by getMatch()
    */
-  findSimilarQuestions(question, threshold = 0.7) {
-    const results = [];
-    const normalizedQuestion = question.toLowerCase().trim();
+  recordUse(key) {
+    if (!AnswerValue.fromCache(this.cache[key])) return;
     
-    for (const cacheKey in this.cache) {
-      // Skip special keys
-      if (cacheKey.startsWith('__fieldtype_')) continue;
-      
-      const normalizedCacheKey = cacheKey.toLowerCase().trim();
-      const similarity = this._stringSimilarity(normalizedQuestion, normalizedCacheKey);
-      
-      if (similarity >= threshold) {
-        results.push({
-          question: cacheKey,
-          similarity
-        });
+    const lastUsed = new Date().toISOString();
+    this._change({
+      [key]: cached => {
+        const entry = AnswerValue.fromCache(cached);
+        return entry && { ...entry, hits: (entry.hits || 0) + 1, lastUsed };
       }
-    }
+    });
+  }
+  
+  /**
+   * Record the jobs and outcome of an application on the cached answers it used
+   * 
+   * Every entry used by the application's answers (matched from the cache, or
+   * cached for it by the language model) adds the job to `jobs`, most recent
+   * first and at most EasyApplyConfig.qaCacheUsage.maxJobsPerEntry, and counts
+   * the outcome in `submitted` or `failed`. An answer whose field showed a
+   * validation error counts in `errors` and keeps the message in `lastError`.
+   * 
+   * @param {Array<Object>} answers - Answers recorded by FormFiller, with the `cacheKey` they were looked up under
+   * @param {Object} job - The job ({jobId, title, company})
+   * @param {string} outcome - The application outcome (one of ApplicationHistory.OUTCOMES)
+   * @param {boolean|null} submitted - Whether the application was submitted, or null if it was
+   *   neither submitted nor failed (dry run, skipped, stopped)
+   */
+  recordApplication(answers, job, outcome, submitted) {
+    const used = new Map();
+    (answers || []).forEach(answer => {
+      if (!CacheManager.TRACKED_SOURCES.includes(answer.source) || !answer.cacheKey) return;
+      if (!AnswerValue.fromCache(this.cache[answer.cacheKey])) return;
+      used.set(answer.cacheKey, used.get(answer.cacheKey) || answer.validationError || null);
+    });
+    if (!used.size) return;
     
-    // Sort by similarity (highest first)
-    results.sort((a, b) => b.similarity - a.similarity);
+    const maxJobs = CacheManager._usageConfig().maxJobsPerEntry || 10;
+    const at = new Date().toISOString();
     
-    return results;
+    const changes = {};
+    used.forEach((validationError, key) => {
+      changes[key] = cached => {
+        const entry = AnswerValue.fromCache(cached);
+        if (!entry) return entry;
+        
+        const jobs = (entry.jobs || []).filter(previous => !job.jobId || previous.jobId !== job.jobId);
+        const updated = {
+          ...entry,
+          jobs: [{ jobId: job.jobId || null, title: job.title || '', company: job.company || '', outcome, at }, ...jobs]
+            .slice(0, maxJobs)
+        };
+        if (submitted === true) updated.submitted = (entry.submitted || 0) + 1;
+        if (submitted === false) updated.failed = (entry.failed || 0) + 1;
+        if (validationError) {
+          updated.errors = (entry.errors || 0) + 1;
+          updated.lastError = validationError;
+        }
+        return updated;
+      };
+    });
+    
+    this._change(changes);
+    this._log(`Recorded ${outcome} on ${used.size} cached answer(s)`);
+  }
+  
+  /**
+   * Find questions in the cache that are similar to the given question
+   * 
+   * @param {string} question - The question to find similar matches for
+   * @param {number} [threshold] - Similarity threshold (0-1, defaults to the matcher's minimum)
+   * @returns {Array<Object>} - Array of {question, similarity, explanation} objects, most similar first
+   */
+  findSimilarQuestions(question, threshold = this.matcher.minSimilarity) {
+    return this.explainMatches(question)
+      .filter(result => result.similarity >= threshold)
+      .map(({ question: cacheKey, similarity, explanation }) => ({ question: cacheKey, similarity, explanation }));
+  }
+  
+  /**
+   * Compare a question with every cached question, including those that do not match
+   * 
+   * @param {string} question - The question to compare
+   * @returns {Array<Object>} - {question, similarity, isMatch, explanation} per cached question, most similar first
+   */
+  explainMatches(question) {
+    // Skip special keys and expired answers
+    const questions = Object.keys(this.cache)
+      .filter(cacheKey => !cacheKey.startsWith('__fieldtype_') && this._isUsable(cacheKey));
+    return this.matcher.rank(question, questions);
   }
   
   /**
@@ -169,58 +293,43 @@ class CacheManager {
    * 
    * @private
    * @param {string} type - The field type (country, city, phone)
-   * @returns {string|null} - The cached value or null if not found
+   * @returns {Object|string|null} - The cached entry or null if not found
    */
   _findValueByType(type) {
-    return this.cache[`__fieldtype_${type}`] || null;
+    return this._isUsable(`__fieldtype_${type}`) ? this.cache[`__fieldtype_${type}`] : null;
   }
   
   /**
-   * Calculate string similarity between two strings
+   * Whether a cache key has an answer that has not expired
    * 
    * @private
-   * @param {string} str1 - First string
-   * @param {string} str2 - Second string
-   * @returns {number} - Similarity score (0-1)
+   * @param {string} key - The cache key
+   * @returns {boolean}
    */
-  _stringSimilarity(str1, str2) {
-    if (str1 === str2) return 1.0;
-    if (str1.length === 0 || str2.length === 0) return 0.0;
-    
-    // Check for substring
-    if (str1.includes(str2) || str2.includes(str1)) {
-      const minLength = Math.min(str1.length, str2.length);
-      const maxLength = Math.max(str1.length, str2.length);
-      return minLength / maxLength;
-    }
-    
-    // Calculate Levenshtein distance
-    const len1 = str1.length;
-    const len2 = str2.length;
-    const matrix = Array(len1 + 1).fill().map(() => Array(len2 + 1).fill(0));
-    
-    for (let i = 0; i <= len1; i++) {
-      matrix[i][0] = i;
-    }
-    
-    for (let j = 0; j <= len2; j++) {
-      matrix[0][j] = j;
-    }
+  _isUsable(key) {
+    return !!this.cache[key] && !CacheManager.isExpired(this.cache[key]);
+  }
+  
+  /**
+   * Change entries in memory and save the same changes to the active profile, or
+   * to chrome.storage if no saver was given
+   * 
+   * The changes are applied again to the entries as stored when saving, so answers
+   * added or edited elsewhere (e.g. in the popup) since this cache was loaded are kept.
+   * 
+   * @private
+   * @param {Object} changes - Cache keys mapped to functions returning the new entry (see applyChanges())
+   */
+  _change(changes) {
+    CacheManager.applyChanges(this.cache, changes);
     
-    for (let i = 1; i <= len1; i++) {
-      for (let j = 1; j <= len2; j++) {
-        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j] + 1,      // deletion
-          matrix[i][j - 1] + 1,      // insertion
-          matrix[i - 1][j - 1] + cost // substitution
-        );
-      }
+    if (this.saveCache) {
+      this.saveCache(changes);
+    } else if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.get(['qaCache'], result => {
+        chrome.storage.local.set({ qaCache: CacheManager.applyChanges(result.qaCache || {}, changes) });
+      });
     }
-    
-    const distance = matrix[len1][len2];
-    const maxLen = Math.max(len1, len2);
-    return 1 - distance / maxLen;
   }
   
   /**
@@ -234,6 +343,81 @@ class CacheManager {
   }
 }
 
+/**
+ * Apply changes to a cache: each function receives the key's current entry and
+ * returns its new entry, or nothing to leave the key out (e.g. a usage update
+ * for an entry deleted in the meantime)
+ * 
+ * @param {Object} cache - The Q&A cache; changed in place
+ * @param {Object} changes - Cache keys mapped to functions of the current entry
+ * @returns {Object} - The cache
+ */
+CacheManager.applyChanges = function(cache, changes) {
+  Object.entries(changes).forEach(([key, change]) => {
+    const entry = change(cache[key]);
+    if (entry) {
+      cache[key] = entry;
+    } else {
+      delete cache[key];
+    }
+  });
+  return cache;
+};
+
+/**
+ * Answer sources whose cache entries record the applications they were used in
+ * (see FieldHandlerBase.VALUE_SOURCES)
+ */
+CacheManager.TRACKED_SOURCES = ['cache', 'cache-fuzzy', 'llm', 'user'];
+
+/**
+ * Whether a cache entry's answer has expired
+ * 
+ * @param {Object|string} cached - The cached entry
+ * @param {Date} [now] - The current time
+ * @returns {boolean}
+ */
+CacheManager.isExpired = function(cached, now = new Date()) {
+  return !!(cached && typeof cached === 'object' && cached.expiresAt && new Date(cached.expiresAt) <= now);
+};
+
+/**
+ * Whether a question asks for something that changes over time, such as a notice period or
+ * current salary (see EasyApplyConfig.qaCacheUsage.timeSensitiveKeywords)
+ * 
+ * @param {string} question - The question
+ * @returns {boolean}
+ */
+CacheManager.isTimeSensitive = function(question) {
+  const text = String(question || '').toLowerCase();
+  return (CacheManager._usageConfig().timeSensitiveKeywords || []).some(keyword => text.includes(keyword));
+};
+
+/**
+ * Usage and expiry settings from EasyApplyConfig.qaCacheUsage
+ * 
+ * @private
+ * @returns {Object}
+ */
+CacheManager._usageConfig = function() {
+  return (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.qaCacheUsage) || {};
+};
+
+/**
+ * Build a getMatch() result
+ * 
+ * @private
+ * @param {string} key - The cache key that matched
+ * @param {Object|string} cached - The cached entry, or a plain string saved by an older version
+ * @param {number} [similarity=1] - Similarity of the matched question
+ * @param {boolean} [isFuzzy=false] - Whether the question only resembles the cached one
+ * @returns {Object} - {key, value, entry, similarity, isFuzzy}
+ */
+CacheManager._match = function(key, cached, similarity = 1, isFuzzy = false) {
+  const entry = AnswerValue.fromCache(cached);
+  return { key, value: AnswerValue.toText(entry), entry, similarity: Math.round(similarity * 100) / 100, isFuzzy };
+};
+
 // Export the class for use in other modules
 if (typeof module !== 'undefined') {
   module.exports = CacheManager;
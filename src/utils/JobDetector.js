@@ -6,7 +6,8 @@
 
 /**
  * JobDetector is responsible for finding job cards, extracting job information,
- * and detecting job-related elements on LinkedIn job search pages.
+ * and detecting job-related elements on LinkedIn job search and collection
+ * pages, single job view pages and the saved jobs list.
  * 
  * @class
  */
@@ -316,7 +317,7 @@ class JobDetector {
    * Get job info from a card
    * 
    * @param {Element} card - Job card element
-   * @returns {Object} - Job title and company
+   * @returns {Object} - Job id, title, company, location, URL and Easy Apply flag
    */
   getJobCardInfo(card) {
     try {
@@ -369,14 +370,119 @@ class JobDetector {
         }
       }
       
+      // Find job location
+      const locationSelectors = [
+        '.job-card-container__metadata-item',
+        '.job-card-container__metadata-wrapper li',
+        '.artdeco-entity-lockup__caption',
+        '.job-search-card__location'
+      ];
+      
+      let location = '';
+      for (const selector of locationSelectors) {
+        const locationEl = card.querySelector(selector);
+        if (locationEl && locationEl.textContent.trim()) {
+          location = locationEl.textContent.trim();
+          break;
+        }
+      }
+      
       // Check if this is an Easy Apply job
       const isEasyApply = this.hasEasyApplyLabel(card);
       
-      this._log(`Extracted job info - Title: "${title}", Company: "${company}", Easy Apply: ${isEasyApply}`);
-      return { title, company, isEasyApply };
+      const jobId = this.getJobId(card);
+      const url = jobId ? `https://www.linkedin.com/jobs/view/${jobId}/` : '';
+      
+      // Location text usually carries the workplace type, e.g. "Bengaluru, India (Hybrid)"
+      const workplaceType = this.getWorkplaceType(location);
+      const isPromoted = this.isPromoted(card);
+      
+      this._log(`Extracted job info - Title: "${title}", Company: "${company}", Location: "${location}", ID: ${jobId || 'unknown'}, Easy Apply: ${isEasyApply}, Workplace: ${workplaceType || 'unknown'}, Promoted: ${isPromoted}`);
+      return { jobId, title, company, location, url, isEasyApply, workplaceType, isPromoted };
     } catch (error) {
       this._logError('Error getting job card info:', error);
-      return { title: '', company: '', isEasyApply: false };
+      return { jobId: '', title: '', company: '', location: '', url: '', isEasyApply: false, workplaceType: '', isPromoted: false };
+    }
+  }
+
+  /**
+   * Check if a job card is a promoted post
+   * 
+   * @param {Element} card - Job card element
+   * @returns {boolean} - Whether the card is promoted
+   */
+  isPromoted(card) {
+    if (!card) return false;
+    
+    try {
+      // Only the footer says "Promoted": the title, company or insights may use the word too
+      const footerItems = card.querySelectorAll('.job-card-container__footer-item, .job-card-list__footer-wrapper li, .job-card-container__footer-wrapper li');
+      for (const item of footerItems) {
+        if (/^promoted\b/i.test(item.textContent.trim())) {
+          return true;
+        }
+      }
+      
+      return false;
+    } catch (error) {
+      this._logError('Error checking if job is promoted:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Detect the workplace type mentioned in a piece of text
+   * 
+   * @param {string} text - Text to inspect (location, job insights, ...)
+   * @returns {string} - 'remote', 'hybrid', 'on-site' or an empty string if unknown
+   */
+  getWorkplaceType(text) {
+    const value = (text || '').toLowerCase();
+    
+    if (/\bremote\b/.test(value)) return 'remote';
+    if (/\bhybrid\b/.test(value)) return 'hybrid';
+    if (/\bon[\s-]?site\b/.test(value)) return 'on-site';
+    
+    return '';
+  }
+
+  /**
+   * Get the LinkedIn job id for a card
+   * 
+   * @param {Element} card - Job card element
+   * @returns {string} - The job id or an empty string if not found
+   */
+  getJobId(card) {
+    if (!card) return '';
+    
+    try {
+      // Method 1: Data attributes on the card or one of its children
+      const idAttributes = ['data-job-id', 'data-occludable-job-id'];
+      for (const attribute of idAttributes) {
+        if (card.hasAttribute(attribute) && card.getAttribute(attribute)) {
+          return card.getAttribute(attribute);
+        }
+        
+        const child = card.querySelector(`[${attribute}]`);
+        if (child && child.getAttribute(attribute)) {
+          return child.getAttribute(attribute);
+        }
+      }
+      
+      // Method 2: Parse the id out of the job link
+      const link = card.querySelector('a[href*="/jobs/view/"], a[href*="currentJobId="]');
+      if (link) {
+        const href = link.getAttribute('href') || '';
+        const match = href.match(/\/jobs\/view\/(\d+)/) || href.match(/currentJobId=(\d+)/);
+        if (match) {
+          return match[1];
+        }
+      }
+      
+      return '';
+    } catch (error) {
+      this._logError('Error getting job id:', error);
+      return '';
     }
   }
 
@@ -450,7 +556,7 @@ class JobDetector {
   /**
    * Get job info from the right pane
    * 
-   * @returns {Object} - Job title and company
+   * @returns {Object} - Job title, company, location, workplace type and description
    */
   getRightPaneJobInfo() {
     try {
@@ -490,12 +596,146 @@ class JobDetector {
         }
       }
       
-      this._log(`Right pane job info - Title: "${title}", Company: "${company}"`);
-      return { title, company };
+      // Location is the first part of the description line ("City, Country · 2 days ago · ...")
+      const locationSelectors = [
+        '.job-details-jobs-unified-top-card__primary-description-container .tvm__text',
+        '.job-details-jobs-unified-top-card__bullet',
+        '.jobs-unified-top-card__bullet',
+        '.jobs-unified-top-card__primary-description'
+      ];
+      
+      let location = '';
+      for (const selector of locationSelectors) {
+        const locationEl = document.querySelector(selector);
+        if (locationEl && locationEl.textContent.trim()) {
+          location = locationEl.textContent.split('·')[0].trim();
+          break;
+        }
+      }
+      
+      // Workplace type is shown as a preference pill or job insight
+      const workplaceSelectors = [
+        '.job-details-preferences-and-skills',
+        '.job-details-jobs-unified-top-card__job-insight',
+        '.jobs-unified-top-card__workplace-type',
+        '.jobs-unified-top-card__job-insight'
+      ];
+      
+      let workplaceType = '';
+      for (const selector of workplaceSelectors) {
+        for (const element of document.querySelectorAll(selector)) {
+          workplaceType = this.getWorkplaceType(element.textContent);
+          if (workplaceType) break;
+        }
+        if (workplaceType) break;
+      }
+      
+      const description = this.getRightPaneJobDescription();
+      
+      this._log(`Right pane job info - Title: "${title}", Company: "${company}", Location: "${location}", Workplace: ${workplaceType || 'unknown'}, Description: ${description.length} chars`);
+      return { title, company, location, workplaceType, description };
     } catch (error) {
       this._logError('Error getting right pane job info:', error);
-      return { title: '', company: '' };
+      return { title: '', company: '', location: '', workplaceType: '', description: '' };
+    }
+  }
+
+  /**
+   * Get the job description text from the right pane
+   * 
+   * @returns {string} - The description text or an empty string if not found
+   */
+  getRightPaneJobDescription() {
+    const descriptionSelectors = [
+      '.jobs-description__content',
+      '.jobs-description-content__text',
+      '.jobs-box__html-content',
+      '#job-details'
+    ];
+    
+    for (const selector of descriptionSelectors) {
+      const descriptionEl = document.querySelector(selector);
+      if (descriptionEl && descriptionEl.textContent.trim()) {
+        return descriptionEl.textContent.replace(/\s+/g, ' ').trim();
+      }
     }
+    
+    return '';
+  }
+
+  /**
+   * Get job info on a single job view page (/jobs/view/<id>), whose top card
+   * uses the same layout as the right pane of the search results
+   * 
+   * @returns {Object} - Job id, URL, title, company, location, workplace type and description
+   */
+  getViewedJobInfo() {
+    const jobId = JobDetector.getJobIdFromUrl(window.location.href);
+    const paneInfo = this.getRightPaneJobInfo();
+    
+    return {
+      ...paneInfo,
+      jobId,
+      url: jobId ? `https://www.linkedin.com/jobs/view/${jobId}/` : window.location.href,
+      isEasyApply: false,
+      isPromoted: false
+    };
+  }
+
+  /**
+   * Check if the job on a single job view page has already been applied to
+   * 
+   * @returns {boolean} - Whether the page shows an "Applied" notice
+   */
+  isViewedJobAlreadyApplied() {
+    try {
+      const notices = document.querySelectorAll(
+        '.jobs-s-apply .artdeco-inline-feedback__message, ' +
+        '.artdeco-inline-feedback--success, ' +
+        '.post-apply-timeline__entity'
+      );
+      
+      return Array.from(notices).some(el => /^(applied\b|application submitted)/i.test(el.textContent.trim()));
+    } catch (error) {
+      this._logError('Error checking if viewed job already applied:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the jobs listed on the "My Jobs → Saved" page, skipping those already applied to
+   * 
+   * @returns {Array<Object>} - {jobId, url, title, company} per job, in page order
+   */
+  getSavedJobs() {
+    const jobs = new Map();
+    
+    try {
+      document.querySelectorAll('a[href*="/jobs/view/"]').forEach(link => {
+        const jobId = JobDetector.getJobIdFromUrl(link.href);
+        if (!jobId || jobs.has(jobId)) return;
+        
+        const item = link.closest('li') || link.parentElement;
+        if (this.isJobAlreadyApplied(item)) {
+          this._log(`Saved job ${jobId} already applied to, skipping`);
+          return;
+        }
+        
+        const titleEl = item.querySelector('.entity-result__title-text, [class*="title"]') || link;
+        const companyEl = item.querySelector('.entity-result__primary-subtitle, [class*="subtitle"]');
+        jobs.set(jobId, {
+          jobId,
+          url: `https://www.linkedin.com/jobs/view/${jobId}/`,
+          title: titleEl.textContent.replace(/\s+/g, ' ').trim(),
+          company: companyEl ? companyEl.textContent.replace(/\s+/g, ' ').trim() : ''
+        });
+      });
+    } catch (error) {
+      this._logError('Error getting saved jobs:', error);
+    }
+    
+    this._log(`Found ${jobs.size} saved jobs to apply to`);
+    return Array.from(jobs.values());
   }
 
   /**
@@ -1199,8 +1439,72 @@ class JobDetector {
     }
   }
   */
+  
+  /**
+   * Get the kind of LinkedIn page a URL is
+   * 
+   * @param {string} url - Page URL
+   * @returns {string} - One of JobDetector.PAGE_TYPES
+   */
+  static getPageType(url) {
+    const { pathname } = new URL(url);
+    
+    if (/^\/jobs\/view\/\d+/.test(pathname)) return JobDetector.PAGE_TYPES.VIEW;
+    if (pathname.startsWith('/jobs/collections')) return JobDetector.PAGE_TYPES.COLLECTION;
+    if (pathname.startsWith('/jobs/search')) return JobDetector.PAGE_TYPES.SEARCH;
+    if (pathname.startsWith('/my-items/saved-jobs')) return JobDetector.PAGE_TYPES.SAVED;
+    
+    return JobDetector.PAGE_TYPES.OTHER;
+  }
+  
+  /**
+   * Get the LinkedIn job id from a job view URL or a list URL with a selected job
+   * 
+   * @param {string} url - Page or link URL
+   * @returns {string} - The job id or an empty string if not found
+   */
+  static getJobIdFromUrl(url) {
+    const match = String(url || '').match(/\/jobs\/view\/(\d+)/) || String(url || '').match(/[?&]currentJobId=(\d+)/);
+    return match ? match[1] : '';
+  }
+  
+  /**
+   * Parse a pasted list of LinkedIn job URLs or ids, separated by new lines, spaces or commas
+   * 
+   * @param {string} text - The pasted list
+   * @returns {{jobs: Array<Object>, invalid: Array<string>}} - {jobId, url, title, company} per
+   *   distinct job in list order, and the entries that are neither a job URL nor an id
+   */
+  static parseJobList(text) {
+    const jobs = new Map();
+    const invalid = [];
+    
+    String(text || '').split(/[\s,]+/).filter(Boolean).forEach(entry => {
+      const jobId = /^\d+$/.test(entry) ? entry : JobDetector.getJobIdFromUrl(entry);
+      if (!jobId) {
+        invalid.push(entry);
+      } else if (!jobs.has(jobId)) {
+        jobs.set(jobId, { jobId, url: `https://www.linkedin.com/jobs/view/${jobId}/`, title: '', company: '' });
+      }
+    });
+    
+    return { jobs: Array.from(jobs.values()), invalid };
+  }
 }
 
+/**
+ * LinkedIn page layouts the automation runs on. Search and collection pages
+ * list job cards next to a details pane; a view page shows a single job; the
+ * saved jobs page lists links to view pages.
+ */
+JobDetector.PAGE_TYPES = {
+  SEARCH: 'search',
+  COLLECTION: 'collection',
+  VIEW: 'view',
+  SAVED: 'saved',
+  OTHER: 'other'
+};
+
 // Export the class for use in other modules
 if (typeof module !== 'undefined') {
   module.exports = JobDetector;
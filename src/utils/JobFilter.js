@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Rules engine that decides which jobs the automation applies to.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * JobFilter evaluates the user's filtering rules (title keywords, company
+ * blocklist, location allowlist, workplace type and promoted posts) against
+ * the job info extracted by JobDetector, so unwanted jobs are skipped before
+ * anything is clicked.
+ *
+ * @class
+ */
+class JobFilter {
+  /**
+   * Creates a new job filter
+   *
+   * @param {Object} [rules] - Filtering rules (missing rules fall back to EasyApplyConfig.jobFilters)
+   * @param {Array<string>} [rules.titleInclude] - Title must contain at least one of these keywords
+   * @param {Array<string>} [rules.titleExclude] - Title must not contain any of these keywords
+   * @param {Array<string>} [rules.companyBlocklist] - Companies to never apply to
+   * @param {Array<string>} [rules.locationAllowlist] - Location must contain at least one of these
+   * @param {Array<string>} [rules.workplaceTypes] - Allowed workplace types ('remote', 'hybrid', 'on-site')
+   * @param {boolean} [rules.excludePromoted] - Whether to skip promoted posts
+   */
+  constructor(rules) {
+    const defaults = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.jobFilters) || {};
+    const merged = { ...defaults, ...(rules || {}) };
+
+    this.rules = {
+      titleInclude: JobFilter.normalizeList(merged.titleInclude),
+      titleExclude: JobFilter.normalizeList(merged.titleExclude),
+      companyBlocklist: JobFilter.normalizeList(merged.companyBlocklist),
+      locationAllowlist: JobFilter.normalizeList(merged.locationAllowlist),
+      workplaceTypes: JobFilter.normalizeList(merged.workplaceTypes),
+      excludePromoted: !!merged.excludePromoted
+    };
+
+    this._logPrefix = '[EasyApplyPlugin][JobFilter]';
+  }
+
+  /**
+   * Whether any rule is configured
+   *
+   * @returns {boolean}
+   */
+  hasRules() {
+    const { titleInclude, titleExclude, companyBlocklist, locationAllowlist, workplaceTypes, excludePromoted } = this.rules;
+    return titleInclude.length > 0 || titleExclude.length > 0 || companyBlocklist.length > 0 ||
+      locationAllowlist.length > 0 || workplaceTypes.length > 0 || excludePromoted;
+  }
+
+  /**
+   * Evaluate the rules against a job. Rules whose data is missing from the job
+   * info (e.g. an unknown workplace type) are not applied, so the same job can
+   * be evaluated again once the right pane details are available.
+   *
+   * @param {Object} jobInfo - Job info from JobDetector (card and/or right pane)
+   * @param {string} [jobInfo.title] - Job title
+   * @param {string} [jobInfo.company] - Company name
+   * @param {string} [jobInfo.location] - Job location
+   * @param {string} [jobInfo.workplaceType] - 'remote', 'hybrid' or 'on-site'
+   * @param {boolean} [jobInfo.isPromoted] - Whether the post is promoted
+   * @returns {{allowed: boolean, reason: string|null}} - The decision and, if skipped, why
+   */
+  evaluate(jobInfo) {
+    const title = (jobInfo.title || '').toLowerCase();
+    const company = (jobInfo.company || '').toLowerCase();
+    const location = (jobInfo.location || '').toLowerCase();
+    const workplaceType = (jobInfo.workplaceType || '').toLowerCase();
+    const { titleInclude, titleExclude, companyBlocklist, locationAllowlist, workplaceTypes, excludePromoted } = this.rules;
+
+    if (excludePromoted && jobInfo.isPromoted) {
+      return this._skip('promoted post');
+    }
+
+    if (title && titleInclude.length > 0 && !titleInclude.some(keyword => title.includes(keyword))) {
+      return this._skip(`title does not include any of: ${titleInclude.join(', ')}`);
+    }
+
+    const excludedKeyword = title && titleExclude.find(keyword => title.includes(keyword));
+    if (excludedKeyword) {
+      return this._skip(`title includes excluded keyword "${excludedKeyword}"`);
+    }
+
+    const blockedCompany = company && companyBlocklist.find(blocked => company.includes(blocked));
+    if (blockedCompany) {
+      return this._skip(`company "${jobInfo.company}" is blocklisted`);
+    }
+
+    if (location && locationAllowlist.length > 0 && !locationAllowlist.some(allowed => location.includes(allowed))) {
+      return this._skip(`location "${jobInfo.location}" is not in the allowlist`);
+    }
+
+    if (workplaceType && workplaceTypes.length > 0 && !workplaceTypes.includes(workplaceType)) {
+      return this._skip(`workplace type "${workplaceType}" is not allowed`);
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Build a skip decision
+   *
+   * @private
+   * @param {string} reason - Why the job was skipped
+   * @returns {{allowed: boolean, reason: string}}
+   */
+  _skip(reason) {
+    this._log(`Skipping job: ${reason}`);
+    return { allowed: false, reason };
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+}
+
+/**
+ * Normalize a rule list given as an array or a comma/newline separated string
+ *
+ * @param {Array<string>|string} value - The raw list
+ * @returns {Array<string>} - Trimmed, lowercase, non-empty entries
+ */
+JobFilter.normalizeList = function(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+  return items
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Workplace types understood by the workplace type rule
+ */
+JobFilter.WORKPLACE_TYPES = ['remote', 'hybrid', 'on-site'];
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = JobFilter;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.JobFilter = JobFilter;
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Scores how well a job description matches the user's CV.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * JobRelevanceScorer computes a 0-100 match score between a job description
+ * and the stored CV. The local score is the weighted share of the
+ * description's most frequent keywords that also appear in the CV; when
+ * Gemini scoring is enabled the model's score is averaged with it.
+ *
+ * @class
+ */
+class JobRelevanceScorer {
+  /**
+   * Creates a new relevance scorer
+   *
+   * @param {Object} options - Scorer options
+   * @param {string} options.cv - The user's CV text
+   * @param {AnswerProvider} [options.answerProvider] - Provider used to ask Gemini for a score
+   * @param {boolean} [options.useGemini=false] - Whether to include a Gemini score
+   * @param {number} [options.maxKeywords] - Number of description keywords to compare
+   */
+  constructor(options = {}) {
+    const config = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.relevance) || {};
+
+    this.cv = options.cv || '';
+    this.answerProvider = options.answerProvider || null;
+    this.useGemini = !!options.useGemini;
+    this.maxKeywords = options.maxKeywords || config.maxKeywords || 40;
+    this.maxDescriptionLength = config.maxDescriptionLength || 4000;
+
+    this._cvTerms = new Set(this._tokenize(this.cv));
+    this._logPrefix = '[EasyApplyPlugin][JobRelevanceScorer]';
+  }
+
+  /**
+   * Score a job against the CV
+   *
+   * @param {Object} jobInfo - Job info with at least a description
+   * @param {string} [jobInfo.title] - Job title
+   * @param {string} [jobInfo.company] - Company name
+   * @param {string} jobInfo.description - Job description text
+   * @returns {Promise<Object|null>} - {score, localScore, geminiScore, matchedKeywords, missingKeywords},
+   *   or null if there is no description or CV to compare
+   */
+  async score(jobInfo) {
+    const description = `${jobInfo.title || ''} ${jobInfo.description || ''}`.trim();
+
+    if (!jobInfo.description || !this._cvTerms.size) {
+      this._log('No job description or CV available, cannot score job');
+      return null;
+    }
+
+    const local = this.scoreLocal(description);
+    let geminiScore = null;
+
+    if (this.useGemini && this.answerProvider && this.answerProvider.isAvailable()) {
+      geminiScore = await this._scoreWithGemini(jobInfo);
+    }
+
+    const score = geminiScore === null ? local.score : Math.round((local.score + geminiScore) / 2);
+    this._log(`Match score for "${jobInfo.title}": ${score} (local ${local.score}, Gemini ${geminiScore === null ? 'n/a' : geminiScore})`);
+
+    return {
+      score,
+      localScore: local.score,
+      geminiScore,
+      matchedKeywords: local.matchedKeywords,
+      missingKeywords: local.missingKeywords
+    };
+  }
+
+  /**
+   * Compute the local keyword overlap score
+   *
+   * @param {string} description - Job description text
+   * @returns {{score: number, matchedKeywords: Array<string>, missingKeywords: Array<string>}}
+   */
+  scoreLocal(description) {
+    const frequencies = new Map();
+    this._tokenize(description).forEach(term => {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    });
+
+    const keywords = [...frequencies.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.maxKeywords);
+
+    if (!keywords.length) {
+      return { score: 0, matchedKeywords: [], missingKeywords: [] };
+    }
+
+    let totalWeight = 0;
+    let matchedWeight = 0;
+    const matchedKeywords = [];
+    const missingKeywords = [];
+
+    keywords.forEach(([term, count]) => {
+      totalWeight += count;
+      if (this._cvTerms.has(term)) {
+        matchedWeight += count;
+        matchedKeywords.push(term);
+      } else {
+        missingKeywords.push(term);
+      }
+    });
+
+    return {
+      score: Math.round((matchedWeight / totalWeight) * 100),
+      matchedKeywords,
+      missingKeywords
+    };
+  }
+
+  /**
+   * Ask Gemini for a 0-100 match score
+   *
+   * @private
+   * @param {Object} jobInfo - Job info with title, company and description
+   * @returns {Promise<number|null>} - The score or null if unavailable
+   */
+  async _scoreWithGemini(jobInfo) {
+    try {
+      const description = jobInfo.description.substring(0, this.maxDescriptionLength);
+      const question = `On a scale of 0 to 100, how well does my CV match this job?\n\n` +
+        `Job title: ${jobInfo.title || 'Unknown'}\nCompany: ${jobInfo.company || 'Unknown'}\n` +
+        `Job description: ${description}`;
+
+      const answer = await this.answerProvider.getAnswer(question, { numericOnly: true });
+      const value = parseInt(String(answer || '').match(/\d+/)?.[0], 10);
+
+      if (isNaN(value)) {
+        this._log(`Gemini returned no usable score: "${answer}"`);
+        return null;
+      }
+
+      return Math.max(0, Math.min(100, value));
+    } catch (error) {
+      this._logError('Error getting Gemini match score:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Split text into lowercase keyword terms, dropping stop words and short tokens
+   *
+   * @private
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Keyword terms
+   */
+  _tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .map(term => term.replace(/^\.+|\.+$/g, ''))
+      .filter(term => term.length > 1 && !/^\d+$/.test(term) && !JobRelevanceScorer.STOP_WORDS.has(term));
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Log an error message
+   *
+   * @private
+   * @param {string} message - The error message
+   * @param {Error} [error] - Optional error object
+   */
+  _logError(message, error) {
+    console.error(`${this._logPrefix} ${message}`, error || '');
+  }
+}
+
+/**
+ * Common English and job-posting words that carry no signal for matching
+ */
+JobRelevanceScorer.STOP_WORDS = new Set([
+  'a', 'about', 'above', 'across', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'been', 'being', 'both', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'etc', 'for', 'from',
+  'has', 'have', 'how', 'if', 'in', 'including', 'into', 'is', 'it', 'its', 'may', 'more', 'most',
+  'must', 'new', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'out', 'over', 'per', 'plus', 'should',
+  'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'through', 'to', 'up', 'us', 'using', 'very', 'we', 'well', 'what', 'when', 'where', 'which',
+  'while', 'who', 'will', 'with', 'within', 'would', 'you', 'your',
+  'ability', 'able', 'apply', 'benefits', 'candidate', 'candidates', 'company', 'description',
+  'equal', 'experience', 'good', 'help', 'job', 'join', 'looking', 'opportunity', 'preferred',
+  'need', 'nice', 'required', 'requirements', 'responsibilities', 'role', 'skills', 'strong', 'team', 'work',
+  'working', 'years', 'year'
+]);
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = JobRelevanceScorer;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.JobRelevanceScorer = JobRelevanceScorer;
+}
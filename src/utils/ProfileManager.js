@@ -0,0 +1,406 @@
+/**
+ * @fileoverview Named profiles, each with its own CV, user profile, Q&A cache and filter rules.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * ProfileManager stores several named profiles in chrome.storage.local so
+ * people applying for different kinds of roles (or sharing a browser) can
+ * keep separate CVs, user profiles, Q&A caches and job filters, and switch
+ * between them from the popup. The first time it runs, the single
+ * `cv`/`qaCache`/`userProfile`/`jobFilters`/`relevance` keys used before
+ * profiles existed are migrated into a "Default" profile.
+ *
+ * Each profile's Q&A cache is stored under its own key, so the content
+ * script saving answers and the popup editing a profile write different keys
+ * and cannot overwrite each other's changes.
+ *
+ * @class
+ */
+class ProfileManager {
+  /**
+   * Creates a new profile manager
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.profilesKey] - chrome.storage key for the profiles map
+   * @param {string} [config.activeProfileKey] - chrome.storage key for the active profile name
+   * @param {string} [config.profileQaCacheKeyPrefix] - Prefix of the chrome.storage key of each profile's Q&A cache
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.profilesKey = storageConfig.profilesKey || 'profiles';
+    this.activeProfileKey = storageConfig.activeProfileKey || 'activeProfile';
+    this.qaCacheKeyPrefix = storageConfig.profileQaCacheKeyPrefix || 'profileQaCache:';
+    this._logPrefix = '[EasyApplyPlugin][ProfileManager]';
+  }
+
+  /**
+   * Get the names of all profiles
+   *
+   * @returns {Promise<Array<string>>}
+   */
+  async getProfileNames() {
+    const { profiles } = await this._getState();
+    return Object.keys(profiles);
+  }
+
+  /**
+   * Get the name of the active profile
+   *
+   * @returns {Promise<string>}
+   */
+  async getActiveProfileName() {
+    const { activeProfile } = await this._getState();
+    return activeProfile;
+  }
+
+  /**
+   * Get the active profile
+   *
+   * @returns {Promise<Object>} - {name, cv, userProfile, qaCache, jobFilters, relevance}
+   */
+  async getActiveProfile() {
+    const { profiles, activeProfile } = await this._getState();
+    return { name: activeProfile, ...profiles[activeProfile], qaCache: await this._getQaCache(activeProfile) };
+  }
+
+  /**
+   * Get a profile by name
+   *
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} - {name, cv, userProfile, qaCache, jobFilters, relevance} or null if unknown
+   */
+  async getProfile(name) {
+    const { profiles } = await this._getState();
+    return profiles[name] ? { name, ...profiles[name], qaCache: await this._getQaCache(name) } : null;
+  }
+
+  /**
+   * Update some of a profile's data
+   *
+   * @param {string} name - Profile name
+   * @param {Object} changes - Data to merge (see ProfileManager.DATA_KEYS)
+   * @returns {Promise<void>}
+   */
+  updateProfile(name, changes) {
+    return this._update(state => {
+      if (!state.profiles[name]) {
+        throw new Error(`Unknown profile "${name}"`);
+      }
+
+      ProfileManager.DATA_KEYS.forEach(key => {
+        if (key !== 'qaCache' && changes[key] !== undefined) state.profiles[name][key] = changes[key];
+      });
+
+      return changes.qaCache !== undefined ? { [this._qaCacheKey(name)]: changes.qaCache } : {};
+    });
+  }
+
+  /**
+   * Change a profile's Q&A cache in place. The cache is read when the change
+   * runs, so entries changed elsewhere since the profile was loaded (e.g. from
+   * the popup during an application) are kept, and only the cache's own key is
+   * written, so profile edits made meanwhile are kept too.
+   *
+   * @param {string} name - Profile name
+   * @param {Function} change - Receives the Q&A cache and changes it in place
+   * @returns {Promise<Object>} - The updated Q&A cache
+   */
+  updateQaCache(name, change) {
+    return this._enqueue(async () => {
+      const { profiles } = await this._getState();
+      if (!profiles[name]) {
+        throw new Error(`Unknown profile "${name}"`);
+      }
+
+      const cache = await this._getQaCache(name);
+      change(cache);
+      await this._set({ [this._qaCacheKey(name)]: cache });
+      return cache;
+    });
+  }
+
+  /**
+   * Update some of the active profile's data
+   *
+   * @param {Object} changes - Data to merge (see ProfileManager.DATA_KEYS)
+   * @returns {Promise<void>}
+   */
+  async updateActiveProfile(changes) {
+    await this.updateProfile(await this.getActiveProfileName(), changes);
+  }
+
+  /**
+   * Make a profile the active one
+   *
+   * @param {string} name - Profile name
+   * @returns {Promise<void>}
+   */
+  setActiveProfile(name) {
+    return this._update(state => {
+      if (!state.profiles[name]) {
+        throw new Error(`Unknown profile "${name}"`);
+      }
+
+      state.activeProfile = name;
+      this._log(`Active profile: "${name}"`);
+    });
+  }
+
+  /**
+   * Create a profile and make it the active one
+   *
+   * @param {string} name - Profile name
+   * @param {string} [copyFrom] - Name of a profile whose data is copied into the new one
+   * @returns {Promise<void>}
+   */
+  createProfile(name, copyFrom) {
+    const profileName = (name || '').trim();
+
+    return this._update(async state => {
+      if (!profileName) {
+        throw new Error('Profile name is required');
+      }
+
+      if (state.profiles[profileName]) {
+        throw new Error(`Profile "${profileName}" already exists`);
+      }
+
+      const source = copyFrom && state.profiles[copyFrom];
+      state.profiles[profileName] = source ?
+        JSON.parse(JSON.stringify(source)) :
+        ProfileManager._createEmptyProfile();
+      state.activeProfile = profileName;
+      this._log(`Created profile "${profileName}"${source ? ` from "${copyFrom}"` : ''}`);
+
+      return { [this._qaCacheKey(profileName)]: source ? await this._getQaCache(copyFrom) : {} };
+    });
+  }
+
+  /**
+   * Delete a profile. The last remaining profile cannot be deleted.
+   *
+   * @param {string} name - Profile name
+   * @returns {Promise<void>}
+   */
+  deleteProfile(name) {
+    return this._update(async state => {
+      if (!state.profiles[name]) {
+        throw new Error(`Unknown profile "${name}"`);
+      }
+
+      if (Object.keys(state.profiles).length === 1) {
+        throw new Error('Cannot delete the only profile');
+      }
+
+      await this._remove([this._qaCacheKey(name)]);
+      delete state.profiles[name];
+      if (state.activeProfile === name) {
+        state.activeProfile = Object.keys(state.profiles)[0];
+      }
+      this._log(`Deleted profile "${name}"`);
+    });
+  }
+
+  /**
+   * Apply a change to the stored profiles
+   *
+   * @private
+   * @param {Function} mutate - Receives {profiles, activeProfile} and changes it in place; may be async and
+   *   return other values to store with it (e.g. a new profile's Q&A cache)
+   * @returns {Promise<void>}
+   */
+  _update(mutate) {
+    return this._enqueue(async () => {
+      const state = await this._getState();
+      const values = await mutate(state);
+      await this._set({
+        ...(values || {}),
+        [this.profilesKey]: state.profiles,
+        [this.activeProfileKey]: state.activeProfile
+      });
+    });
+  }
+
+  /**
+   * Run a change after the ones already queued. The queue is shared by every
+   * ProfileManager of the page, so concurrent updates (e.g. two cached answers
+   * saved back to back) don't overwrite each other.
+   *
+   * @private
+   * @param {Function} change - Async function that reads and writes the stored state
+   * @returns {Promise<*>} - What the change returns
+   */
+  _enqueue(change) {
+    const run = ProfileManager._queue.then(change);
+
+    // Keep the queue going even if this change fails
+    ProfileManager._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read a profile's Q&A cache
+   *
+   * @private
+   * @param {string} name - Profile name
+   * @returns {Promise<Object>}
+   */
+  async _getQaCache(name) {
+    const key = this._qaCacheKey(name);
+    const result = await this._get([key]);
+    return result[key] || {};
+  }
+
+  /**
+   * chrome.storage key of a profile's Q&A cache
+   *
+   * @private
+   * @param {string} name - Profile name
+   * @returns {string}
+   */
+  _qaCacheKey(name) {
+    return `${this.qaCacheKeyPrefix}${name}`;
+  }
+
+  /**
+   * Read the profiles and the active profile name, migrating the pre-profile keys and
+   * moving Q&A caches stored inside the profiles to their own keys on first use
+   *
+   * @private
+   * @returns {Promise<{profiles: Object, activeProfile: string}>}
+   */
+  async _getState() {
+    const result = await this._get([this.profilesKey, this.activeProfileKey, ...ProfileManager.DATA_KEYS]);
+    let profiles = result[this.profilesKey];
+    let activeProfile = result[this.activeProfileKey];
+
+    if (!profiles || !Object.keys(profiles).length) {
+      const migrated = ProfileManager._createEmptyProfile();
+      ProfileManager.DATA_KEYS.forEach(key => {
+        if (result[key] !== undefined) migrated[key] = result[key];
+      });
+
+      activeProfile = ProfileManager.DEFAULT_PROFILE_NAME;
+      profiles = { [activeProfile]: migrated };
+      await this._set({ [this.profilesKey]: profiles, [this.activeProfileKey]: activeProfile });
+      this._log(`Migrated existing settings into profile "${activeProfile}"`);
+    }
+
+    // Q&A caches used to be stored inside the profiles; a cache already under its own key wins
+    const embedded = Object.keys(profiles).filter(name => profiles[name].qaCache);
+    if (embedded.length) {
+      const stored = await this._get(embedded.map(name => this._qaCacheKey(name)));
+      const values = {};
+      embedded.forEach(name => {
+        const { qaCache, ...data } = profiles[name];
+        const key = this._qaCacheKey(name);
+        if (!stored[key]) values[key] = qaCache;
+        profiles[name] = data;
+      });
+      await this._set({ ...values, [this.profilesKey]: profiles });
+      this._log(`Moved the Q&A caches of ${embedded.length} profile(s) to their own keys`);
+    }
+
+    if (!profiles[activeProfile]) {
+      activeProfile = Object.keys(profiles)[0];
+    }
+
+    return { profiles, activeProfile };
+  }
+
+  /**
+   * Read keys from chrome.storage.local
+   *
+   * @private
+   * @param {Array<string>} keys - Keys to read
+   * @returns {Promise<Object>}
+   */
+  _get(keys) {
+    return new Promise(resolve => {
+      chrome.storage.local.get(keys, resolve);
+    });
+  }
+
+  /**
+   * Write values to chrome.storage.local
+   *
+   * @private
+   * @param {Object} values - Values to store
+   * @returns {Promise<void>}
+   */
+  _set(values) {
+    return new Promise(resolve => {
+      chrome.storage.local.set(values, resolve);
+    });
+  }
+
+  /**
+   * Remove keys from chrome.storage.local
+   *
+   * @private
+   * @param {Array<string>} keys - Keys to remove
+   * @returns {Promise<void>}
+   */
+  _remove(keys) {
+    return new Promise(resolve => {
+      chrome.storage.local.remove(keys, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Build the data of a new, empty profile
+   *
+   * @private
+   * @returns {Object}
+   */
+  static _createEmptyProfile() {
+    return {
+      cv: '',
+      userProfile: {},
+      jobFilters: {},
+      relevance: {}
+    };
+  }
+}
+
+/**
+ * Data stored per profile (also the chrome.storage keys used before profiles existed). The
+ * Q&A cache is kept under its own key rather than in the profiles map.
+ */
+ProfileManager.DATA_KEYS = ['cv', 'userProfile', 'qaCache', 'jobFilters', 'relevance'];
+
+/**
+ * Name of the profile created from pre-profile settings
+ */
+ProfileManager.DEFAULT_PROFILE_NAME = 'Default';
+
+/**
+ * Pending state changes of all ProfileManagers of the page (see _enqueue())
+ *
+ * @private
+ */
+ProfileManager._queue = Promise.resolve();
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = ProfileManager;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.ProfileManager = ProfileManager;
+}
@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Import, export and merging of the Q&A cache.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * QACacheTransfer converts the Q&A cache to and from JSON and CSV files and
+ * merges an imported cache into the active profile's cache. JSON exports
+ * keep every entry with its kind and usage; CSV exports have one row per
+ * question with the columns question, kind, answer, hits, lastUsed, source,
+ * confidence and expiresAt. Unless asked to, exports leave out the
+ * `__fieldtype_` entries (the exporter's own country, city and phone) and the
+ * jobs each answer was used on. Both formats also accept files written by
+ * hand: a plain {question: answer} JSON object, or a CSV file with just
+ * question and answer columns.
+ *
+ * @class
+ */
+class QACacheTransfer {
+  /**
+   * Serialize a cache as JSON
+   *
+   * @param {Object} cache - The Q&A cache
+   * @param {Object} [options] - Export options
+   * @param {boolean} [options.includePersonal=false] - Keep the `__fieldtype_` entries and the jobs of each entry
+   * @returns {string}
+   */
+  static toJson(cache, options = {}) {
+    return JSON.stringify({
+      version: QACacheTransfer.FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      qaCache: QACacheTransfer._exported(cache, options)
+    }, null, 2);
+  }
+
+  /**
+   * Serialize a cache as CSV
+   *
+   * @param {Object} cache - The Q&A cache
+   * @param {Object} [options] - Export options, as for toJson()
+   * @returns {string}
+   */
+  static toCsv(cache, options = {}) {
+    const lines = [QACacheTransfer.CSV_COLUMNS.join(',')];
+
+    Object.entries(QACacheTransfer._exported(cache, options)).forEach(([question, entry]) => {
+      const confidence = typeof entry.confidence === 'number' ? entry.confidence : '';
+      lines.push([question, entry.kind, AnswerValue.toText(entry), entry.hits || 0, entry.lastUsed || '',
+        entry.source || '', confidence, entry.expiresAt || '']
+        .map(QACacheTransfer.toCsvValue)
+        .join(','));
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Parse an exported or hand-written file
+   *
+   * @param {string} text - File contents
+   * @param {string} [filename] - File name; CSV is assumed unless it ends in .json or the text is a JSON object
+   * @returns {Object} - The Q&A cache in the file
+   * @throws {Error} If the file cannot be parsed or has no question and answer columns
+   */
+  static parse(text, filename = '') {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+    const isJson = /\.json$/i.test(filename) || content.startsWith('{');
+    return isJson ? QACacheTransfer._parseJson(content) : QACacheTransfer._parseCsv(content);
+  }
+
+  /**
+   * Merge an imported cache into the current one
+   *
+   * In every mode the imported usage counts are dropped (the source,
+   * confidence and expiry of the answers are kept) and the `__fieldtype_` entries (the country, city and phone last used for those
+   * fields) are skipped, since they describe whoever exported the file. Replacing
+   * therefore keeps the current cache's own `__fieldtype_` entries.
+   *
+   * @param {Object} current - The current Q&A cache
+   * @param {Object} imported - The imported Q&A cache
+   * @param {string} mode - One of QACacheTransfer.MODES
+   * @returns {Object} - {cache, added, updated, kept}: the merged cache and the number of
+   *   questions added, overwritten and left as they were
+   */
+  static merge(current, imported, mode) {
+    const cache = {};
+    Object.entries(current).forEach(([question, entry]) => {
+      if (mode !== QACacheTransfer.MODES.REPLACE || question.startsWith('__fieldtype_')) cache[question] = entry;
+    });
+    const counts = { added: 0, updated: 0, kept: 0 };
+
+    Object.entries(imported).forEach(([question, entry]) => {
+      if (question.startsWith('__fieldtype_')) return;
+
+      const answer = QACacheTransfer._answer(entry);
+      if (!(question in cache)) {
+        cache[question] = answer;
+        counts.added++;
+      } else if (mode === QACacheTransfer.MODES.OVERWRITE) {
+        // Keep our usage, but not the source or expiry of the answer being replaced
+        const { source, confidence, expiresAt, ...usage } = AnswerValue.fromCache(cache[question]) || {};
+        cache[question] = { ...usage, ...answer };
+        counts.updated++;
+      } else {
+        counts.kept++;
+      }
+    });
+
+    return { cache, ...counts };
+  }
+
+  /**
+   * Parse a JSON export or a plain {question: answer} object
+   *
+   * @private
+   * @param {string} content - File contents
+   * @returns {Object}
+   */
+  static _parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+
+    const cache = data && data.qaCache && typeof data.qaCache === 'object' ? data.qaCache : data;
+    if (!cache || typeof cache !== 'object' || Array.isArray(cache)) {
+      throw new Error('The JSON file has no Q&A cache');
+    }
+    return QACacheTransfer._typed(cache);
+  }
+
+  /**
+   * Parse a CSV export or a hand-written question,answer file
+   *
+   * @private
+   * @param {string} content - File contents
+   * @returns {Object}
+   */
+  static _parseCsv(content) {
+    const [header, ...rows] = QACacheTransfer._parseCsvRows(content);
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    const index = name => columns.indexOf(name);
+
+    if (index('question') === -1 || index('answer') === -1) {
+      throw new Error('The CSV file needs "question" and "answer" columns');
+    }
+
+    const cache = {};
+    rows.forEach(row => {
+      const question = (row[index('question')] || '').trim();
+      const answer = row[index('answer')];
+      const kind = index('kind') !== -1 && Object.values(AnswerValue.KINDS).includes(row[index('kind')]) ?
+        row[index('kind')] : undefined;
+      const entry = question && AnswerValue.create(answer, { kind });
+      if (!entry) return;
+
+      const hits = index('hits') !== -1 ? parseInt(row[index('hits')], 10) : 0;
+      const lastUsed = index('lastused') !== -1 ? row[index('lastused')] : '';
+      const source = index('source') !== -1 ? (row[index('source')] || '').trim() : '';
+      const confidence = index('confidence') !== -1 ? parseFloat(row[index('confidence')]) : NaN;
+      const expiresAt = index('expiresat') !== -1 ? (row[index('expiresat')] || '').trim() : '';
+      cache[question] = {
+        ...entry,
+        ...(hits > 0 ? { hits } : {}),
+        ...(lastUsed ? { lastUsed } : {}),
+        ...(source ? { source, confidence: Number.isFinite(confidence) ? confidence : null } : {}),
+        ...(expiresAt && !isNaN(Date.parse(expiresAt)) ? { expiresAt } : {})
+      };
+    });
+    return cache;
+  }
+
+  /**
+   * Split CSV text into rows of fields, honouring quoted fields
+   *
+   * @private
+   * @param {string} content - CSV text
+   * @returns {Array<Array<string>>}
+   */
+  static _parseCsvRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(QACacheTransfer._fromCsvValue(field));
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(QACacheTransfer._fromCsvValue(field));
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(QACacheTransfer._fromCsvValue(field));
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Quote a value for CSV output. Values a spreadsheet would run as a formula
+   * ("=...", "+...", "-...", "@...") are prefixed with an apostrophe. Also
+   * used by the application history export.
+   *
+   * @param {*} value - The value
+   * @returns {string}
+   */
+  static toCsvValue(value) {
+    const raw = value === undefined || value === null ? '' : String(value);
+    const text = QACacheTransfer.FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Undo the apostrophe toCsvValue() puts before formula-like values
+   *
+   * @private
+   * @param {string} field - A parsed CSV field
+   * @returns {string}
+   */
+  static _fromCsvValue(field) {
+    return field.startsWith("'") && QACacheTransfer.FORMULA_PREFIX.test(field.slice(1)) ? field.slice(1) : field;
+  }
+
+  /**
+   * The answer of an imported entry without its usage: kind, value, source, confidence and expiry
+   *
+   * @private
+   * @param {Object|string} entry - The imported entry
+   * @returns {Object}
+   */
+  static _answer(entry) {
+    const { kind, value, source, confidence, expiresAt } = AnswerValue.fromCache(entry);
+    return {
+      kind,
+      value,
+      ...(source ? { source, confidence: typeof confidence === 'number' ? confidence : null } : {}),
+      ...(expiresAt ? { expiresAt } : {})
+    };
+  }
+
+  /**
+   * The typed entries of a cache to export, without the exporter's personal data unless asked for
+   *
+   * @private
+   * @param {Object} cache - The Q&A cache
+   * @param {Object} options - {includePersonal}
+   * @returns {Object}
+   */
+  static _exported(cache, options) {
+    const typed = QACacheTransfer._typed(cache);
+    if (options.includePersonal) return typed;
+
+    const exported = {};
+    Object.entries(typed).forEach(([question, entry]) => {
+      if (question.startsWith('__fieldtype_')) return;
+      const { jobs, ...rest } = entry;
+      exported[question] = rest;
+    });
+    return exported;
+  }
+
+  /**
+   * Convert every entry of a cache to a typed entry, dropping empty ones
+   *
+   * @private
+   * @param {Object} cache - The Q&A cache
+   * @returns {Object}
+   */
+  static _typed(cache) {
+    const typed = {};
+    Object.entries(cache || {}).forEach(([question, entry]) => {
+      const value = AnswerValue.fromCache(entry);
+      if (value) typed[question] = value;
+    });
+    return typed;
+  }
+}
+
+/**
+ * How an imported cache is combined with the current one
+ */
+QACacheTransfer.MODES = {
+  MERGE: 'merge',         // Add new questions, keep our answers
+  OVERWRITE: 'overwrite', // Add new questions, imported answers win
+  REPLACE: 'replace'      // Replace the whole cache
+};
+
+/**
+ * Columns of a CSV export
+ */
+QACacheTransfer.CSV_COLUMNS = ['question', 'kind', 'answer', 'hits', 'lastUsed', 'source', 'confidence', 'expiresAt'];
+
+/**
+ * First characters that make a spreadsheet run a cell as a formula
+ */
+QACacheTransfer.FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Version of the JSON export format
+ */
+QACacheTransfer.FORMAT_VERSION = 1;
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = QACacheTransfer;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.QACacheTransfer = QACacheTransfer;
+}
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Inbox of questions answered by the language model or a default, waiting for the user.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * QuestionInbox queues the questions of each application that were answered
+ * by the language model or by a generic default, together with the answer
+ * used, the field's options and the job they appeared on. The popup lists
+ * them so the user can confirm or correct the answer, which stores it in the
+ * profile's Q&A cache as the user's own, or mark the question as "always ask
+ * me", which makes every later application with that profile pause for review
+ * when it comes up. A question seen again updates its item instead of adding
+ * another one.
+ *
+ * Items and always-ask questions are kept in chrome.storage.local as
+ * {items, alwaysAsk}, where `alwaysAsk` maps profile names to their questions.
+ *
+ * @class
+ */
+class QuestionInbox {
+  /**
+   * Creates a new question inbox
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.questionInboxKey] - chrome.storage key for the inbox
+   * @param {number} [config.maxInboxItems] - Maximum number of queued questions
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.questionInboxKey || 'questionInbox';
+    this.maxItems = storageConfig.maxInboxItems || 200;
+    this._logPrefix = '[EasyApplyPlugin][QuestionInbox]';
+  }
+
+  /**
+   * Get the queued questions, most recently seen first
+   *
+   * @returns {Promise<Array<Object>>} - {id, question, answer, source, confidence, options, job,
+   *   profile, firstSeen, lastSeen, count} items; `job` is {jobId, title, company, url}
+   */
+  async getItems() {
+    const { items } = await this._get();
+    return items;
+  }
+
+  /**
+   * Queue the language model and default answers of an application
+   *
+   * @param {Array<Object>} answers - Answers recorded by FormFiller
+   * @param {Object} job - The job the answers were given on ({jobId, title, company, url})
+   * @param {string|null} [profile] - Name of the profile whose Q&A cache answered the questions
+   * @returns {Promise<number>} - The number of questions queued or updated
+   */
+  async addFromAnswers(answers, job, profile = null) {
+    const inbox = await this._get();
+    const now = new Date().toISOString();
+
+    const alwaysAsk = inbox.alwaysAsk[QuestionInbox._profileKey(profile)] || [];
+    const queued = (answers || []).filter(entry =>
+      QuestionInbox.QUEUED_SOURCES.includes(entry.source) &&
+      entry.answer &&
+      !entry.alwaysAsk &&
+      !QuestionInbox.isAlwaysAsk(QuestionInbox._question(entry), alwaysAsk));
+    if (!queued.length) return 0;
+
+    queued.forEach(entry => {
+      const question = QuestionInbox._question(entry);
+      const existing = inbox.items.find(item => item.profile === profile &&
+        QuestionInbox._normalize(item.question) === QuestionInbox._normalize(question));
+      const item = {
+        question,
+        answer: entry.answer,
+        source: entry.source,
+        confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+        options: Array.isArray(entry.options) ? entry.options : null,
+        job: {
+          jobId: job.jobId || null,
+          title: job.title || '',
+          company: job.company || '',
+          url: job.url || ''
+        },
+        profile,
+        lastSeen: now
+      };
+
+      if (existing) {
+        Object.assign(existing, item, { count: (existing.count || 1) + 1 });
+      } else {
+        inbox.items.push({
+          id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+          ...item,
+          firstSeen: now,
+          count: 1
+        });
+      }
+    });
+
+    inbox.items.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    inbox.items = inbox.items.slice(0, this.maxItems);
+    await this._set(inbox);
+    this._log(`Queued ${queued.length} question(s) from ${job.title || 'a job'} for review`);
+    return queued.length;
+  }
+
+  /**
+   * Remove a question from the inbox
+   *
+   * @param {string} id - Item ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const inbox = await this._get();
+    inbox.items = inbox.items.filter(item => item.id !== id);
+    await this._set(inbox);
+  }
+
+  /**
+   * Get the questions the user wants to be asked every time when applying with a profile
+   *
+   * @param {string|null} [profile] - Profile name
+   * @returns {Promise<Array<string>>}
+   */
+  async getAlwaysAsk(profile = null) {
+    const { alwaysAsk } = await this._get();
+    return alwaysAsk[QuestionInbox._profileKey(profile)] || [];
+  }
+
+  /**
+   * Always ask the user a question when applying with a profile, removing it from that profile's inbox items
+   *
+   * @param {string} question - The question
+   * @param {string|null} [profile] - Profile name
+   * @returns {Promise<void>}
+   * @throws {Error} If the question is empty
+   */
+  async addAlwaysAsk(question, profile = null) {
+    const text = String(question || '').trim();
+    if (!text) {
+      throw new Error('Question is required');
+    }
+
+    const inbox = await this._get();
+    const key = QuestionInbox._profileKey(profile);
+    const alwaysAsk = inbox.alwaysAsk[key] || [];
+    if (!QuestionInbox.isAlwaysAsk(text, alwaysAsk)) {
+      inbox.alwaysAsk[key] = [...alwaysAsk, text];
+    }
+    inbox.items = inbox.items.filter(item => QuestionInbox._profileKey(item.profile) !== key ||
+      QuestionInbox._normalize(item.question) !== QuestionInbox._normalize(text));
+    await this._set(inbox);
+    this._log(`Always asking "${text}"${profile ? ` with profile "${profile}"` : ''}`);
+  }
+
+  /**
+   * Stop always asking a question when applying with a profile
+   *
+   * @param {string} question - The question
+   * @param {string|null} [profile] - Profile name
+   * @returns {Promise<void>}
+   */
+  async removeAlwaysAsk(question, profile = null) {
+    const inbox = await this._get();
+    const key = QuestionInbox._profileKey(profile);
+    inbox.alwaysAsk[key] = (inbox.alwaysAsk[key] || []).filter(text =>
+      QuestionInbox._normalize(text) !== QuestionInbox._normalize(question));
+    await this._set(inbox);
+  }
+
+  /**
+   * Read the inbox from chrome.storage.local
+   *
+   * @private
+   * @returns {Promise<Object>} - {items, alwaysAsk}
+   */
+  _get() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.storageKey], result => {
+        const inbox = result[this.storageKey] || {};
+        const alwaysAsk = inbox.alwaysAsk;
+        resolve({
+          items: Array.isArray(inbox.items) ? inbox.items : [],
+          alwaysAsk: alwaysAsk && typeof alwaysAsk === 'object' && !Array.isArray(alwaysAsk) ? alwaysAsk : {}
+        });
+      });
+    });
+  }
+
+  /**
+   * Write the inbox to chrome.storage.local
+   *
+   * @private
+   * @param {Object} inbox - {items, alwaysAsk}
+   * @returns {Promise<void>}
+   */
+  _set(inbox) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.storageKey]: inbox }, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Whether a question is one the user wants to be asked every time
+   *
+   * @param {string} question - The question
+   * @param {Array<string>} alwaysAsk - Questions from getAlwaysAsk()
+   * @returns {boolean}
+   */
+  static isAlwaysAsk(question, alwaysAsk) {
+    const normalized = QuestionInbox._normalize(question);
+    return !!normalized && (alwaysAsk || []).some(text => QuestionInbox._normalize(text) === normalized);
+  }
+
+  /**
+   * Key of a profile's always-ask questions; sessions without profiles share the empty key
+   *
+   * @private
+   * @param {string|null} profile - Profile name
+   * @returns {string}
+   */
+  static _profileKey(profile) {
+    return profile || '';
+  }
+
+  /**
+   * The question an answer belongs to: the Q&A cache key the handler looked up, or the field label
+   *
+   * @private
+   * @param {Object} entry - Answer recorded by FormFiller
+   * @returns {string}
+   */
+  static _question(entry) {
+    return entry.cacheKey || entry.question;
+  }
+
+  /**
+   * Lowercase, collapse whitespace and drop trailing punctuation and required markers
+   *
+   * @private
+   * @param {string} text - Text to normalize
+   * @returns {string}
+   */
+  static _normalize(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?:*]+$/, '').trim();
+  }
+}
+
+/**
+ * Answer sources whose questions are queued (see FieldHandlerBase.VALUE_SOURCES)
+ */
+QuestionInbox.QUEUED_SOURCES = ['llm', 'default'];
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = QuestionInbox;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.QuestionInbox = QuestionInbox;
+}
@@ -0,0 +1,393 @@
+/**
+ * @fileoverview Token-based matching of form questions against cached questions.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * QuestionMatcher decides whether two form questions ask the same thing.
+ * Questions are normalized (lowercase, punctuation, number words, synonyms,
+ * stop words, plurals) into key terms and compared by term overlap, so
+ * "How many years of Java experience do you have?" matches "Years of
+ * experience with Java". Key entities - skills and technologies, countries,
+ * degree levels, workplace types, duration units, numbers and negations - must
+ * agree on both sides, so "Years of experience with Java" never matches "Years
+ * of experience with Python" or "Years of experience", "Do you have a
+ * Bachelor's degree?" never matches "Do you have a Master's degree?", and
+ * "Will you require visa sponsorship?" never matches "Will you not require
+ * visa sponsorship?". Short questions must also share every key term. Every
+ * comparison comes with a short explanation for logs and the popup.
+ *
+ * @class
+ */
+class QuestionMatcher {
+  /**
+   * Creates a new question matcher
+   *
+   * @param {Object} [options] - Matcher options
+   * @param {number} [options.minSimilarity] - Minimum similarity for a match (defaults to
+   *   EasyApplyConfig.questionMatching.minSimilarity)
+   * @param {number} [options.shortQuestionTerms] - Questions with at most this many key terms must share
+   *   all of them (defaults to EasyApplyConfig.questionMatching.shortQuestionTerms)
+   * @param {UserProfile} [options.userProfile] - Profile whose skills and countries are recognized as entities
+   * @param {Array<string>} [options.skills] - Extra skill names to recognize
+   * @param {Array<string>} [options.countries] - Extra country names to recognize
+   */
+  constructor(options = {}) {
+    const config = (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.questionMatching) || {};
+    const profile = options.userProfile || {};
+
+    this.minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity :
+      (config.minSimilarity !== undefined ? config.minSimilarity : 0.7);
+    this.shortQuestionTerms = options.shortQuestionTerms !== undefined ? options.shortQuestionTerms :
+      (config.shortQuestionTerms !== undefined ? config.shortQuestionTerms : 4);
+
+    this.skills = QuestionMatcher._terms([
+      ...QuestionMatcher.SKILLS,
+      ...Object.keys(profile.skillExperience || {}),
+      ...(options.skills || [])
+    ]);
+    this.countries = QuestionMatcher._terms([
+      ...QuestionMatcher.COUNTRIES,
+      ...Object.keys(profile.workAuthorization || {}),
+      ...(options.countries || [])
+    ]);
+  }
+
+  /**
+   * Normalize a question into key terms and entities
+   *
+   * @param {string} question - The question text
+   * @returns {Object} - {terms, entities: {skill, country, degree, workplace, unit, number, negation}},
+   *   each a sorted array
+   */
+  analyze(question) {
+    let text = QuestionMatcher._normalizeText(question);
+
+    // Entities are taken longest first and removed, so "java" is not found inside "javascript"
+    // and "react native" is not also read as "react"
+    const entities = { skill: [], country: [], degree: [], workplace: [], unit: [], number: [], negation: [] };
+    [
+      ['skill', this.skills],
+      ['country', this.countries],
+      ['degree', QuestionMatcher.DEGREES],
+      ['workplace', QuestionMatcher.WORKPLACES]
+    ].forEach(([type, names]) => {
+      names.forEach(name => {
+        if (QuestionMatcher._mentions(text, name)) {
+          entities[type].push(name);
+          text = QuestionMatcher._remove(text, name);
+        }
+      });
+    });
+
+    const terms = new Set();
+    text.split(' ').filter(Boolean).forEach(word => {
+      const term = QuestionMatcher._stem(word);
+      if (QuestionMatcher.NEGATIONS.includes(word)) {
+        entities.negation.push('not');
+        return;
+      }
+      if (QuestionMatcher.STOP_WORDS.has(word) || QuestionMatcher.STOP_WORDS.has(term)) return;
+
+      if (/^\d+$/.test(term)) {
+        entities.number.push(term);
+      } else if (QuestionMatcher.DURATION_UNITS.includes(term)) {
+        entities.unit.push(term);
+      } else {
+        terms.add(term);
+      }
+    });
+
+    Object.keys(entities).forEach(type => {
+      entities[type] = [...new Set(entities[type])].sort();
+    });
+
+    return { terms: [...terms].sort(), entities };
+  }
+
+  /**
+   * Compare two questions
+   *
+   * @param {string} question - The question being answered
+   * @param {string} candidate - A cached question
+   * @returns {Object} - {similarity, isMatch, explanation}. Similarity is 0 when entities disagree, or when
+   *   a short question has a key term the other lacks
+   */
+  compare(question, candidate) {
+    const a = this.analyze(question);
+    const b = this.analyze(candidate);
+
+    const mismatch = Object.keys(a.entities).find(type =>
+      a.entities[type].join('|') !== b.entities[type].join('|'));
+    if (mismatch) {
+      const show = values => values.length ? values.join(', ') : 'none';
+      return {
+        similarity: 0,
+        isMatch: false,
+        explanation: `different ${mismatch}: ${show(a.entities[mismatch])} vs ${show(b.entities[mismatch])}`
+      };
+    }
+
+    // Entities count as shared terms so "Java?" still matches "Java experience"
+    const entityTerms = Object.values(a.entities).reduce((all, values) => all.concat(values), []);
+    const termsA = [...a.terms, ...entityTerms];
+    const termsB = [...b.terms, ...entityTerms];
+    const shared = a.terms.filter(term => b.terms.includes(term));
+    const missing = [...a.terms, ...b.terms].filter(term => !shared.includes(term));
+
+    // In a short question one differing word is the whole question ("current" vs "expected salary")
+    if (missing.length && Math.min(a.terms.length, b.terms.length) <= this.shortQuestionTerms) {
+      return {
+        similarity: 0,
+        isMatch: false,
+        explanation: `short question, unmatched: ${missing.join(', ')}`
+      };
+    }
+
+    const total = termsA.length + termsB.length;
+    const similarity = total ? (2 * (shared.length + entityTerms.length)) / total : 0;
+
+    const parts = [];
+    if (entityTerms.length) parts.push(`same ${entityTerms.join(', ')}`);
+    parts.push(shared.length ? `shared terms: ${shared.join(', ')}` : 'no shared terms');
+    if (missing.length) parts.push(`unmatched: ${missing.join(', ')}`);
+
+    return {
+      similarity: Math.round(similarity * 100) / 100,
+      isMatch: similarity >= this.minSimilarity,
+      explanation: parts.join('; ')
+    };
+  }
+
+  /**
+   * Compare a question with every candidate, best first
+   *
+   * @param {string} question - The question being answered
+   * @param {Array<string>} candidates - Cached questions
+   * @returns {Array<Object>} - {question, similarity, isMatch, explanation} per candidate
+   */
+  rank(question, candidates) {
+    return candidates
+      .map(candidate => ({ question: candidate, ...this.compare(question, candidate) }))
+      .sort((x, y) => y.similarity - x.similarity);
+  }
+
+  /**
+   * Lowercase, strip punctuation and map number words and synonyms to one spelling
+   *
+   * "US" and "U.S." become "united states" before lowercasing, so the country
+   * is recognized while the pronoun "us" ("tell us") stays a stop word.
+   * Possessives are dropped, so "Bachelor's" does not leave a stray "s".
+   *
+   * @private
+   * @param {string} text - Raw question
+   * @returns {string} - Space separated words
+   */
+  static _normalizeText(text) {
+    let normalized = String(text || '')
+      .replace(/([a-z])['’]s\b/gi, '$1')
+      .replace(/\bu\.s\.(a\.)?/gi, ' united states ')
+      .replace(/\bUSA?\b/g, ' united states ')
+      .toLowerCase()
+      .replace(/\bcan['’]?t\b|\bcannot\b/g, 'can not')
+      .replace(/\bwon['’]t\b/g, 'will not')
+      .replace(/n['’]t\b/g, ' not')
+      .replace(/\bno\.?\s+of\b/g, 'number of')
+      .replace(/\be-mail\b/g, 'email')
+      .replace(/(\d)\s*\+/g, '$1 ')
+      .replace(/[^a-z0-9+#.]+/g, ' ')
+      .replace(/(^|\s)\.+|\.+(?=\s|$)/g, ' ');
+
+    Object.entries(QuestionMatcher.PHRASES).forEach(([phrase, replacement]) => {
+      normalized = normalized.replace(new RegExp(`(^|\\s)${phrase}(?=\\s|$)`, 'g'), `$1${replacement}`);
+    });
+
+    return normalized
+      .split(/\s+/)
+      .map(word => QuestionMatcher.NUMBER_WORDS[word] || QuestionMatcher.SYNONYMS[word] || word)
+      .join(' ')
+      .trim();
+  }
+
+  /**
+   * Reduce plurals and common suffixes to a base form
+   *
+   * @private
+   * @param {string} word - Normalized word
+   * @returns {string}
+   */
+  static _stem(word) {
+    if (word.length <= 4 || /[^a-z]/.test(word)) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  /**
+   * Whether normalized text mentions a term as whole words
+   *
+   * @private
+   * @param {string} text - Normalized text
+   * @param {string} term - Normalized term
+   * @returns {boolean}
+   */
+  static _mentions(text, term) {
+    return ` ${text} `.includes(` ${term} `);
+  }
+
+  /**
+   * Remove a term from normalized text
+   *
+   * @private
+   * @param {string} text - Normalized text
+   * @param {string} term - Normalized term
+   * @returns {string}
+   */
+  static _remove(text, term) {
+    return ` ${text} `.split(` ${term} `).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Normalize entity names, longest first
+   *
+   * @private
+   * @param {Array<string>} names - Entity names
+   * @returns {Array<string>}
+   */
+  static _terms(names) {
+    // Profile countries are stored lowercase, where "us" would read as the pronoun
+    const terms = names
+      .map(name => QuestionMatcher._normalizeText(/^u\.?s\.?$/i.test(name.trim()) ? 'united states' : name))
+      .filter(Boolean);
+    return [...new Set(terms)].sort((x, y) => y.length - x.length);
+  }
+}
+
+/**
+ * Duration units recognized as entities
+ */
+QuestionMatcher.DURATION_UNITS = ['hour', 'day', 'week', 'month', 'year'];
+
+/**
+ * Number words turned into digits
+ */
+QuestionMatcher.NUMBER_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8',
+  nine: '9', ten: '10', eleven: '11', twelve: '12', fifteen: '15', twenty: '20', thirty: '30'
+};
+
+/**
+ * Multi-word spellings replaced before splitting into words
+ */
+QuestionMatcher.PHRASES = {
+  'how many': '',
+  'how much': '',
+  'with go': 'with golang',
+  'in go': 'in golang',
+  'using go': 'using golang',
+  'go lang': 'golang',
+  'go programming': 'golang programming',
+  'node js': 'node.js',
+  'react js': 'react',
+  'vue js': 'vue',
+  'amazon web services': 'aws',
+  'google cloud platform': 'gcp',
+  'google cloud': 'gcp',
+  'united states of america': 'united states',
+  'great britain': 'united kingdom',
+  'on site': 'onsite',
+  'in office': 'onsite',
+  'in person': 'onsite',
+  'work from home': 'remote',
+  'ph.d': 'phd',
+  'notice period': 'notice',
+  'visa sponsorship': 'sponsor',
+  'work permit': 'authorized',
+  'right to work': 'authorized',
+  'phone number': 'phone',
+  'mobile number': 'phone'
+};
+
+/**
+ * Words mapped to one spelling before comparing
+ */
+QuestionMatcher.SYNONYMS = {
+  yr: 'year', yrs: 'year', years: 'year', mo: 'month', months: 'month', wks: 'week', weeks: 'week',
+  days: 'day', hrs: 'hour', hours: 'hour',
+  exp: 'experience', experienced: 'experience',
+  located: 'location', live: 'location', living: 'location', reside: 'location', residing: 'location',
+  based: 'location', currently: 'current',
+  authorised: 'authorized', authorization: 'authorized', authorisation: 'authorized', eligible: 'authorized',
+  sponsorship: 'sponsor', sponsored: 'sponsor', require: 'need', requires: 'need',
+  compensation: 'salary', ctc: 'salary', pay: 'salary', remuneration: 'salary',
+  mobile: 'phone', cell: 'phone', telephone: 'phone',
+  js: 'javascript', ts: 'typescript', k8s: 'kubernetes', reactjs: 'react', nodejs: 'node.js',
+  node: 'node.js', postgres: 'postgresql', usa: 'united states', america: 'united states',
+  uk: 'united kingdom', britain: 'united kingdom', uae: 'united arab emirates',
+  associates: 'associate', bachelors: 'bachelor', masters: 'master', doctoral: 'doctorate', doctorates: 'doctorate',
+  remotely: 'remote'
+};
+
+/**
+ * Words that negate a question, recognized as an entity ("will you not require...")
+ */
+QuestionMatcher.NEGATIONS = ['not', 'no', 'never', 'neither', 'nor', 'without'];
+
+/**
+ * Question words that carry no signal for matching
+ */
+QuestionMatcher.STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'have',
+  'has', 'how', 'i', 'if', 'in', 'is', 'it', 'many', 'much', 'my', 'of', 'on', 'or', 'please', 'the',
+  'this', 'to', 'total', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'would', 'you', 'your', 'yours',
+  'enter', 'select', 'provide', 'specify', 'indicate', 'state', 'tell', 'us', 'least', 'legally', 'professional', 'overall'
+]);
+
+/**
+ * Skills and technologies recognized as entities, besides the profile's skills
+ */
+QuestionMatcher.SKILLS = [
+  'java', 'javascript', 'typescript', 'python', 'c', 'c++', 'c#', 'r', '.net', 'golang', 'rust', 'ruby', 'php', 'scala',
+  'kotlin', 'swift', 'objective-c', 'perl', 'matlab', 'sql', 'nosql', 'html', 'css', 'react', 'react native',
+  'angular', 'vue', 'node.js', 'django', 'flask', 'spring', 'spring boot', 'rails', 'laravel', 'express',
+  'aws', 'azure', 'gcp', 'docker', 'kubernetes', 'terraform', 'ansible', 'jenkins', 'git', 'linux',
+  'mysql', 'postgresql', 'mongodb', 'redis', 'elasticsearch', 'kafka', 'spark', 'hadoop', 'snowflake',
+  'tableau', 'power bi', 'excel', 'salesforce', 'sap', 'graphql', 'rest', 'microservices',
+  'machine learning', 'deep learning', 'tensorflow', 'pytorch', 'data science', 'devops', 'agile', 'scrum',
+  'figma', 'android', 'ios', 'flutter', 'selenium', 'jira'
+];
+
+/**
+ * Degree levels recognized as entities
+ */
+QuestionMatcher.DEGREES = ['associate', 'bachelor', 'master', 'doctorate', 'phd'];
+
+/**
+ * Workplace types recognized as entities
+ */
+QuestionMatcher.WORKPLACES = ['onsite', 'hybrid', 'remote'];
+
+/**
+ * Countries recognized as entities, besides the profile's work authorization countries
+ */
+QuestionMatcher.COUNTRIES = [
+  'united states', 'canada', 'mexico', 'brazil', 'argentina', 'united kingdom', 'ireland', 'germany',
+  'france', 'spain', 'portugal', 'italy', 'netherlands', 'belgium', 'switzerland', 'austria', 'sweden',
+  'norway', 'denmark', 'finland', 'poland', 'czech republic', 'romania', 'greece', 'turkey', 'israel',
+  'united arab emirates', 'saudi arabia', 'qatar', 'egypt', 'nigeria', 'kenya', 'south africa', 'india',
+  'pakistan', 'bangladesh', 'sri lanka', 'china', 'hong kong', 'japan', 'south korea', 'singapore',
+  'malaysia', 'indonesia', 'philippines', 'vietnam', 'thailand', 'australia', 'new zealand', 'europe',
+  'european union'
+];
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = QuestionMatcher;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.QuestionMatcher = QuestionMatcher;
+}
@@ -0,0 +1,390 @@
+/**
+ * @fileoverview In-page overlay used to review an application before it is submitted.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * ReviewOverlay pauses the automation at the Review step of an Easy Apply
+ * application. It lists every answer filled in by the automation, highlights
+ * the ones that came from the language model, a similar cached question or a
+ * default fallback rather than the user's Q&A cache, along with any the answer
+ * policy flagged, and waits for the user to approve, edit or skip the job.
+ *
+ * @class
+ */
+class ReviewOverlay {
+  /**
+   * Creates a new review overlay
+   *
+   * @param {Object} options - Overlay options
+   * @param {HTMLElement} [options.modalElement] - The Easy Apply modal, used to highlight answers in place
+   * @param {Array<Object>} [options.answers] - Answered questions as {question, answer, source, confidence, reviewReason}
+   * @param {Object} [options.jobInfo] - Job details ({title, company}) shown in the header
+   * @param {Function} [options.canApprove] - Returns whether the application can be submitted right now
+   */
+  constructor(options = {}) {
+    this.modalElement = options.modalElement || null;
+    this.answers = options.answers || [];
+    this.jobInfo = options.jobInfo || {};
+    this.canApprove = options.canApprove || (() => true);
+
+    this._container = null;
+    this._messageElement = null;
+    this._observer = null;
+    this._resolve = null;
+    this._logPrefix = '[EasyApplyPlugin][ReviewOverlay]';
+  }
+
+  /**
+   * Show the overlay and wait for the user's decision
+   *
+   * @returns {Promise<string>} - One of ReviewOverlay.DECISIONS (SKIP if the overlay cannot be shown)
+   */
+  show() {
+    return new Promise(resolve => {
+      this._resolve = resolve;
+
+      try {
+        this._injectStyles();
+        this._render();
+        this._highlightAnswers();
+        this._observeModal();
+
+        const flagged = this.getFlaggedAnswers().length;
+        this._log(`Paused for review: ${this.answers.length} answers, ${flagged} flagged`);
+      } catch (error) {
+        // Never submit an application the user could not review
+        this._logError('Error showing review overlay, skipping the job:', error);
+        this.close(ReviewOverlay.DECISIONS.SKIP);
+      }
+    });
+  }
+
+  /**
+   * Remove the overlay and resolve the pending decision
+   *
+   * @param {string} decision - One of ReviewOverlay.DECISIONS
+   */
+  close(decision) {
+    if (this._observer) {
+      this._observer.disconnect();
+      this._observer = null;
+    }
+
+    this._clearHighlights();
+
+    if (this._container) {
+      this._container.remove();
+      this._container = null;
+    }
+
+    if (this._resolve) {
+      const resolve = this._resolve;
+      this._resolve = null;
+      this._log(`Review decision: ${decision}`);
+      resolve(decision);
+    }
+  }
+
+  /**
+   * Get the answers that need a closer look (language model, similar question,
+   * default fallback or flagged by the answer policy)
+   *
+   * @returns {Array<Object>} - Flagged answers
+   */
+  getFlaggedAnswers() {
+    return this.answers.filter(entry => ReviewOverlay._isFlagged(entry));
+  }
+
+  /**
+   * Build the overlay panel
+   *
+   * @private
+   */
+  _render() {
+    const container = document.createElement('div');
+    container.className = 'eap-review-overlay';
+
+    const header = document.createElement('div');
+    header.className = 'eap-review-header';
+    header.textContent = 'Review application before submitting';
+    container.appendChild(header);
+
+    if (this.jobInfo.title || this.jobInfo.company) {
+      const job = document.createElement('div');
+      job.className = 'eap-review-job';
+      job.textContent = [this.jobInfo.title, this.jobInfo.company].filter(Boolean).join(' at ');
+      container.appendChild(job);
+    }
+
+    const flagged = this.getFlaggedAnswers().length;
+    const summary = document.createElement('div');
+    summary.className = 'eap-review-summary';
+    summary.textContent = flagged > 0 ?
+      `${flagged} of ${this.answers.length} answers came from the language model, a similar question or a default value and are highlighted.` :
+      `All ${this.answers.length} answers came from your Q&A cache or profile.`;
+    container.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'eap-review-answers';
+    this.answers.forEach(entry => {
+      const { question, answer, source, confidence, reviewReason } = entry;
+      const item = document.createElement('li');
+      if (ReviewOverlay._isFlagged(entry)) {
+        item.className = 'eap-review-flagged';
+      }
+
+      const questionElement = document.createElement('div');
+      questionElement.className = 'eap-review-question';
+      questionElement.textContent = question;
+
+      const answerElement = document.createElement('div');
+      answerElement.textContent = `${answer || '(empty)'} `;
+
+      const badge = document.createElement('span');
+      badge.className = 'eap-review-source';
+      badge.textContent = typeof confidence === 'number' && confidence < 1 ?
+        `${source || 'unknown'} ${Math.round(confidence * 100)}%` :
+        source || 'unknown';
+      if (reviewReason) {
+        badge.title = `Needs review: ${reviewReason}`;
+      }
+      answerElement.appendChild(badge);
+
+      item.appendChild(questionElement);
+      item.appendChild(answerElement);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    this._messageElement = document.createElement('div');
+    this._messageElement.className = 'eap-review-message';
+    container.appendChild(this._messageElement);
+
+    const actions = document.createElement('div');
+    actions.className = 'eap-review-actions';
+    actions.appendChild(this._createButton('Approve & submit', 'eap-review-approve', () => this._approve()));
+    actions.appendChild(this._createButton('Edit', 'eap-review-edit', () => this._edit()));
+    actions.appendChild(this._createButton('Skip job', 'eap-review-skip', () => this.close(ReviewOverlay.DECISIONS.SKIP)));
+    container.appendChild(actions);
+
+    document.body.appendChild(container);
+    this._container = container;
+  }
+
+  /**
+   * Create an overlay button
+   *
+   * @private
+   * @param {string} text - Button text
+   * @param {string} className - Button class
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  _createButton(text, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    button.onclick = onClick;
+    return button;
+  }
+
+  /**
+   * Approve the application if the Submit button is reachable
+   *
+   * @private
+   */
+  _approve() {
+    if (!this.canApprove()) {
+      this._showMessage('Go back to the Review page (Submit application must be visible) before approving.');
+      return;
+    }
+
+    this.close(ReviewOverlay.DECISIONS.APPROVE);
+  }
+
+  /**
+   * Let the user edit the form while the automation stays paused
+   *
+   * @private
+   */
+  _edit() {
+    this._container.classList.add('eap-review-editing');
+    this._showMessage('Edit the highlighted answers in the form (use its Edit links to go back to a step), then return to the Review page and click Approve & submit.');
+    this._highlightAnswers();
+  }
+
+  /**
+   * Show a status message in the overlay
+   *
+   * @private
+   * @param {string} message - The message to show
+   */
+  _showMessage(message) {
+    if (this._messageElement) {
+      this._messageElement.textContent = message;
+    }
+  }
+
+  /**
+   * Highlight the flagged answers inside the Easy Apply modal by matching question text
+   *
+   * @private
+   */
+  _highlightAnswers() {
+    if (!this.modalElement || !this.modalElement.isConnected) return;
+
+    const questions = this.getFlaggedAnswers()
+      .map(entry => this._normalize(entry.question))
+      .filter(Boolean);
+
+    if (!questions.length) return;
+
+    const candidates = this.modalElement.querySelectorAll('label, legend, span, dt, h3, p');
+    candidates.forEach(element => {
+      // Only match leaf-level text so the whole modal isn't highlighted
+      if (element.children.length > 2) return;
+
+      const text = this._normalize(element.textContent);
+      if (!text || !questions.some(question => question === text || (text.length > 10 && question.startsWith(text)))) {
+        return;
+      }
+
+      const target = element.closest('.jobs-easy-apply-form-section__grouping, .jobs-easy-apply-form-element, fieldset, li') ||
+        element.parentElement;
+      if (target && target !== this.modalElement) {
+        target.classList.add('eap-review-highlight');
+      }
+    });
+  }
+
+  /**
+   * Remove all highlights from the modal
+   *
+   * @private
+   */
+  _clearHighlights() {
+    document.querySelectorAll('.eap-review-highlight').forEach(element => {
+      element.classList.remove('eap-review-highlight');
+    });
+  }
+
+  /**
+   * Re-apply highlights when the user navigates between steps while editing
+   *
+   * @private
+   */
+  _observeModal() {
+    if (!this.modalElement || typeof MutationObserver !== 'function') return;
+
+    let scheduled = false;
+    this._observer = new MutationObserver(() => {
+      if (scheduled) return;
+      scheduled = true;
+      setTimeout(() => {
+        scheduled = false;
+        this._highlightAnswers();
+      }, 300);
+    });
+    this._observer.observe(this.modalElement, { childList: true, subtree: true });
+  }
+
+  /**
+   * Normalize question text for matching
+   *
+   * @private
+   * @param {string} text - Text to normalize
+   * @returns {string}
+   */
+  _normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').replace(/[*?:]/g, '').trim().toLowerCase();
+  }
+
+  /**
+   * Add the overlay stylesheet to the page once
+   *
+   * @private
+   */
+  _injectStyles() {
+    if (document.getElementById('eap-review-overlay-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'eap-review-overlay-styles';
+    style.textContent = `
+      .eap-review-overlay { position: fixed; right: 16px; bottom: 16px; width: 360px; max-height: 70vh; overflow-y: auto;
+        z-index: 2147483647; background: #fff; border: 2px solid #0a66c2; border-radius: 8px; padding: 12px;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.25); font: 14px Arial, sans-serif; color: #222; }
+      .eap-review-overlay.eap-review-editing { border-color: #e7a33e; }
+      .eap-review-header { font-weight: bold; font-size: 15px; margin-bottom: 4px; }
+      .eap-review-job, .eap-review-summary { color: #555; margin-bottom: 6px; }
+      .eap-review-answers { list-style: none; margin: 0 0 8px 0; padding: 0; }
+      .eap-review-answers li { padding: 4px 6px; border-bottom: 1px solid #eee; }
+      .eap-review-answers li.eap-review-flagged { background: #fff4d6; }
+      .eap-review-question { font-weight: bold; }
+      .eap-review-source { font-size: 11px; color: #666; border: 1px solid #ccc; border-radius: 3px; padding: 0 3px; }
+      .eap-review-message { color: #b10000; margin-bottom: 6px; }
+      .eap-review-actions button { margin-right: 6px; padding: 4px 10px; cursor: pointer; }
+      .eap-review-approve { background: #0a66c2; color: #fff; border: none; border-radius: 4px; }
+      .eap-review-highlight { outline: 3px solid #e7a33e !important; background: #fff4d6 !important; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Log an error message
+   *
+   * @private
+   * @param {string} message - The error message
+   * @param {Error} [error] - Optional error object
+   */
+  _logError(message, error) {
+    console.error(`${this._logPrefix} ${message}`, error || '');
+  }
+}
+
+/**
+ * Possible results of a review
+ */
+ReviewOverlay.DECISIONS = {
+  APPROVE: 'approve',
+  SKIP: 'skip',
+  STOP: 'stop'
+};
+
+/**
+ * Whether an answer is highlighted for review
+ *
+ * @private
+ * @param {Object} entry - Answered question
+ * @returns {boolean}
+ */
+ReviewOverlay._isFlagged = function(entry) {
+  return !!entry.reviewReason || ReviewOverlay.FLAGGED_SOURCES.includes(entry.source);
+};
+
+/**
+ * Answer sources that are highlighted for review
+ */
+ReviewOverlay.FLAGGED_SOURCES = ['llm', 'cache-fuzzy', 'default'];
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = ReviewOverlay;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.ReviewOverlay = ReviewOverlay;
+}
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Saved LinkedIn job searches run one after another by the search queue.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * SavedSearches stores job search definitions in chrome.storage.local as
+ * LinkedIn search URLs, built from keywords, location and filters (Easy Apply
+ * only, date posted, experience level) or pasted from the browser. Each
+ * search can name the profile it applies with. The background service worker
+ * runs them as a queue, processing all jobs of each search in turn, and
+ * records the counters of each finished run.
+ *
+ * @class
+ */
+class SavedSearches {
+  /**
+   * Creates a new saved searches store
+   *
+   * @param {Object} [config] - Storage configuration (defaults to EasyApplyConfig.storage)
+   * @param {string} [config.savedSearchesKey] - chrome.storage key for the saved searches
+   */
+  constructor(config) {
+    const storageConfig = config ||
+      (typeof EasyApplyConfig !== 'undefined' && EasyApplyConfig.storage) || {};
+
+    this.storageKey = storageConfig.savedSearchesKey || 'savedSearches';
+    this._logPrefix = '[EasyApplyPlugin][SavedSearches]';
+  }
+
+  /**
+   * Get all saved searches in queue order
+   *
+   * @returns {Promise<Array<Object>>} - {id, name, url, profile, createdAt, lastRun} entries
+   */
+  async getAll() {
+    const result = await this._get();
+    return Array.isArray(result) ? result : [];
+  }
+
+  /**
+   * Save a search at the end of the queue
+   *
+   * @param {Object} search - The search
+   * @param {string} search.name - Name shown in the popup
+   * @param {string} search.url - LinkedIn jobs search URL
+   * @param {string} [search.profile] - Name of the profile the search applies with (see ProfileManager);
+   *   the profile selected when the queue starts if not given
+   * @returns {Promise<Object>} - The stored search
+   */
+  async add(search) {
+    const name = (search.name || '').trim();
+    const url = SavedSearches.normalizeUrl(search.url);
+
+    if (!name) {
+      throw new Error('Search name is required');
+    }
+
+    const searches = await this.getAll();
+    const entry = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      url,
+      profile: search.profile || null,
+      createdAt: new Date().toISOString(),
+      lastRun: null
+    };
+
+    searches.push(entry);
+    await this._set(searches);
+    this._log(`Saved search "${name}"`);
+    return entry;
+  }
+
+  /**
+   * Delete a saved search
+   *
+   * @param {string} id - Search id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const searches = await this.getAll();
+    await this._set(searches.filter(search => search.id !== id));
+    this._log(`Deleted search ${id}`);
+  }
+
+  /**
+   * Store the counters of a finished run of a search
+   *
+   * @param {string} id - Search id
+   * @param {Object} counters - {processed, submitted, dryRun, skipped, failed}
+   * @returns {Promise<void>}
+   */
+  async recordRun(id, counters) {
+    const searches = await this.getAll();
+    const search = searches.find(entry => entry.id === id);
+
+    // The search was deleted while it ran
+    if (!search) return;
+
+    search.lastRun = { finishedAt: new Date().toISOString(), counters: { ...counters } };
+    await this._set(searches);
+    this._log(`Recorded run of "${search.name}": ${counters.submitted} submitted, ${counters.processed} processed`);
+  }
+
+  /**
+   * Read the searches from chrome.storage.local
+   *
+   * @private
+   * @returns {Promise<Array<Object>|undefined>}
+   */
+  _get() {
+    return new Promise(resolve => {
+      chrome.storage.local.get([this.storageKey], result => resolve(result[this.storageKey]));
+    });
+  }
+
+  /**
+   * Write the searches to chrome.storage.local
+   *
+   * @private
+   * @param {Array<Object>} searches - The searches to store
+   * @returns {Promise<void>}
+   */
+  _set(searches) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [this.storageKey]: searches }, resolve);
+    });
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Build a LinkedIn jobs search URL
+   *
+   * @param {Object} criteria - Search criteria
+   * @param {string} [criteria.keywords] - Search keywords
+   * @param {string} [criteria.location] - Location
+   * @param {boolean} [criteria.easyApplyOnly=false] - Only Easy Apply jobs
+   * @param {string} [criteria.datePosted] - One of the keys of SavedSearches.DATE_POSTED
+   * @param {Array<string>} [criteria.experienceLevels] - Keys of SavedSearches.EXPERIENCE_LEVELS
+   * @returns {string}
+   */
+  static buildUrl(criteria) {
+    const url = new URL(SavedSearches.SEARCH_URL);
+    const experienceLevels = (criteria.experienceLevels || [])
+      .map(level => SavedSearches.EXPERIENCE_LEVELS[level])
+      .filter(Boolean);
+
+    if (criteria.keywords) url.searchParams.set('keywords', criteria.keywords.trim());
+    if (criteria.location) url.searchParams.set('location', criteria.location.trim());
+    if (criteria.easyApplyOnly) url.searchParams.set('f_AL', 'true');
+    if (SavedSearches.DATE_POSTED[criteria.datePosted]) {
+      url.searchParams.set('f_TPR', SavedSearches.DATE_POSTED[criteria.datePosted]);
+    }
+    if (experienceLevels.length) url.searchParams.set('f_E', experienceLevels.join(','));
+
+    return url.toString();
+  }
+
+  /**
+   * Check a pasted search URL and drop the paging and selected job parameters
+   *
+   * @param {string} value - The URL
+   * @returns {string}
+   */
+  static normalizeUrl(value) {
+    let url = null;
+    try {
+      url = new URL((value || '').trim());
+    } catch (error) {
+      throw new Error('Search URL is not a valid URL');
+    }
+
+    if (url.hostname !== 'www.linkedin.com' || !url.pathname.startsWith('/jobs/search')) {
+      throw new Error('Search URL must be a linkedin.com/jobs/search URL');
+    }
+
+    url.searchParams.delete('start');
+    url.searchParams.delete('currentJobId');
+    return url.toString();
+  }
+}
+
+/**
+ * Base URL of LinkedIn job searches
+ */
+SavedSearches.SEARCH_URL = 'https://www.linkedin.com/jobs/search/';
+
+/**
+ * "Date posted" filter values (LinkedIn's f_TPR parameter)
+ */
+SavedSearches.DATE_POSTED = {
+  any: '',
+  day: 'r86400',
+  week: 'r604800',
+  month: 'r2592000'
+};
+
+/**
+ * "Experience level" filter values (LinkedIn's f_E parameter)
+ */
+SavedSearches.EXPERIENCE_LEVELS = {
+  internship: '1',
+  entry: '2',
+  associate: '3',
+  midSenior: '4',
+  director: '5',
+  executive: '6'
+};
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = SavedSearches;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.SavedSearches = SavedSearches;
+}
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Structured profile of the applicant used to answer form questions.
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+/**
+ * UserProfile holds the applicant's structured details (contact info,
+ * location, experience per skill, salary, work authorization, links) as
+ * edited on the profile page. Field handlers ask it for answers before
+ * falling back to Gemini, and the Gemini prompts include it as context, so
+ * no personal values are baked into the code.
+ *
+ * @class
+ */
+class UserProfile {
+  /**
+   * Creates a new user profile
+   *
+   * @param {Object} [data] - Stored profile data (see UserProfile.FIELDS)
+   */
+  constructor(data) {
+    const profile = data || {};
+
+    UserProfile.FIELDS.forEach(field => {
+      this[field] = profile[field] !== undefined && profile[field] !== null ? String(profile[field]).trim() : '';
+    });
+
+    // Years of experience per skill, e.g. { "java": "5", "react": "2" }
+    this.skillExperience = UserProfile._normalizeMap(profile.skillExperience);
+
+    // Work authorization per country, e.g. { "india": "yes", "united states": "no" }
+    this.workAuthorization = UserProfile._normalizeMap(profile.workAuthorization);
+
+    this._logPrefix = '[EasyApplyPlugin][UserProfile]';
+  }
+
+  /**
+   * Whether any profile field has been filled in
+   *
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return UserProfile.FIELDS.every(field => !this[field]) &&
+      !Object.keys(this.skillExperience).length &&
+      !Object.keys(this.workAuthorization).length;
+  }
+
+  /**
+   * Get the profile value answering a form question, if the profile covers it
+   *
+   * City, country and years of experience only answer questions asking for them
+   * ("Which city...", "How many years..."), never yes/no questions that merely
+   * mention them ("Are you willing to relocate to another city?").
+   *
+   * @param {string} label - The question/label
+   * @param {Object} [options] - Field characteristics from the handler
+   * @param {boolean} [options.isCountry=false] - Whether this is a country field
+   * @param {boolean} [options.isCity=false] - Whether this is a city field
+   * @param {boolean} [options.isPhone=false] - Whether this is a phone field
+   * @param {boolean} [options.isExperience=false] - Whether this is an experience field
+   * @param {boolean} [options.isNumeric=false] - Whether the field takes a number
+   * @param {boolean} [options.isSummary=false] - Whether this is a summary or cover letter field
+   * @returns {string|null} - The value or null if the profile has no answer
+   */
+  getValue(label, options = {}) {
+    const text = (label || '').toLowerCase();
+    const {
+      isCountry = false,
+      isCity = false,
+      isPhone = false,
+      isExperience = false,
+      isNumeric = false,
+      isSummary = false
+    } = options;
+    const isYesNo = UserProfile._isYesNoQuestion(text);
+    let value = '';
+
+    if (/e-?mail/.test(text)) {
+      value = this.email;
+    } else if (/first name|given name/.test(text)) {
+      value = this.firstName;
+    } else if (/last name|surname|family name/.test(text)) {
+      value = this.lastName;
+    } else if (/full name|^name\b/.test(text)) {
+      value = [this.firstName, this.lastName].filter(Boolean).join(' ');
+    } else if (/country code|phone code|dialing code/.test(text)) {
+      value = this.phoneCountryCode;
+    } else if (isPhone || /phone|mobile/.test(text)) {
+      value = this.phone;
+    } else if (/linkedin/.test(text)) {
+      value = this.linkedinUrl;
+    } else if (/github/.test(text)) {
+      value = this.githubUrl;
+    } else if (/portfolio|website|personal site/.test(text)) {
+      value = this.portfolioUrl;
+    } else if (/sponsor/.test(text)) {
+      value = this.requiresSponsorship;
+    } else if (/authori[sz]ed|legally|right to work|work permit|eligible to work/.test(text)) {
+      value = this._getWorkAuthorization(text);
+    } else if (/notice period/.test(text)) {
+      value = this.noticePeriod;
+    } else if (/salary|compensation|ctc|remuneration/.test(text)) {
+      value = /current|present|last drawn/.test(text) ? this.currentSalary : this.expectedSalary;
+    } else if (isYesNo || isSummary) {
+      value = '';
+    } else if (isCity || /\bcity\b/.test(text)) {
+      value = this.city;
+    } else if (isCountry || /\bcountry\b/.test(text)) {
+      value = this.country;
+    } else if (/\byears?\b|how (long|much experience)/.test(text) ||
+        ((isExperience || isNumeric) && /\bexperience\b/.test(text) && !/describe|tell us|explain/.test(text))) {
+      value = this.getExperienceFor(text);
+    }
+
+    if (!value) return null;
+
+    this._log(`Profile value for "${label}": "${value}"`);
+    return value;
+  }
+
+  /**
+   * Get years of experience for the skill mentioned in a question, falling back to total experience
+   *
+   * @param {string} label - The question/label
+   * @returns {string} - Years of experience or an empty string
+   */
+  getExperienceFor(label) {
+    const text = (label || '').toLowerCase();
+
+    // Prefer the longest matching skill so "react native" wins over "react"
+    const skill = Object.keys(this.skillExperience)
+      .filter(name => UserProfile._mentions(text, name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return skill ? this.skillExperience[skill] : this.yearsOfExperience;
+  }
+
+  /**
+   * Describe the profile for Gemini prompts
+   *
+   * @returns {string} - One "- key: value" line per filled field, or an empty string
+   */
+  toPromptContext() {
+    const lines = [];
+    const add = (name, value) => {
+      if (value) lines.push(`- ${name}: ${value}`);
+    };
+
+    add('Name', [this.firstName, this.lastName].filter(Boolean).join(' '));
+    add('Email', this.email);
+    add('Phone', [this.phoneCountryCode, this.phone].filter(Boolean).join(' '));
+    add('City', this.city);
+    add('Country', this.country);
+    add('Total years of experience', this.yearsOfExperience);
+    add('Years of experience per skill', Object.entries(this.skillExperience)
+      .map(([skill, years]) => `${skill}: ${years}`).join(', '));
+    add('Notice period', this.noticePeriod);
+    add('Current salary', this.currentSalary && `${this.currentSalary} ${this.salaryCurrency}`.trim());
+    add('Expected salary', this.expectedSalary && `${this.expectedSalary} ${this.salaryCurrency}`.trim());
+    add('Work authorization', Object.entries(this.workAuthorization)
+      .map(([country, authorized]) => `${country}: ${authorized}`).join(', '));
+    add('Requires visa sponsorship', this.requiresSponsorship);
+    add('LinkedIn', this.linkedinUrl);
+    add('GitHub', this.githubUrl);
+    add('Portfolio', this.portfolioUrl);
+
+    return lines.length ? `My profile:\n${lines.join('\n')}` : '';
+  }
+
+  /**
+   * Serialize the profile for storage in a ProfileManager profile
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    const data = {};
+    UserProfile.FIELDS.forEach(field => {
+      data[field] = this[field];
+    });
+    data.skillExperience = { ...this.skillExperience };
+    data.workAuthorization = { ...this.workAuthorization };
+    return data;
+  }
+
+  /**
+   * Answer a work authorization question for the country it mentions
+   *
+   * @private
+   * @param {string} text - Lowercase question text
+   * @returns {string} - 'Yes', 'No' or an empty string if the country is unknown
+   */
+  _getWorkAuthorization(text) {
+    const country = Object.keys(this.workAuthorization).find(name => UserProfile._mentions(text, name));
+    if (!country) return '';
+
+    return /^(y|yes|true)$/i.test(this.workAuthorization[country]) ? 'Yes' : 'No';
+  }
+
+  /**
+   * Log an informational message
+   *
+   * @private
+   * @param {string} message - The message to log
+   */
+  _log(message) {
+    console.log(`${this._logPrefix} ${message}`);
+  }
+
+  /**
+   * Whether a question is answered with yes or no ("Do you have...", "Are you willing...")
+   *
+   * @private
+   * @param {string} text - Lowercase question
+   * @returns {boolean}
+   */
+  static _isYesNoQuestion(text) {
+    return /^(do|does|did|are|is|was|were|have|has|had|will|would|can|could|should|shall|may)\b/.test(text.trim());
+  }
+
+  /**
+   * Whether text mentions a term as a whole word
+   *
+   * @private
+   * @param {string} text - Lowercase text
+   * @param {string} term - Lowercase term
+   * @returns {boolean}
+   */
+  static _mentions(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }
+
+  /**
+   * Normalize a map given as an object or as "key: value" lines
+   *
+   * @private
+   * @param {Object|string} value - The raw map
+   * @returns {Object} - Map with lowercase keys and trimmed string values
+   */
+  static _normalizeMap(value) {
+    const entries = typeof value === 'string' ?
+      value.split('\n').map(line => line.split(':')) :
+      Object.entries(value || {});
+
+    const map = {};
+    entries.forEach(([key, val]) => {
+      const name = String(key || '').trim().toLowerCase();
+      const setting = String(val === undefined || val === null ? '' : val).trim();
+      if (name && setting) map[name] = setting;
+    });
+    return map;
+  }
+}
+
+/**
+ * Plain text profile fields
+ */
+UserProfile.FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phoneCountryCode',
+  'phone',
+  'city',
+  'country',
+  'yearsOfExperience',
+  'noticePeriod',
+  'currentSalary',
+  'expectedSalary',
+  'salaryCurrency',
+  'requiresSponsorship',
+  'linkedinUrl',
+  'githubUrl',
+  'portfolioUrl'
+];
+
+// Export the class for use in other modules
+if (typeof module !== 'undefined') {
+  module.exports = UserProfile;
+}
+
+// Make available in global scope if in browser context
+if (typeof window !== 'undefined') {
+  window.UserProfile = UserProfile;
+}
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview QuestionMatcher tests, run with `node --test tests/`
+ * @author EasyApplyPlugin Team
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const QuestionMatcher = require('../src/utils/QuestionMatcher');
+
+const matcher = new QuestionMatcher();
+
+test('questions that differ only in their key word do not match', () => {
+  [
+    ["Do you have a Bachelor's Degree?", "Do you have a Master's Degree?"],
+    ["Do you have an Associate's degree?", 'Do you have a PhD?'],
+    ['Are you comfortable working in a hybrid setting?', 'Are you comfortable working in a remote setting?'],
+    ['Are you comfortable working on-site?', 'Are you comfortable working remotely?'],
+    ['What is your current annual base salary?', 'What is your expected annual base salary?'],
+    ['Are you currently employed?', 'Are you currently enrolled?']
+  ].forEach(([question, candidate]) => {
+    const result = matcher.compare(question, candidate);
+    assert.strictEqual(result.isMatch, false, `${question} / ${candidate}: ${result.explanation}`);
+    assert.strictEqual(result.similarity, 0, `${question} / ${candidate}: ${result.explanation}`);
+  });
+});
+
+test('possessives do not leave a stray term', () => {
+  assert.deepStrictEqual(matcher.analyze("Do you have a Bachelor's degree?").terms, ['degree']);
+});
+
+test('rephrased questions still match', () => {
+  [
+    ['How many years of Java experience do you have?', 'Years of experience with Java'],
+    ['Are you authorized to work in the USA?', 'Legally authorized to work in the United States?'],
+    ["Have you completed a Master's degree?", 'Have you completed a masters degree?'],
+    ['Have you completed a Ph.D.?', 'Have you completed a PhD?'],
+    ['Are you comfortable working in an on-site setting?', 'Are you comfortable working in an onsite setting?']
+  ].forEach(([question, candidate]) => {
+    const result = matcher.compare(question, candidate);
+    assert.strictEqual(result.isMatch, true, `${question} / ${candidate}: ${result.explanation}`);
+  });
+});